@@ -14,17 +14,131 @@ const AppConfig = {
   debounceDelay: 300,
   weatherApiUrl: 'https://api-open.data.gov.sg/v2/real-time/api/four-day-outlook',
   weatherForecastUrl: 'https://api-open.data.gov.sg/v2/real-time/api/twenty-four-hr-forecast',
-  localStorageKeys: {
-    favorites: 'shoresquad_favorites',
-    preferences: 'shoresquad_preferences',
-    lastLocation: 'shoresquad_last_location'
+  weatherCacheTtl: 30 * 60 * 1000,
+  weatherRetry: { baseDelay: 5000, maxAttempts: 4 },
+  cleanupEventsUrl: 'data/cleanups.json',
+  impactLogsUrl: 'data/impact.json',
+  checkInsUrl: 'data/checkins.json',
+  litterReportsUrl: 'data/reports.json',
+  tidesUrl: 'data/tides.json',
+  tides: {
+    // Low water ± this many hours counts as the low-tide window
+    windowHours: 1.5
+  },
+  // Check-in opens this long before a cleanup starts
+  checkInLeadMinutes: 60,
+  // Check-ins further than this from the beach (after allowing for GPS accuracy) are flagged
+  checkInMaxDistanceKm: 1,
+  // How often the check-in scanner looks at a camera frame
+  scanInterval: 250,
+  geolocation: {
+    enableHighAccuracy: true,
+    timeout: 5000,
+    maximumAge: 0
+  },
+  litterReports: {
+    // Photos are scaled to fit this many pixels and saved as JPEG at this quality
+    photoMaxSize: 1024,
+    photoQuality: 0.7,
+    // Reports within this distance of a beach are labelled with its name
+    beachRadiusKm: 3
+  },
+  // How long after a cleanup ends attendees can still log their haul
+  impactLogWindowDays: 14,
+  // Changes made offline are POSTed here once the device reconnects
+  syncUrl: 'api/sync',
+  // Settings panel defaults; anything the user changes is saved over these
+  defaultPreferences: {
+    temperatureUnit: 'c',
+    distanceUnit: 'km',
+    radiusKm: 15,
+    homeBeach: '',
+    // 'system' follows prefers-reduced-motion; 'reduce' and 'full' override it
+    motion: 'system',
+    highContrast: false,
+    reminders: false,
+    badgeAlerts: true,
+    weatherAlerts: true
+  },
+  radiusOptionsKm: [5, 10, 15, 25],
+  reminders: {
+    // Local hour the day before a cleanup when reminders go out
+    hour: 18,
+    checkInterval: 60 * 1000,
+    // Alarm added to exported calendar events (RFC 5545 duration)
+    calendarTrigger: '-P1D'
+  },
+  notifications: {
+    duration: 4000,
+    // Toasts with an action (e.g. Undo) stay up longer
+    actionDuration: 8000,
+    maxVisible: 3,
+    historyLimit: 50
+  },
+  map: {
+    // Point tileUrl at a local tile server (e.g. 'http://localhost:8080/tiles/{z}/{x}/{y}.png') to run offline
+    tileUrl: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    center: { latitude: 1.3521, longitude: 103.8198 },
+    zoom: 11,
+    minZoom: 10,
+    maxZoom: 17,
+    // Close-up used for meeting points on event pages
+    detailZoom: 16
+  },
+  // Default packing list on event pages
+  gearChecklist: [
+    { id: 'gloves' },
+    { id: 'bags' },
+    { id: 'sunscreen' },
+    { id: 'water' },
+    { id: 'hat' }
+  ],
+  storage: {
+    namespace: 'shoresquad',
+    // Bump when a stored shape changes, and add a migration to Storage.migrations
+    version: 1,
+    dbName: 'shoresquad-data',
+    // Collections that grow with use are kept in IndexedDB where it's available
+    indexedKeys: ['createdEvents', 'impactLogs', 'squads', 'checkIns', 'litterReports', 'notifications', 'weatherCache'],
+    // Rebuilt from the network, so left out of backups
+    cacheKeys: ['weatherCache'],
+    // Cleared, in order, when the device runs out of space
+    expendableKeys: ['weatherCache', 'notifications']
+  },
+  storageKeys: {
+    favorites: 'favorites',
+    rsvps: 'rsvps',
+    profile: 'profile',
+    preferences: 'preferences',
+    lastLocation: 'lastLocation',
+    createdEvents: 'createdEvents',
+    impactLogs: 'impactLogs',
+    squads: 'squads',
+    checkIns: 'checkIns',
+    checkInKeys: 'checkInKeys',
+    litterReports: 'litterReports',
+    badges: 'badges',
+    notifications: 'notifications',
+    remindersSent: 'remindersSent',
+    gearChecklists: 'gearChecklists',
+    weatherCache: 'weatherCache'
   }
 };
 
 const AppState = {
+  cleanupEvents: [],
   favorites: new Set(),
+  rsvps: {},
+  currentUser: null,
+  cleanupView: 'all',
+  selectedEventId: null,
   userLocation: null,
-  weatherData: null
+  locationFilter: null,
+  cleanupFilters: null,
+  weatherData: null,
+  regionalForecast: null,
+  tideStations: []
 };
 
 // ============================================
@@ -67,37 +181,604 @@ function throttle(func, limit = AppConfig.debounceDelay) {
 }
 
 /**
- * LocalStorage wrapper with error handling
+ * Describe how long ago a timestamp was, e.g. "3h ago"
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string}
+ */
+function formatTimeAgo(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  
+  if (minutes < 1) return t('time.justNow');
+  if (minutes < 60) return t('time.minutesAgo', { count: minutes });
+  
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return t('time.hoursAgo', { count: hours });
+  
+  return t('time.daysAgo', { count: Math.floor(hours / 24) });
+}
+
+/**
+ * Escape a value for safe interpolation into HTML strings
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return Template.escape(value);
+}
+
+/**
+ * Save generated content as a file
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Great-circle distance between two coordinates (haversine formula)
+ * @param {{latitude: number, longitude: number}} from - Start point
+ * @param {{latitude: number, longitude: number}} to - End point
+ * @returns {number} Distance in kilometres
+ */
+function haversineDistance(from, to) {
+  const earthRadiusKm = 6371;
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  
+  return earthRadiusKm * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Versioned key-value store for everything ShoreSquad keeps on the device.
+ * Keys live under AppConfig.storage.namespace; AppConfig.storage.indexedKeys
+ * are kept in IndexedDB when it's available and everything else in
+ * localStorage. Reads are synchronous: open() loads the IndexedDB records
+ * into memory and writes go back to it in the background.
  */
 const Storage = {
+  db: null,
+  // IndexedDB-backed records, as JSON
+  records: new Map(),
+  writes: Promise.resolve(),
+  storeName: 'records',
+  
+  /**
+   * Upgrades from one schema version to the next, keyed by the version they
+   * produce. Each takes every stored value by key and returns the new set, so
+   * the same steps bring old backups up to date on import.
+   */
+  migrations: {
+    // Version 0 kept each value in a flat localStorage key
+    1(data) {
+      const legacyKeys = {
+        shoresquad_favorites: 'favorites',
+        shoresquad_rsvps: 'rsvps',
+        shoresquad_profile: 'profile',
+        shoresquad_preferences: 'preferences',
+        shoresquad_last_location: 'lastLocation',
+        shoresquad_created_events: 'createdEvents',
+        shoresquad_impact_logs: 'impactLogs',
+        shoresquad_squads: 'squads',
+        shoresquad_checkins: 'checkIns',
+        shoresquad_badges: 'badges',
+        shoresquad_notifications: 'notifications',
+        shoresquad_reminders_sent: 'remindersSent',
+        shoresquad_gear_checklists: 'gearChecklists',
+        shoresquad_weather_cache: 'weatherCache'
+      };
+      
+      return Object.fromEntries(Object.entries(data)
+        .filter(([key]) => legacyKeys[key])
+        .map(([key, value]) => [legacyKeys[key], value]));
+    }
+  },
+  
+  /**
+   * Load IndexedDB records and bring stored data up to the current schema.
+   * Falls back to localStorage alone if IndexedDB can't be opened (e.g. in
+   * some private browsing modes).
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if ('indexedDB' in window) {
+      try {
+        this.db = await this.openDatabase();
+        const records = await this.transaction('readonly', store => store.getAll());
+        records.forEach(record => this.records.set(record.key, record.value));
+      } catch (error) {
+        console.warn('IndexedDB unavailable, keeping data in localStorage:', error);
+        this.db = null;
+        this.records.clear();
+      }
+    }
+    
+    try {
+      await this.migrate();
+    } catch (error) {
+      console.error('Error migrating stored data:', error);
+    }
+    
+    // Move collections saved while IndexedDB was unavailable
+    if (this.db) {
+      AppConfig.storage.indexedKeys.forEach(key => {
+        const item = this.readLocal(key);
+        if (item === null) return;
+        
+        if (!this.records.has(key)) {
+          this.records.set(key, item);
+          this.persist(key);
+        }
+        localStorage.removeItem(this.localKey(key));
+      });
+    }
+  },
+  
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(AppConfig.storage.dbName, 1);
+      
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  transaction(mode, operation) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+  
+  localKey(key) {
+    return `${AppConfig.storage.namespace}:${key}`;
+  },
+  
+  readLocal(key) {
+    try {
+      return localStorage.getItem(this.localKey(key));
+    } catch (error) {
+      console.error('Error reading from localStorage:', error);
+      return null;
+    }
+  },
+  
+  usesIndexedDB(key) {
+    return this.db !== null && (this.records.has(key) || AppConfig.storage.indexedKeys.includes(key));
+  },
+  
+  isQuotaError(error) {
+    return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error?.code === 22;
+  },
+  
   get(key) {
     try {
-      const item = localStorage.getItem(key);
+      const item = this.records.has(key) ? this.records.get(key) : this.readLocal(key);
       return item ? JSON.parse(item) : null;
     } catch (error) {
-      console.error('Error reading from localStorage:', error);
+      console.error('Error reading from storage:', error);
       return null;
     }
   },
   
+  /**
+   * Save a value. IndexedDB writes finish in the background; see flush().
+   * @param {string} key - One of AppConfig.storageKeys
+   * @param {*} value - JSON-serializable value
+   * @returns {boolean} Whether the value was kept
+   */
   set(key, value) {
+    let item;
     try {
-      localStorage.setItem(key, JSON.stringify(value));
-      return true;
+      item = JSON.stringify(value);
     } catch (error) {
-      console.error('Error writing to localStorage:', error);
+      console.error('Error serializing value for storage:', error);
       return false;
     }
+    
+    if (this.usesIndexedDB(key)) {
+      this.records.set(key, item);
+      this.persist(key);
+      return true;
+    }
+    
+    try {
+      localStorage.setItem(this.localKey(key), item);
+      return true;
+    } catch (error) {
+      if (!this.isQuotaError(error)) {
+        console.error('Error writing to localStorage:', error);
+        return false;
+      }
+      return this.recover(key, item);
+    }
   },
   
   remove(key) {
     try {
-      localStorage.removeItem(key);
+      if (this.records.delete(key)) {
+        this.queue(() => this.transaction('readwrite', store => store.delete(key)));
+      }
+      localStorage.removeItem(this.localKey(key));
       return true;
     } catch (error) {
-      console.error('Error removing from localStorage:', error);
+      console.error('Error removing from storage:', error);
+      return false;
+    }
+  },
+  
+  queue(write) {
+    this.writes = this.writes.then(write).catch(error => console.error('Error writing to IndexedDB:', error));
+    return this.writes;
+  },
+  
+  /**
+   * @returns {Promise<void>} Resolves once every queued IndexedDB write has finished
+   */
+  flush() {
+    return this.writes;
+  },
+  
+  /**
+   * Queue an IndexedDB write of a record's latest value
+   * @param {string} key - Key in Storage.records
+   * @param {boolean} retry - Whether space has already been freed once
+   */
+  persist(key, retry = false) {
+    this.queue(async () => {
+      if (!this.records.has(key)) return;
+      
+      try {
+        await this.transaction('readwrite', store => store.put({ key, value: this.records.get(key) }));
+        if (retry) this.reportQuota(key, true);
+      } catch (error) {
+        if (!this.isQuotaError(error)) throw error;
+        
+        if (!retry && this.freeSpace(key, true)) {
+          this.persist(key, true);
+        } else {
+          this.reportQuota(key, false);
+        }
+      }
+    });
+  },
+  
+  /**
+   * Clear expendable data (see AppConfig.storage.expendableKeys) to make room
+   * @param {string} keep - Key being saved, which is never cleared
+   * @param {boolean} indexed - Whether IndexedDB (true) or localStorage (false)
+   *   is full; only keys kept there are cleared, since clearing the other
+   *   store frees nothing
+   * @returns {boolean} Whether anything was cleared
+   */
+  freeSpace(keep, indexed) {
+    const cleared = AppConfig.storage.expendableKeys.filter(key =>
+      key !== keep && this.usesIndexedDB(key) === indexed && this.get(key) !== null
+    );
+    cleared.forEach(key => this.remove(key));
+    return cleared.length > 0;
+  },
+  
+  /**
+   * localStorage is full: clear expendable data and retry, then fall back to
+   * keeping the value in IndexedDB
+   */
+  recover(key, item) {
+    if (this.freeSpace(key, false)) {
+      try {
+        localStorage.setItem(this.localKey(key), item);
+        this.reportQuota(key, true);
+        return true;
+      } catch (error) {
+        // Still full; try IndexedDB
+      }
+    }
+    
+    if (this.db) {
+      localStorage.removeItem(this.localKey(key));
+      this.records.set(key, item);
+      this.persist(key);
+      this.reportQuota(key, true);
+      return true;
+    }
+    
+    this.reportQuota(key, false);
+    return false;
+  },
+  
+  reportQuota(key, saved) {
+    document.dispatchEvent(new CustomEvent('shoresquad:storage-full', {
+      detail: { key, saved }
+    }));
+  },
+  
+  getVersion() {
+    return Number(this.readLocal('version')) || 0;
+  },
+  
+  /**
+   * Run the migrations between two schema versions
+   * @param {Object} data - Stored values by key
+   * @param {number} from - Schema version the data is in
+   * @returns {Object} Data in the current schema
+   */
+  upgrade(data, from) {
+    let upgraded = data;
+    for (let version = from + 1; version <= AppConfig.storage.version; version++) {
+      upgraded = this.migrations[version](upgraded);
+    }
+    return upgraded;
+  },
+  
+  async migrate() {
+    const from = this.getVersion();
+    if (from >= AppConfig.storage.version) return;
+    
+    let data;
+    let legacyKeys = [];
+    if (from === 0) {
+      legacyKeys = Object.keys(localStorage).filter(key => key.startsWith(`${AppConfig.storage.namespace}_`));
+      data = Object.fromEntries(legacyKeys.map(key => {
+        try {
+          return [key, JSON.parse(localStorage.getItem(key))];
+        } catch (error) {
+          return [key, null];
+        }
+      }));
+    } else {
+      data = this.readAll(false);
+    }
+    
+    // Keep the old data and version to retry next time if the upgrade can't be saved
+    if (!await this.replaceAll(this.upgrade(data, from))) {
+      throw new Error(`Couldn't save data migrated to version ${AppConfig.storage.version}`);
+    }
+    legacyKeys.forEach(key => localStorage.removeItem(key));
+    localStorage.setItem(this.localKey('version'), String(AppConfig.storage.version));
+    console.log(`🗄️ Storage migrated from version ${from} to ${AppConfig.storage.version}`);
+  },
+  
+  /**
+   * @param {boolean} skipCaches - Leave out AppConfig.storage.cacheKeys
+   * @returns {Object} Every stored value by key
+   */
+  readAll(skipCaches) {
+    const data = {};
+    Object.values(AppConfig.storageKeys).forEach(key => {
+      if (skipCaches && AppConfig.storage.cacheKeys.includes(key)) return;
+      
+      const value = this.get(key);
+      if (value !== null) data[key] = value;
+    });
+    return data;
+  },
+  
+  /**
+   * Overwrite stored values with `data`, removing keys it doesn't have
+   * (caches are kept unless `data` replaces them). Every value is written
+   * before anything is removed; if one can't be saved, the previous values
+   * are put back and nothing is removed.
+   * @param {Object} data - Values by key
+   * @returns {Promise<boolean>} Whether every value was saved
+   */
+  async replaceAll(data) {
+    const keys = Object.values(AppConfig.storageKeys);
+    const replaced = keys.filter(key => key in data && data[key] !== null);
+    const previous = Object.fromEntries(keys.map(key => [key, this.get(key)]));
+    const failed = new Set();
+    
+    // IndexedDB writes report running out of space once they have finished
+    const onFull = (e) => {
+      if (!e.detail.saved) failed.add(e.detail.key);
+    };
+    document.addEventListener('shoresquad:storage-full', onFull);
+    try {
+      replaced.forEach(key => {
+        if (!this.set(key, data[key])) failed.add(key);
+      });
+      await this.flush();
+    } finally {
+      document.removeEventListener('shoresquad:storage-full', onFull);
+    }
+    
+    if (failed.size > 0) {
+      keys.forEach(key => {
+        if (previous[key] === null) {
+          this.remove(key);
+        } else {
+          this.set(key, previous[key]);
+        }
+      });
+      await this.flush();
       return false;
     }
+    
+    keys
+      .filter(key => !replaced.includes(key) && !AppConfig.storage.cacheKeys.includes(key))
+      .forEach(key => this.remove(key));
+    await this.flush();
+    return true;
+  },
+  
+  /**
+   * Everything the user has saved, for moving to another device
+   * @returns {{app: string, version: number, exportedAt: string, data: Object}}
+   */
+  exportData() {
+    return {
+      app: 'ShoreSquad',
+      version: AppConfig.storage.version,
+      exportedAt: new Date().toISOString(),
+      data: this.readAll(true)
+    };
+  },
+  
+  /**
+   * Replace saved data with a backup from exportData(), upgrading it first
+   * if it was made by an older version
+   * @param {Object} backup - Parsed backup file
+   * @returns {Promise<number>} Number of values restored
+   * @throws {Error} If the file isn't a backup this version can read, or
+   *   there isn't room to save it (the current data is left as it was)
+   */
+  async importData(backup) {
+    if (!backup || backup.app !== 'ShoreSquad' || !Number.isInteger(backup.version) ||
+        !backup.data || typeof backup.data !== 'object') {
+      throw new Error(t('backup.invalid'));
+    }
+    
+    if (backup.version > AppConfig.storage.version) {
+      throw new Error(t('backup.newer'));
+    }
+    
+    const data = this.upgrade(backup.data, backup.version);
+    AppConfig.storage.cacheKeys.forEach(key => delete data[key]);
+    
+    if (!await this.replaceAll(data)) {
+      throw new Error(t('backup.restoreFailed'));
+    }
+    
+    return Object.keys(data).filter(key => Object.values(AppConfig.storageKeys).includes(key)).length;
+  }
+};
+
+/**
+ * The person using this device. A local profile is created on first use
+ * until the app has real accounts.
+ * @returns {{id: string, name: string}}
+ */
+function getCurrentUser() {
+  if (!AppState.currentUser) {
+    const saved = Storage.get(AppConfig.storageKeys.profile);
+    AppState.currentUser = saved || {
+      id: `user-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: 'You'
+    };
+    
+    if (!saved) {
+      Storage.set(AppConfig.storageKeys.profile, AppState.currentUser);
+    }
+  }
+  
+  return AppState.currentUser;
+}
+
+/**
+ * Saved settings (units, reminders, language, …) over the defaults
+ * @returns {Object}
+ */
+function getPreferences() {
+  return { ...AppConfig.defaultPreferences, ...Storage.get(AppConfig.storageKeys.preferences) };
+}
+
+/**
+ * Save settings and let every component pick them up straight away
+ * @param {Object} changes - Settings to change
+ * @returns {Object} All settings
+ */
+function updatePreferences(changes) {
+  const saved = Storage.get(AppConfig.storageKeys.preferences) || {};
+  Storage.set(AppConfig.storageKeys.preferences, { ...saved, ...changes });
+  
+  const preferences = getPreferences();
+  document.dispatchEvent(new CustomEvent('shoresquad:preferences-changed', {
+    detail: { preferences, changes }
+  }));
+  return preferences;
+}
+
+/**
+ * Whether to skip animations: the motion setting, or the device's
+ * prefers-reduced-motion while that is left on 'system'
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+  const { motion } = getPreferences();
+  if (motion !== 'system') return motion === 'reduce';
+  return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+/**
+ * Scroll behavior for scrollIntoView() that respects the motion setting
+ * @returns {'auto'|'smooth'}
+ */
+function getScrollBehavior() {
+  return prefersReducedMotion() ? 'auto' : 'smooth';
+}
+
+/**
+ * Update the local profile (e.g. the display name shown to squadmates)
+ * @param {Object} changes - Profile fields to change
+ * @returns {{id: string, name: string}}
+ */
+function updateCurrentUser(changes) {
+  AppState.currentUser = { ...getCurrentUser(), ...changes };
+  Storage.set(AppConfig.storageKeys.profile, AppState.currentUser);
+  return AppState.currentUser;
+}
+
+/**
+ * Measurements in the units chosen in Settings. Everything is stored and
+ * compared in metric; only the display is converted.
+ */
+const Units = {
+  kmPerMile: 1.609344,
+  
+  /**
+   * @param {number} celsius - Temperature in °C
+   * @returns {string} e.g. '32°C' or '90°F'
+   */
+  temperature(celsius) {
+    if (getPreferences().temperatureUnit === 'f') {
+      return this.format(typeof celsius === 'number' ? celsius * 9 / 5 + 32 : celsius, 'fahrenheit');
+    }
+    return this.format(celsius, 'celsius');
+  },
+  
+  /**
+   * @param {number} km - Distance in kilometres
+   * @param {Object} options - Intl.NumberFormat digit options
+   * @returns {string} e.g. '2.4 km' or '1.5 mi'
+   */
+  distance(km, options = { maximumFractionDigits: 1 }) {
+    if (getPreferences().distanceUnit === 'mi') {
+      return this.format(typeof km === 'number' ? km / this.kmPerMile : km, 'mile', options);
+    }
+    return this.format(km, 'kilometer', options);
+  },
+  
+  /**
+   * @param {number} kmh - Speed in km/h
+   * @returns {string} e.g. '25 km/h' or '16 mph'
+   */
+  speed(kmh) {
+    if (getPreferences().distanceUnit === 'mi') {
+      return this.format(typeof kmh === 'number' ? kmh / this.kmPerMile : kmh, 'mile-per-hour');
+    }
+    return this.format(kmh, 'kilometer-per-hour');
+  },
+  
+  format(value, unit, options = { maximumFractionDigits: 0 }) {
+    if (typeof value !== 'number') return t('common.notAvailable');
+    return I18n.formatNumber(value, { style: 'unit', unit, ...options });
   }
 };
 
@@ -164,13 +845,14 @@ class MobileNav {
 // ============================================
 class ScrollAnimations {
   constructor() {
-    this.elements = document.querySelectorAll('[data-animate]');
+    // Elements kept across a keyed re-render have already faded in
+    this.elements = document.querySelectorAll('[data-animate]:not(.visible)');
     this.init();
   }
   
   init() {
-    if (!('IntersectionObserver' in window)) {
-      // Fallback for browsers without IntersectionObserver
+    if (!('IntersectionObserver' in window) || prefersReducedMotion()) {
+      // Fallback for browsers without IntersectionObserver, and no fade-ins with reduced motion
       this.elements.forEach(el => el.classList.add('visible'));
       return;
     }
@@ -203,13 +885,16 @@ class ScrollAnimations {
 class CounterAnimation {
   constructor() {
     this.counters = document.querySelectorAll('.stat-number[data-count]');
+    this.revealed = new WeakSet();
+    this.frames = new WeakMap();
     this.init();
   }
   
   init() {
     if (!('IntersectionObserver' in window)) {
       this.counters.forEach(counter => {
-        counter.textContent = counter.dataset.count;
+        this.revealed.add(counter);
+        counter.textContent = I18n.formatNumber(parseInt(counter.dataset.count));
       });
       return;
     }
@@ -217,6 +902,7 @@ class CounterAnimation {
     const observer = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
+          this.revealed.add(entry.target);
           this.animateCounter(entry.target);
           observer.unobserve(entry.target);
         }
@@ -224,416 +910,7275 @@ class CounterAnimation {
     }, { threshold: 0.5 });
     
     this.counters.forEach(counter => observer.observe(counter));
+    
+    // Jump running counters to their totals when motion is turned down
+    document.addEventListener('shoresquad:preferences-changed', (e) => {
+      if (!('motion' in e.detail.changes) || !prefersReducedMotion()) return;
+      
+      this.counters.forEach(counter => {
+        if (this.revealed.has(counter)) this.animateCounter(counter);
+      });
+    });
+  }
+  
+  /**
+   * Change a counter's target. Counters already on screen animate from
+   * their current value; the rest pick it up when scrolled into view.
+   * @param {HTMLElement} element - A .stat-number element
+   * @param {number} value - New total
+   */
+  setCount(element, value) {
+    element.dataset.count = value;
+    
+    if (this.revealed.has(element)) {
+      const current = parseInt(element.textContent.replace(/\D/g, '')) || 0;
+      this.animateCounter(element, current);
+    }
   }
   
-  animateCounter(element) {
-    const target = parseInt(element.dataset.count);
+  animateCounter(element, from = 0) {
+    const target = parseInt(element.dataset.count) || 0;
     const duration = 2000;
-    const increment = target / (duration / 16);
-    let current = 0;
+    const increment = (target - from) / (duration / 16);
+    let current = from;
+    
+    cancelAnimationFrame(this.frames.get(element));
+    
+    if (prefersReducedMotion()) {
+      element.textContent = I18n.formatNumber(target);
+      return;
+    }
     
     const updateCounter = () => {
       current += increment;
-      if (current < target) {
-        element.textContent = Math.floor(current).toLocaleString();
-        requestAnimationFrame(updateCounter);
+      if (increment !== 0 && (increment > 0 ? current < target : current > target)) {
+        element.textContent = I18n.formatNumber(Math.floor(current));
+        this.frames.set(element, requestAnimationFrame(updateCounter));
       } else {
-        element.textContent = target.toLocaleString();
+        element.textContent = I18n.formatNumber(target);
       }
     };
     
-    requestAnimationFrame(updateCounter);
+    this.frames.set(element, requestAnimationFrame(updateCounter));
   }
 }
 
 // ============================================
-// Geolocation API Integration
+// Notification Center
 // ============================================
-class LocationService {
+class NotificationCenter {
   constructor() {
-    this.findButton = document.getElementById('findCleanupBtn');
+    this.stack = document.querySelector('.toast-stack');
+    this.politeRegion = document.getElementById('notificationAnnouncer');
+    this.alertRegion = document.getElementById('notificationAlert');
+    this.toggle = document.querySelector('.notifications-toggle');
+    this.unreadBadge = document.querySelector('.notifications-unread');
+    this.panel = document.getElementById('notificationHistory');
+    this.historyList = this.panel?.querySelector('.notification-history');
+    this.queue = [];
+    this.visible = new Map();
+    this.history = [];
+    this.nextId = 0;
     this.init();
   }
   
   init() {
-    if (!this.findButton) return;
+    const saved = Storage.get(AppConfig.storageKeys.notifications);
+    this.history = Array.isArray(saved) ? saved : [];
     
-    this.findButton.addEventListener('click', () => this.getUserLocation());
+    if (this.stack) {
+      this.stack.addEventListener('click', (e) => {
+        const toast = e.target.closest('.toast');
+        if (!toast) return;
+        
+        const actionButton = e.target.closest('.toast-action');
+        if (actionButton) {
+          this.runAction(toast.dataset.id, Number(actionButton.dataset.actionIndex));
+        } else if (e.target.closest('.toast-dismiss')) {
+          this.dismiss(toast.dataset.id);
+        }
+      });
+      
+      // Hold toasts on screen while the user is reading or tabbing through them
+      this.stack.addEventListener('mouseenter', () => this.pauseTimers());
+      this.stack.addEventListener('mouseleave', () => this.resumeTimers());
+      this.stack.addEventListener('focusin', () => this.pauseTimers());
+      this.stack.addEventListener('focusout', (e) => {
+        if (!this.stack.contains(e.relatedTarget)) this.resumeTimers();
+      });
+    }
     
-    // Load last known location
-    const lastLocation = Storage.get(AppConfig.localStorageKeys.lastLocation);
-    if (lastLocation) {
-      AppState.userLocation = lastLocation;
+    if (this.toggle && this.panel) {
+      this.toggle.addEventListener('click', () => this.togglePanel());
+      
+      this.panel.addEventListener('click', (e) => {
+        if (e.target.closest('.notification-clear')) this.clearHistory();
+      });
+      
+      document.addEventListener('click', (e) => {
+        if (!this.panel.hidden && !this.panel.contains(e.target) && !this.toggle.contains(e.target)) {
+          this.togglePanel(false);
+        }
+      });
+      
+      document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !this.panel.hidden) {
+          this.togglePanel(false);
+          this.toggle.focus();
+        }
+      });
     }
+    
+    this.renderHistory();
   }
   
-  getUserLocation() {
-    if (!('geolocation' in navigator)) {
-      this.showLocationError('Geolocation is not supported by your browser');
-      return;
-    }
+  /**
+   * Show a toast, queueing it when the stack is full
+   * @param {string} message - Text to show
+   * @param {Object} options - Display options
+   * @param {'info'|'success'|'error'} options.type - Toast style
+   * @param {Array<{label: string, onClick: Function}>} options.actions - Action buttons
+   * @param {number} options.duration - Milliseconds on screen; 0 keeps it until dismissed
+   * @param {boolean} options.record - Whether to keep it in the history panel
+   * @returns {string} Notification ID
+   */
+  notify(message, { type = 'info', actions = [], duration, record = true } = {}) {
+    const notification = {
+      id: `notification-${Date.now().toString(36)}-${this.nextId++}`,
+      message,
+      type,
+      actions,
+      duration: duration ?? (actions.length > 0 ? AppConfig.notifications.actionDuration : AppConfig.notifications.duration),
+      createdAt: Date.now()
+    };
     
-    this.findButton.textContent = '📍 Finding your location...';
-    this.findButton.disabled = true;
+    if (record) this.addToHistory(notification);
+    this.announce(notification);
     
-    navigator.geolocation.getCurrentPosition(
-      (position) => this.handleLocationSuccess(position),
-      (error) => this.handleLocationError(error),
-      {
-        enableHighAccuracy: true,
-        timeout: 5000,
-        maximumAge: 0
-      }
-    );
+    if (this.visible.size < AppConfig.notifications.maxVisible) {
+      this.show(notification);
+    } else {
+      this.queue.push(notification);
+    }
+    
+    return notification.id;
   }
   
-  handleLocationSuccess(position) {
-    const { latitude, longitude } = position.coords;
-    AppState.userLocation = { latitude, longitude };
+  /**
+   * Read the message out through the matching live region
+   * @param {Object} notification - Notification being shown
+   */
+  announce(notification) {
+    const region = notification.type === 'error' ? this.alertRegion : this.politeRegion;
+    if (!region) return;
     
-    // Save to localStorage
-    Storage.set(AppConfig.localStorageKeys.lastLocation, AppState.userLocation);
-    
-    this.findButton.textContent = '✓ Location Found!';
-    this.findButton.disabled = false;
+    // A fresh node is announced even when the same text is repeated
+    const line = document.createElement('p');
+    line.textContent = notification.message;
+    region.appendChild(line);
+    setTimeout(() => line.remove(), 7000);
+  }
+  
+  show(notification) {
+    if (!this.stack) return;
     
-    // Reset button text after 2 seconds
-    setTimeout(() => {
-      this.findButton.textContent = '📍 Find Cleanup Near Me';
-    }, 2000);
+    const element = Template.toElement(html`
+      <div class="toast toast-${notification.type}" data-id="${notification.id}">
+        <p class="toast-message">${notification.message}</p>
+        ${notification.actions.map((action, index) => html`
+          <button type="button" class="toast-action" data-action-index="${index}">${action.label}</button>
+        `)}
+        <button type="button" class="toast-dismiss" aria-label="${t('notifications.dismiss')}">
+          <span aria-hidden="true">&times;</span>
+        </button>
+      </div>
+    `);
     
-    // Fetch cleanups near this location (would integrate with backend)
-    console.log('User location:', AppState.userLocation);
-    this.showNotification('Found cleanups near you!', 'success');
+    this.stack.appendChild(element);
+    this.visible.set(notification.id, { notification, element, timer: null });
+    this.startTimer(notification.id);
   }
   
-  handleLocationError(error) {
-    let message = 'Unable to get your location';
+  startTimer(id) {
+    const entry = this.visible.get(id);
+    if (!entry || entry.notification.duration <= 0) return;
     
-    switch(error.code) {
-      case error.PERMISSION_DENIED:
-        message = 'Location permission denied. Please enable location access.';
-        break;
-      case error.POSITION_UNAVAILABLE:
-        message = 'Location information unavailable.';
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => this.dismiss(id), entry.notification.duration);
+  }
+  
+  pauseTimers() {
+    this.visible.forEach(entry => clearTimeout(entry.timer));
+  }
+  
+  resumeTimers() {
+    this.visible.forEach((entry, id) => this.startTimer(id));
+  }
+  
+  dismiss(id) {
+    const entry = this.visible.get(id);
+    
+    if (!entry) {
+      this.queue = this.queue.filter(notification => notification.id !== id);
+      return;
+    }
+    
+    clearTimeout(entry.timer);
+    this.visible.delete(id);
+    entry.element.classList.add('is-leaving');
+    setTimeout(() => entry.element.remove(), 300);
+    
+    if (this.queue.length > 0) {
+      this.show(this.queue.shift());
+    }
+  }
+  
+  runAction(id, index) {
+    const entry = this.visible.get(id);
+    const action = entry && entry.notification.actions[index];
+    if (!action) return;
+    
+    this.dismiss(id);
+    action.onClick();
+  }
+  
+  addToHistory(notification) {
+    const { id, message, type, createdAt } = notification;
+    this.history = [{ id, message, type, createdAt, read: false }, ...this.history]
+      .slice(0, AppConfig.notifications.historyLimit);
+    
+    // Anything that arrives while the panel is open has been seen
+    if (this.panel && !this.panel.hidden) {
+      this.history[0].read = true;
+    }
+    
+    Storage.set(AppConfig.storageKeys.notifications, this.history);
+    this.renderHistory();
+  }
+  
+  clearHistory() {
+    this.history = [];
+    Storage.set(AppConfig.storageKeys.notifications, this.history);
+    this.renderHistory();
+  }
+  
+  togglePanel(open = this.panel.hidden) {
+    this.panel.hidden = !open;
+    this.toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+    
+    if (open) {
+      this.history = this.history.map(item => ({ ...item, read: true }));
+      Storage.set(AppConfig.storageKeys.notifications, this.history);
+      this.renderHistory();
+    }
+  }
+  
+  renderHistory() {
+    const unread = this.history.filter(item => !item.read).length;
+    
+    if (this.unreadBadge) {
+      this.unreadBadge.hidden = unread === 0;
+      this.unreadBadge.textContent = unread > 9 ? '9+' : String(unread);
+    }
+    if (this.toggle) {
+      this.toggle.setAttribute('aria-label', unread > 0 ? t('notifications.unread', { count: unread }) : t('notifications.title'));
+    }
+    
+    if (!this.historyList) return;
+    
+    Template.renderList(this.historyList, this.history, {
+      key: item => item.id,
+      render: item => html`
+        <li class="notification-history-item notification-history-${item.type}">
+          <p>${item.message}</p>
+          <time datetime="${new Date(item.createdAt).toISOString()}">${formatTimeAgo(item.createdAt)}</time>
+        </li>
+      `,
+      empty: () => html`<li class="notification-history-empty text-muted">${t('notifications.empty')}</li>`
+    });
+  }
+}
+
+// ============================================
+// Beach & Postcode Lookup
+// ============================================
+
+/**
+ * Offline directory for the manual location fallback.
+ * Postcodes resolve to the approximate centre of their postal district,
+ * keyed by the first two digits (the postal sector).
+ */
+const BeachDirectory = {
+  beaches: [
+    { name: 'Pasir Ris Beach', latitude: 1.381497, longitude: 103.955574 },
+    { name: 'Changi Beach Park', latitude: 1.390600, longitude: 103.991100 },
+    { name: 'East Coast Park', latitude: 1.300800, longitude: 103.912200 },
+    { name: 'Punggol Beach', latitude: 1.415500, longitude: 103.911700 },
+    { name: 'Sembawang Park', latitude: 1.461400, longitude: 103.836300 },
+    { name: 'West Coast Park', latitude: 1.293400, longitude: 103.765400 },
+    { name: 'Siloso Beach, Sentosa', latitude: 1.254600, longitude: 103.810000 },
+    { name: 'Palawan Beach, Sentosa', latitude: 1.249400, longitude: 103.822400 },
+    { name: 'Tanjong Beach, Sentosa', latitude: 1.244400, longitude: 103.828900 },
+    { name: 'Lazarus Island', latitude: 1.223400, longitude: 103.853900 }
+  ],
+  
+  postalDistricts: [
+    { sectors: ['01', '02', '03', '04', '05', '06'], latitude: 1.2830, longitude: 103.8510, name: 'Raffles Place' },
+    { sectors: ['07', '08'], latitude: 1.2765, longitude: 103.8456, name: 'Tanjong Pagar' },
+    { sectors: ['14', '15', '16'], latitude: 1.2884, longitude: 103.8090, name: 'Queenstown' },
+    { sectors: ['09', '10'], latitude: 1.2706, longitude: 103.8190, name: 'Telok Blangah' },
+    { sectors: ['11', '12', '13'], latitude: 1.3000, longitude: 103.7700, name: 'Pasir Panjang' },
+    { sectors: ['17'], latitude: 1.2930, longitude: 103.8530, name: 'Beach Road' },
+    { sectors: ['18', '19'], latitude: 1.3000, longitude: 103.8590, name: 'Golden Mile' },
+    { sectors: ['20', '21'], latitude: 1.3080, longitude: 103.8510, name: 'Little India' },
+    { sectors: ['22', '23'], latitude: 1.3030, longitude: 103.8320, name: 'Orchard' },
+    { sectors: ['24', '25', '26', '27'], latitude: 1.3180, longitude: 103.8000, name: 'Bukit Timah' },
+    { sectors: ['28', '29', '30'], latitude: 1.3250, longitude: 103.8420, name: 'Novena' },
+    { sectors: ['31', '32', '33'], latitude: 1.3300, longitude: 103.8540, name: 'Toa Payoh' },
+    { sectors: ['34', '35', '36', '37'], latitude: 1.3350, longitude: 103.8800, name: 'Macpherson' },
+    { sectors: ['38', '39', '40', '41'], latitude: 1.3180, longitude: 103.8950, name: 'Geylang' },
+    { sectors: ['42', '43', '44', '45'], latitude: 1.3050, longitude: 103.9050, name: 'Katong' },
+    { sectors: ['46', '47', '48'], latitude: 1.3240, longitude: 103.9300, name: 'Bedok' },
+    { sectors: ['49', '50', '81'], latitude: 1.3650, longitude: 103.9700, name: 'Changi' },
+    { sectors: ['51', '52'], latitude: 1.3600, longitude: 103.9450, name: 'Tampines' },
+    { sectors: ['53', '54', '55', '82'], latitude: 1.3700, longitude: 103.8900, name: 'Hougang' },
+    { sectors: ['56', '57'], latitude: 1.3600, longitude: 103.8450, name: 'Ang Mo Kio' },
+    { sectors: ['58', '59'], latitude: 1.3400, longitude: 103.7750, name: 'Upper Bukit Timah' },
+    { sectors: ['60', '61', '62', '63', '64'], latitude: 1.3400, longitude: 103.7200, name: 'Jurong' },
+    { sectors: ['65', '66', '67', '68'], latitude: 1.3750, longitude: 103.7600, name: 'Bukit Panjang' },
+    { sectors: ['69', '70', '71'], latitude: 1.4100, longitude: 103.7100, name: 'Lim Chu Kang' },
+    { sectors: ['72', '73'], latitude: 1.4350, longitude: 103.7600, name: 'Kranji' },
+    { sectors: ['75', '76'], latitude: 1.4400, longitude: 103.8300, name: 'Yishun' },
+    { sectors: ['77', '78'], latitude: 1.4000, longitude: 103.8200, name: 'Upper Thomson' },
+    { sectors: ['79', '80'], latitude: 1.4050, longitude: 103.8700, name: 'Seletar' }
+  ],
+  
+  /**
+   * Resolve a beach name or Singapore postcode to coordinates
+   * @param {string} query - Beach name (partial match) or 6-digit postcode
+   * @returns {{name: string, latitude: number, longitude: number}|null}
+   */
+  lookup(query) {
+    const text = (query || '').trim().toLowerCase();
+    if (!text) return null;
+    
+    if (/^\d{6}$/.test(text)) {
+      const sector = text.slice(0, 2);
+      const district = this.postalDistricts.find(d => d.sectors.includes(sector));
+      return district ? { name: `${district.name} (${text})`, latitude: district.latitude, longitude: district.longitude } : null;
+    }
+    
+    return this.beaches.find(beach => beach.name.toLowerCase() === text) ||
+      this.beaches.find(beach => beach.name.toLowerCase().includes(text)) ||
+      null;
+  },
+  
+  /**
+   * Closest beach to a point, if any is within range
+   * @param {{latitude: number, longitude: number}} coordinates - Point to search from
+   * @param {number} withinKm - Maximum distance
+   * @returns {{name: string, latitude: number, longitude: number}|null}
+   */
+  nearestBeach(coordinates, withinKm) {
+    let best = null;
+    let bestDistance = withinKm;
+    
+    this.beaches.forEach(beach => {
+      const distance = haversineDistance(coordinates, beach);
+      if (distance <= bestDistance) {
+        best = beach;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+};
+
+// ============================================
+// Modal Dialogs
+// ============================================
+class ModalDialog {
+  /**
+   * @param {HTMLElement} element - Element with class "modal" wrapping a role="dialog" panel
+   */
+  constructor(element) {
+    this.element = element;
+    this.panel = element?.querySelector('[role="dialog"]');
+    this.isOpen = false;
+    this.returnFocus = null;
+    this.onClose = null;
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.element || !this.panel) return;
+    
+    // Close buttons and backdrop clicks
+    this.element.addEventListener('click', (e) => {
+      if (e.target.closest('[data-modal-close]') || e.target === this.element) {
+        this.close();
+      }
+    });
+    
+    // Close on escape key and keep focus inside the dialog
+    document.addEventListener('keydown', (e) => {
+      if (!this.isOpen) return;
+      
+      if (e.key === 'Escape') {
+        this.close();
+      } else if (e.key === 'Tab') {
+        this.trapFocus(e);
+      }
+    });
+  }
+  
+  getFocusableElements() {
+    const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    return Array.from(this.panel.querySelectorAll(selector)).filter(el => !el.closest('[hidden]'));
+  }
+  
+  trapFocus(e) {
+    const focusable = this.getFocusableElements();
+    if (focusable.length === 0) return;
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+  
+  open() {
+    if (!this.panel || this.isOpen) return;
+    
+    this.returnFocus = document.activeElement;
+    this.element.hidden = false;
+    this.element.classList.add('active');
+    this.isOpen = true;
+    document.body.style.overflow = 'hidden'; // Prevent scroll
+    
+    const [firstField] = this.getFocusableElements().filter(el => !el.matches('[data-modal-close]'));
+    (firstField || this.panel).focus();
+  }
+  
+  close() {
+    if (!this.isOpen) return;
+    
+    this.element.classList.remove('active');
+    this.element.hidden = true;
+    this.isOpen = false;
+    document.body.style.overflow = '';
+    
+    if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+      this.returnFocus.focus();
+    }
+    
+    if (this.onClose) {
+      this.onClose();
+    }
+  }
+}
+
+// ============================================
+// Form Validation Messages
+// ============================================
+
+/**
+ * Shows validation errors next to form fields. Each field's message goes in
+ * the element with id "<form id>-<field name>-error", which the field lists
+ * in its aria-describedby.
+ */
+const FormErrors = {
+  /**
+   * @param {HTMLFormElement} form - Form holding the field
+   * @param {string} name - Field name
+   * @param {string} message - Error to show, or '' to clear it
+   */
+  set(form, name, message) {
+    const field = form.elements[name];
+    const error = document.getElementById(`${form.id}-${name}-error`);
+    if (!field || !error) return;
+    
+    error.textContent = message;
+    if (message) {
+      field.setAttribute('aria-invalid', 'true');
+    } else {
+      field.removeAttribute('aria-invalid');
+    }
+  },
+  
+  /**
+   * Replace every field's error with the ones given, focusing the first invalid field
+   * @param {HTMLFormElement} form - Form to update
+   * @param {Object} errors - Map of field name to error message
+   * @param {HTMLElement} formError - Optional form-level message to clear
+   * @returns {boolean} Whether the form is valid
+   */
+  show(form, errors, formError = null) {
+    Array.from(form.elements).forEach(field => {
+      if (field.name) this.set(form, field.name, errors[field.name] || '');
+    });
+    if (formError) formError.textContent = '';
+    
+    const invalidNames = Object.keys(errors);
+    if (invalidNames.length > 0) {
+      form.elements[invalidNames[0]].focus();
+    }
+    return invalidNames.length === 0;
+  },
+  
+  clear(form, formError = null) {
+    this.show(form, {}, formError);
+  }
+};
+
+// ============================================
+// Geolocation API Integration
+// ============================================
+class LocationService {
+  constructor(eventStore, notifications) {
+    this.eventStore = eventStore;
+    this.notifications = notifications;
+    this.findButton = document.getElementById('findCleanupBtn');
+    this.manualForm = document.getElementById('manualLocationForm');
+    this.manualToggle = document.getElementById('manualLocationToggle');
+    this.init();
+  }
+  
+  init() {
+    if (!this.findButton) return;
+    
+    this.findButton.addEventListener('click', () => this.getUserLocation());
+    
+    if (this.manualToggle) {
+      this.manualToggle.addEventListener('click', () => this.showManualForm());
+    }
+    
+    if (this.manualForm) {
+      this.manualForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleManualLocation(this.manualForm.elements.query.value);
+      });
+      this.populateBeachSuggestions();
+    }
+    
+    // Measure distances from the home beach, else the last known location
+    const origin = this.getHomeBeach() || Storage.get(AppConfig.storageKeys.lastLocation);
+    if (origin) {
+      AppState.userLocation = { latitude: origin.latitude, longitude: origin.longitude };
+    }
+    
+    document.addEventListener('shoresquad:preferences-changed', (e) => this.handlePreferencesChange(e.detail.changes));
+  }
+  
+  /**
+   * The home beach picked in Settings, if any
+   * @returns {{name: string, latitude: number, longitude: number}|null}
+   */
+  getHomeBeach() {
+    const { homeBeach } = getPreferences();
+    return homeBeach ? BeachDirectory.lookup(homeBeach) : null;
+  }
+  
+  handlePreferencesChange(changes) {
+    const filter = AppState.locationFilter;
+    
+    if ('homeBeach' in changes && (!filter || filter.source === 'home')) {
+      const home = this.getHomeBeach();
+      
+      if (filter && home) {
+        this.applyLocation(home, 'home');
+      } else if (!filter) {
+        const origin = home || Storage.get(AppConfig.storageKeys.lastLocation);
+        AppState.userLocation = origin ? { latitude: origin.latitude, longitude: origin.longitude } : null;
+        document.dispatchEvent(new CustomEvent('shoresquad:location-changed', {
+          detail: { location: AppState.userLocation, source: 'home' }
+        }));
+      }
+    } else if ('radiusKm' in changes && filter) {
+      // Re-run the current search with the new radius
+      this.applyLocation(AppState.userLocation, filter.source);
+    }
+  }
+  
+  getUserLocation() {
+    if (!('geolocation' in navigator)) {
+      this.showLocationError(t('location.unsupported'));
+      return;
+    }
+    
+    this.findButton.textContent = t('location.finding');
+    this.findButton.disabled = true;
+    
+    navigator.geolocation.getCurrentPosition(
+      (position) => this.handleLocationSuccess(position),
+      (error) => this.handleLocationError(error),
+      AppConfig.geolocation
+    );
+  }
+  
+  /**
+   * One-off position fix that leaves the cleanups search alone
+   * @returns {Promise<{latitude: number, longitude: number, accuracy: number}|null>}
+   *   Accuracy is in metres; null when location is unsupported or denied
+   */
+  getCurrentPosition() {
+    if (!('geolocation' in navigator)) return Promise.resolve(null);
+    
+    return new Promise((resolve) => {
+      navigator.geolocation.getCurrentPosition(
+        ({ coords }) => resolve({ latitude: coords.latitude, longitude: coords.longitude, accuracy: coords.accuracy }),
+        (error) => {
+          console.warn('Location unavailable:', error.message);
+          resolve(null);
+        },
+        AppConfig.geolocation
+      );
+    });
+  }
+  
+  handleLocationSuccess(position) {
+    const { latitude, longitude } = position.coords;
+    
+    this.findButton.textContent = t('location.found');
+    this.findButton.disabled = false;
+    
+    // Reset button text after 2 seconds
+    setTimeout(() => {
+      this.findButton.textContent = `📍 ${t('location.find')}`;
+    }, 2000);
+    
+    const nearby = this.applyLocation({ latitude, longitude }, 'gps');
+    this.notifyNearby(nearby, t('location.originYou'));
+  }
+  
+  /**
+   * Store a location and rank the cleanups list around it
+   * @param {{latitude: number, longitude: number}} location - Coordinates to search from
+   * @param {string} source - 'gps', 'saved', 'home' or 'manual'
+   * @returns {Array} Upcoming events within the search radius
+   */
+  applyLocation(location, source) {
+    const { radiusKm } = getPreferences();
+    AppState.userLocation = { latitude: location.latitude, longitude: location.longitude };
+    AppState.locationFilter = { radiusKm, source };
+    
+    // Remember it (saved and home locations are already stored)
+    if (source === 'gps' || source === 'manual') {
+      Storage.set(AppConfig.storageKeys.lastLocation, AppState.userLocation);
+    }
+    
+    document.dispatchEvent(new CustomEvent('shoresquad:location-changed', {
+      detail: { location: AppState.userLocation, source }
+    }));
+    
+    return this.eventStore ? this.eventStore.getNearby(AppState.userLocation, radiusKm) : [];
+  }
+  
+  notifyNearby(nearby, origin, prefix = '') {
+    const radius = Units.distance(getPreferences().radiusKm);
+    
+    if (nearby.length > 0) {
+      this.notifications.notify(`${prefix}${t('location.nearby', { count: nearby.length, radius, origin })}`, { type: 'success' });
+    } else {
+      this.notifications.notify(`${prefix}${t('location.noneNearby', { radius, origin })}`);
+    }
+  }
+  
+  showManualForm() {
+    if (!this.manualForm) return;
+    
+    this.manualForm.hidden = false;
+    if (this.manualToggle) {
+      this.manualToggle.setAttribute('aria-expanded', 'true');
+    }
+    this.manualForm.elements.query.focus();
+  }
+  
+  populateBeachSuggestions() {
+    const list = document.getElementById('beachSuggestions');
+    if (!list) return;
+    
+    list.innerHTML = BeachDirectory.beaches
+      .map(beach => `<option value="${escapeHtml(beach.name)}"></option>`)
+      .join('');
+  }
+  
+  handleManualLocation(query) {
+    const match = BeachDirectory.lookup(query);
+    
+    if (!match) {
+      this.notifications.notify(t('location.notFound'), { type: 'error' });
+      return;
+    }
+    
+    const nearby = this.applyLocation(match, 'manual');
+    this.notifyNearby(nearby, match.name);
+  }
+  
+  handleLocationError(error) {
+    let message = t('location.error');
+    
+    switch(error.code) {
+      case error.PERMISSION_DENIED:
+        message = t('location.denied');
+        break;
+      case error.POSITION_UNAVAILABLE:
+        message = t('location.unavailable');
         break;
       case error.TIMEOUT:
-        message = 'Location request timed out.';
+        message = t('location.timeout');
         break;
     }
     
     this.showLocationError(message);
   }
   
-  showLocationError(message) {
-    this.findButton.textContent = '📍 Find Cleanup Near Me';
-    this.findButton.disabled = false;
-    this.showNotification(message, 'error');
-  }
-  
-  showNotification(message, type = 'info') {
-    // Simple notification implementation
-    console.log(`[${type.toUpperCase()}] ${message}`);
-    
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.className = `notification notification-${type}`;
-    notification.textContent = message;
-    notification.style.cssText = `
-      position: fixed;
-      bottom: 20px;
-      right: 20px;
-      padding: 1rem 1.5rem;
-      background: ${type === 'success' ? '#06D6A0' : type === 'error' ? '#FB5607' : '#00B4D8'};
-      color: white;
-      border-radius: 0.5rem;
-      box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-      z-index: 10000;
-      animation: slideInUp 0.3s ease-out;
-    `;
+  showLocationError(message) {
+    this.findButton.textContent = `📍 ${t('location.find')}`;
+    this.findButton.disabled = false;
+    this.showManualForm();
+    
+    // Fall back to the home beach or the last location we saved, if any
+    const home = this.getHomeBeach();
+    if (home) {
+      const nearby = this.applyLocation(home, 'home');
+      this.notifyNearby(nearby, home.name, `${message} `);
+      return;
+    }
+    
+    const lastLocation = Storage.get(AppConfig.storageKeys.lastLocation);
+    if (lastLocation) {
+      const nearby = this.applyLocation(lastLocation, 'saved');
+      this.notifyNearby(nearby, t('location.originSaved'), `${message} `);
+      return;
+    }
+    
+    this.notifications.notify(`${message} ${t('location.searchInstead')}`, { type: 'error' });
+  }
+  
+}
+
+// ============================================
+// Cleanup Event Catalog
+// ============================================
+
+/**
+ * Persists events created on this device. Any object with the same async
+ * list()/save() interface (e.g. a REST client) can be passed to
+ * CleanupEventStore instead.
+ */
+const LocalEventAdapter = {
+  async list() {
+    return Storage.get(AppConfig.storageKeys.createdEvents) || [];
+  },
+  
+  async save(event) {
+    const events = await this.list();
+    events.push(event);
+    
+    if (!Storage.set(AppConfig.storageKeys.createdEvents, events)) {
+      throw new Error('Unable to save event on this device');
+    }
+    
+    return event;
+  }
+};
+
+class CleanupEventStore {
+  /**
+   * @param {string|Array} source - JSON URL or an in-memory array of events
+   * @param {Object} adapter - Backend for user-created events (see LocalEventAdapter)
+   */
+  constructor(source = AppConfig.cleanupEventsUrl, adapter = LocalEventAdapter) {
+    this.source = source;
+    this.adapter = adapter;
+    this.rawEvents = [];
+    this.events = [];
+    this.loaded = false;
+    this.init();
+  }
+  
+  async init() {
+    await this.load();
+  }
+  
+  async load() {
+    let rawEvents;
+    
+    if (Array.isArray(this.source)) {
+      rawEvents = this.source;
+    } else {
+      try {
+        const response = await fetch(this.source);
+        
+        if (!response.ok) {
+          throw new Error(`Events error: ${response.status}`);
+        }
+        
+        const result = await response.json();
+        rawEvents = Array.isArray(result) ? result : result.events;
+      } catch (error) {
+        console.error('Error loading cleanup events:', error);
+        console.log('Falling back to local sample events');
+        rawEvents = CleanupEventStore.sampleEvents();
+      }
+    }
+    
+    let createdEvents = [];
+    try {
+      createdEvents = await this.adapter.list();
+    } catch (error) {
+      console.error('Error loading created events:', error);
+    }
+    
+    this.setEvents([...(rawEvents || []), ...createdEvents]);
+    this.loaded = true;
+  }
+  
+  /**
+   * Save a new event through the adapter and add it to the catalog
+   * @param {Object} rawEvent - Event fields without an id
+   * @returns {Promise<Object>} The normalized event
+   */
+  async addEvent(rawEvent) {
+    const saved = await this.adapter.save({
+      ...rawEvent,
+      id: rawEvent.id || this.createId(rawEvent.title),
+      createdAt: new Date().toISOString()
+    });
+    
+    this.setEvents([...this.rawEvents, saved]);
+    
+    const event = this.getById(saved.id);
+    document.dispatchEvent(new CustomEvent('shoresquad:event-created', {
+      detail: { event, record: saved }
+    }));
+    return event;
+  }
+  
+  /**
+   * @param {string} title - Event title
+   * @returns {string} A new id built from the title
+   */
+  createId(title) {
+    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug}-${Date.now().toString(36)}`;
+  }
+  
+  setEvents(rawEvents) {
+    this.rawEvents = rawEvents;
+    this.events = rawEvents
+      .map(raw => this.normalizeEvent(raw))
+      .filter(Boolean)
+      .sort((a, b) => a.start - b.start);
+    
+    AppState.cleanupEvents = this.events;
+    document.dispatchEvent(new CustomEvent('shoresquad:events-changed', {
+      detail: { events: this.events }
+    }));
+  }
+  
+  /**
+   * Convert a raw JSON event into the internal event model
+   * @param {Object} raw - Event as stored in the JSON source
+   * @returns {Object|null} Normalized event, or null if required fields are missing
+   */
+  normalizeEvent(raw) {
+    if (!raw || !raw.id || !raw.title || !raw.startTime) {
+      console.warn('Skipping invalid cleanup event:', raw);
+      return null;
+    }
+    
+    const start = new Date(raw.startTime);
+    const end = new Date(raw.endTime || raw.startTime);
+    
+    if (isNaN(start) || isNaN(end)) {
+      console.warn('Skipping cleanup event with invalid dates:', raw);
+      return null;
+    }
+    
+    return {
+      id: String(raw.id),
+      title: raw.title,
+      beach: raw.beach || '',
+      coordinates: raw.coordinates || null,
+      startTime: raw.startTime,
+      endTime: raw.endTime || raw.startTime,
+      start,
+      end,
+      capacity: Number(raw.capacity) || 0,
+      attendeeCount: Number(raw.attendeeCount) || 0,
+      meetingPoint: raw.meetingPoint || '',
+      meetingCoordinates: raw.meetingCoordinates || raw.coordinates || null,
+      gearNotes: raw.gearNotes || '',
+      description: raw.description || '',
+      organizer: raw.organizer && raw.organizer.name
+        ? { name: raw.organizer.name, contact: raw.organizer.contact || '' }
+        : null,
+      // Public key (JWK) that check-in codes for this cleanup are verified against
+      checkInKey: raw.checkInKey || null
+    };
+  }
+  
+  getAll() {
+    return this.events;
+  }
+  
+  getUpcoming(now = new Date()) {
+    return this.events.filter(event => event.end >= now);
+  }
+  
+  getById(id) {
+    return this.events.find(event => event.id === id) || null;
+  }
+  
+  /**
+   * Upcoming events within a radius, nearest first
+   * @param {{latitude: number, longitude: number}} location - Search origin
+   * @param {number} radiusKm - Maximum distance in kilometres
+   * @returns {Array} Events paired with their distance: { event, distanceKm }
+   */
+  getNearby(location, radiusKm = getPreferences().radiusKm) {
+    return this.getUpcoming()
+      .filter(event => event.coordinates)
+      .map(event => ({ event, distanceKm: haversineDistance(location, event.coordinates) }))
+      .filter(({ distanceKm }) => distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+  
+  /**
+   * In-memory stand-in used when the JSON source cannot be reached
+   * (e.g. opening index.html straight from disk)
+   * @returns {Array}
+   */
+  static sampleEvents() {
+    const at = (days, hour) => {
+      const date = new Date();
+      date.setDate(date.getDate() + days);
+      date.setHours(hour, 0, 0, 0);
+      return date.toISOString();
+    };
+    
+    return [
+      {
+        id: 'pasir-ris-sunrise',
+        title: 'Pasir Ris Sunrise Sweep',
+        beach: 'Pasir Ris Beach',
+        coordinates: { latitude: 1.381497, longitude: 103.955574 },
+        startTime: at(1, 9),
+        endTime: at(1, 12),
+        capacity: 40,
+        attendeeCount: 24
+      },
+      {
+        id: 'east-coast-mega-clean',
+        title: 'East Coast Mega Clean',
+        beach: 'East Coast Park',
+        coordinates: { latitude: 1.300800, longitude: 103.912200 },
+        startTime: at(4, 8),
+        endTime: at(4, 13),
+        capacity: 100,
+        attendeeCount: 67
+      },
+      {
+        id: 'changi-coastal-trail',
+        title: 'Changi Coastal Trail Cleanup',
+        beach: 'Changi Beach Park',
+        coordinates: { latitude: 1.390600, longitude: 103.991100 },
+        startTime: at(9, 10),
+        endTime: at(9, 14),
+        capacity: 30,
+        attendeeCount: 12
+      }
+    ];
+  }
+}
+
+// ============================================
+// Search, Filter & Sort
+// ============================================
+
+/**
+ * Cleanup list filters, kept in the query string so a filtered view
+ * can be shared (?q=pasir&weather=safe&sort=date)
+ */
+const CleanupFilters = {
+  defaults: {
+    q: '',
+    from: '',
+    to: '',
+    distance: '',
+    weather: '',
+    favorites: false,
+    open: false,
+    sort: ''
+  },
+  
+  flags: ['favorites', 'open'],
+  
+  /**
+   * @param {string} search - Query string, e.g. window.location.search
+   * @returns {Object} Filters, with defaults for anything absent or invalid
+   */
+  fromQuery(search) {
+    const params = new URLSearchParams(search);
+    const filters = { ...this.defaults };
+    
+    Object.keys(this.defaults).forEach(key => {
+      if (!params.has(key)) return;
+      filters[key] = this.flags.includes(key) ? params.get(key) === '1' : params.get(key).trim();
+    });
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(filters.from)) filters.from = '';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(filters.to)) filters.to = '';
+    if (!(Number(filters.distance) > 0)) filters.distance = '';
+    if (!['safe', 'good'].includes(filters.weather)) filters.weather = '';
+    if (!['date', 'distance', 'weather', 'spots'].includes(filters.sort)) filters.sort = '';
+    
+    return filters;
+  },
+  
+  /**
+   * Write filters into a query string, keeping unrelated parameters
+   * @param {Object} filters - Current filters
+   * @param {string} search - Existing query string
+   * @returns {string} Query string including the leading "?", or ""
+   */
+  toQuery(filters, search = '') {
+    const params = new URLSearchParams(search);
+    
+    Object.keys(this.defaults).forEach(key => {
+      const value = filters[key];
+      if (value === this.defaults[key]) {
+        params.delete(key);
+      } else {
+        params.set(key, this.flags.includes(key) ? '1' : value);
+      }
+    });
+    
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  },
+  
+  isActive(filters) {
+    return Boolean(filters) && Object.keys(this.defaults)
+      .some(key => key !== 'sort' && filters[key] !== this.defaults[key]);
+  },
+  
+  /**
+   * Filter and sort list entries
+   * @param {Array} entries - Entries of { event, distanceKm }
+   * @param {Object|null} filters - Current filters (null keeps entries as they are)
+   * @param {RsvpStore} rsvpStore - Used for the spots-left filter and sort
+   * @returns {Array}
+   */
+  apply(entries, filters, rsvpStore) {
+    if (!filters) return entries;
+    
+    const query = filters.q.toLowerCase();
+    const maxDistance = Number(filters.distance);
+    
+    const filtered = entries.filter(({ event, distanceKm }) => {
+      const dateKey = WeatherScoring.toDateKey(event.start);
+      
+      if (query && !`${event.title} ${event.beach}`.toLowerCase().includes(query)) return false;
+      if (filters.from && dateKey < filters.from) return false;
+      if (filters.to && dateKey > filters.to) return false;
+      // Distance only applies once we know where the user is
+      if (maxDistance && AppState.userLocation && !(distanceKm <= maxDistance)) return false;
+      if (filters.favorites && !AppState.favorites.has(event.id)) return false;
+      if (filters.open && rsvpStore.getSpotsLeft(event) === 0) return false;
+      
+      if (filters.weather) {
+        const weather = WeatherScoring.forEvent(event);
+        // Without a forecast yet, only "good forecast only" rules an event out
+        if (filters.weather === 'good' && !(weather && ['good', 'great'].includes(weather.level))) return false;
+        if (filters.weather === 'safe' && weather && weather.level === 'poor') return false;
+      }
+      
+      return true;
+    });
+    
+    return this.sort(filtered, filters.sort, rsvpStore);
+  },
+  
+  sort(entries, key, rsvpStore) {
+    const byDate = (a, b) => a.event.start - b.event.start;
+    const last = value => (value === null || value === undefined ? Infinity : value);
+    
+    switch (key) {
+      case 'date':
+        return [...entries].sort(byDate);
+      case 'distance':
+        return [...entries].sort((a, b) => last(a.distanceKm) - last(b.distanceKm) || byDate(a, b));
+      case 'weather': {
+        const score = entry => WeatherScoring.forEvent(entry.event)?.score ?? -1;
+        return [...entries].sort((a, b) => score(b) - score(a) || byDate(a, b));
+      }
+      case 'spots':
+        return [...entries].sort((a, b) => rsvpStore.getSpotsLeft(b.event) - rsvpStore.getSpotsLeft(a.event) || byDate(a, b));
+      default:
+        // Keep the store order: soonest first, or nearest first during a location search
+        return entries;
+    }
+  }
+};
+
+class CleanupToolbar {
+  constructor() {
+    this.form = document.getElementById('cleanupsToolbar');
+    this.distanceSelect = document.getElementById('cleanupDistance');
+    this.init();
+  }
+  
+  init() {
+    AppState.cleanupFilters = CleanupFilters.fromQuery(window.location.search);
+    
+    if (!this.form) return;
+    
+    this.renderDistanceOptions();
+    this.fill(AppState.cleanupFilters);
+    this.updateDistanceState();
+    
+    const debouncedUpdate = debounce(() => this.update());
+    
+    this.form.addEventListener('input', (e) => {
+      if (e.target.name === 'q') debouncedUpdate();
+    });
+    this.form.addEventListener('change', (e) => {
+      if (e.target.name !== 'q') this.update();
+    });
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.update();
+    });
+    this.form.addEventListener('reset', (e) => {
+      e.preventDefault();
+      this.fill(CleanupFilters.defaults);
+      this.update();
+    });
+    
+    document.addEventListener('shoresquad:location-changed', () => this.updateDistanceState());
+    document.addEventListener('shoresquad:preferences-changed', (e) => {
+      if ('distanceUnit' in e.detail.changes) this.renderDistanceOptions();
+    });
+  }
+  
+  /**
+   * Label the distance choices (stored in km) in the chosen unit
+   */
+  renderDistanceOptions() {
+    if (!this.distanceSelect) return;
+    
+    Array.from(this.distanceSelect.options)
+      .filter(option => option.value)
+      .forEach(option => {
+        option.textContent = t('filters.within', { distance: Units.distance(Number(option.value)) });
+      });
+  }
+  
+  fill(filters) {
+    Object.keys(CleanupFilters.defaults).forEach(key => {
+      const field = this.form.elements[key];
+      if (!field) return;
+      
+      if (field.type === 'checkbox') {
+        field.checked = filters[key];
+      } else {
+        field.value = filters[key];
+      }
+    });
+  }
+  
+  read() {
+    const elements = this.form.elements;
+    return CleanupFilters.fromQuery(CleanupFilters.toQuery({
+      q: elements.q.value.trim(),
+      from: elements.from.value,
+      to: elements.to.value,
+      distance: elements.distance.value,
+      weather: elements.weather.value,
+      favorites: elements.favorites.checked,
+      open: elements.open.checked,
+      sort: elements.sort.value
+    }));
+  }
+  
+  update() {
+    AppState.cleanupFilters = this.read();
+    
+    const url = new URL(window.location.href);
+    url.search = CleanupFilters.toQuery(AppState.cleanupFilters, url.search);
+    history.replaceState(history.state, '', url.href);
+    
+    document.dispatchEvent(new CustomEvent('shoresquad:filters-changed', {
+      detail: { filters: AppState.cleanupFilters }
+    }));
+  }
+  
+  /**
+   * Distance filtering needs a location; point users at "Find Beaches Near Me"
+   */
+  updateDistanceState() {
+    if (!this.distanceSelect) return;
+    
+    const located = Boolean(AppState.userLocation);
+    this.distanceSelect.disabled = !located;
+    this.distanceSelect.title = located ? '' : t('filters.distanceNeedsLocation');
+  }
+}
+
+// ============================================
+// Cleanup Cards
+// ============================================
+class CleanupList {
+  constructor(store, rsvpStore, impactStore, squadStore, checkInStore) {
+    this.store = store;
+    this.rsvpStore = rsvpStore;
+    this.impactStore = impactStore;
+    this.squadStore = squadStore;
+    this.checkInStore = checkInStore;
+    this.grid = document.querySelector('.cleanups-grid');
+    this.summary = document.querySelector('.cleanups-summary');
+    this.viewButtons = document.querySelectorAll('.cleanups-view-toggle [data-view]');
+    this.init();
+  }
+  
+  init() {
+    if (!this.grid) return;
+    
+    document.addEventListener('shoresquad:events-changed', () => this.render());
+    document.addEventListener('shoresquad:location-changed', () => this.render());
+    document.addEventListener('shoresquad:rsvps-changed', (e) => this.handleRsvpChange(e.detail));
+    document.addEventListener('shoresquad:event-selected', (e) => this.highlightCard(e.detail));
+    document.addEventListener('shoresquad:filters-changed', () => this.render());
+    document.addEventListener('shoresquad:preferences-changed', (e) => {
+      // Distances and forecast details are shown in the chosen units
+      const { changes } = e.detail;
+      if ('distanceUnit' in changes || 'temperatureUnit' in changes) this.render();
+    });
+    document.addEventListener('shoresquad:favorites-changed', () => {
+      if (AppState.cleanupFilters?.favorites) this.render();
+    });
+    document.addEventListener('shoresquad:weather-updated', () => {
+      // Weather filters and sorting depend on the forecast, so rebuild the list
+      const filters = AppState.cleanupFilters;
+      if (filters && (filters.weather || filters.sort === 'weather')) {
+        this.render();
+        return;
+      }
+      
+      this.grid.querySelectorAll('.cleanup-card').forEach(card => {
+        const event = this.store.getById(card.dataset.eventId);
+        if (event) this.applyWeatherState(card, event);
+      });
+    });
+    document.addEventListener('shoresquad:tides-updated', () => {
+      this.grid.querySelectorAll('.cleanup-card').forEach(card => {
+        const event = this.store.getById(card.dataset.eventId);
+        if (!event) return;
+        this.applyTideState(card, event);
+        this.applyWeatherState(card, event);
+      });
+    });
+    document.addEventListener('shoresquad:squads-changed', () => {
+      this.grid.querySelectorAll('.cleanup-card').forEach(card => {
+        const event = this.store.getById(card.dataset.eventId);
+        if (!event) return;
+        this.applyRsvpState(card, event);
+        this.applySquadState(card, event);
+        this.applyCheckInState(card, event);
+      });
+    });
+    document.addEventListener('shoresquad:checkins-changed', () => {
+      this.grid.querySelectorAll('.cleanup-card').forEach(card => {
+        const event = this.store.getById(card.dataset.eventId);
+        if (event) this.applyCheckInState(card, event);
+      });
+    });
+    document.addEventListener('shoresquad:impact-changed', () => {
+      this.grid.querySelectorAll('.cleanup-card').forEach(card => {
+        const event = this.store.getById(card.dataset.eventId);
+        if (event) this.applyImpactState(card, event);
+      });
+    });
+    
+    // Clicking a card (or its "Show on map" button) selects its marker
+    this.grid.addEventListener('click', (e) => {
+      const card = e.target.closest('.cleanup-card');
+      const mapLink = e.target.closest('.card-map-link');
+      if (!card || (!mapLink && e.target.closest('button, a'))) return;
+      
+      AppState.selectedEventId = card.dataset.eventId;
+      document.dispatchEvent(new CustomEvent('shoresquad:event-selected', {
+        detail: { eventId: card.dataset.eventId, origin: 'card' }
+      }));
+      
+      if (mapLink) {
+        document.getElementById('map')?.scrollIntoView({ behavior: getScrollBehavior(), block: 'start' });
+      }
+    });
+    
+    this.viewButtons.forEach(button => {
+      button.addEventListener('click', () => this.setView(button.dataset.view));
+    });
+    
+    if (this.summary) {
+      this.summary.addEventListener('click', (e) => {
+        if (e.target.closest('.cleanups-show-all')) {
+          AppState.locationFilter = null;
+          this.render();
+        }
+      });
+    }
+    
+    if (this.store.loaded) {
+      this.render();
+    }
+  }
+  
+  /**
+   * Compute the relative date badge for an event
+   * @param {Object} event - Normalized cleanup event
+   * @param {Date} now - Reference time
+   * @returns {string}
+   */
+  getBadge(event, now = new Date()) {
+    if (event.end < now) return t('badge.ended');
+    if (event.start <= now && event.end >= now) return t('badge.now');
+    
+    const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const days = Math.round((startOfDay(event.start) - startOfDay(now)) / 86400000);
+    const weekday = event.start.getDay();
+    const daysUntilSunday = (7 - now.getDay()) % 7;
+    const daysUntilNextMonday = daysUntilSunday + 1;
+    
+    if (days === 0) return t('badge.today');
+    if (days === 1) return t('badge.tomorrow');
+    if ((weekday === 6 || weekday === 0) && days <= daysUntilSunday) return t('badge.weekend');
+    if (days < daysUntilNextMonday) return t('badge.thisWeek');
+    if (days < daysUntilNextMonday + 7) return t('badge.nextWeek');
+    
+    return I18n.formatDate(event.start, { weekday: 'short', month: 'short', day: 'numeric' });
+  }
+  
+  formatDistance(distanceKm) {
+    return t('cards.distance', { distance: Units.distance(distanceKm, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) });
+  }
+  
+  formatTimeRange(event) {
+    return `${I18n.formatTime(event.start)} - ${I18n.formatTime(event.end)}`;
+  }
+  
+  /**
+   * Card markup for the parts of an event that only change when it is
+   * edited; the apply*State methods fill in the rest
+   * @param {Object} event - Normalized cleanup event
+   * @param {number|null} distanceKm - Distance from the user, if known
+   * @returns {SafeHtml}
+   */
+  renderCard(event, distanceKm = null) {
+    return html`
+      <div class="cleanup-card" data-event-id="${event.id}" data-animate="fade-up" role="listitem">
+        <div class="card-header">
+          <span class="card-badge">${this.getBadge(event)}</span>
+          <button class="card-favorite" aria-label="${t('favorites.add')}">
+            <span aria-hidden="true">♡</span>
+          </button>
+        </div>
+        <h4 class="card-title"><a href="#/event/${encodeURIComponent(event.id)}">${event.title}</a></h4>
+        <div class="card-details">
+          <p><span aria-hidden="true">📍</span> ${event.beach}</p>
+          <p><span aria-hidden="true">🕐</span> ${this.formatTimeRange(event)}</p>
+          <p class="card-tide" hidden></p>
+          <p class="card-members"><span aria-hidden="true">👥</span> <span class="card-members-text"></span></p>
+          ${distanceKm !== null && html`<p class="card-distance"><span aria-hidden="true">🧭</span> ${this.formatDistance(distanceKm)}</p>`}
+          ${event.coordinates && html`<p><button type="button" class="card-map-link"><span aria-hidden="true">🗺️</span> ${t('cards.showOnMap')}</button></p>`}
+          <p><button type="button" class="card-calendar"><span aria-hidden="true">📅</span> ${t('calendar.add')}</button></p>
+        </div>
+        <div class="card-weather" hidden></div>
+        <p class="card-impact" hidden></p>
+        <p class="card-rsvp-status" aria-live="polite"></p>
+        <button class="btn btn-outline card-join">${t('rsvp.join')}</button>
+        <button type="button" class="btn btn-outline card-squad" hidden></button>
+        <button type="button" class="btn btn-primary card-check-in" hidden>${t('checkIn.button')}</button>
+        <button type="button" class="btn btn-outline card-log-impact" hidden>${t('impact.log')}</button>
+      </div>
+    `;
+  }
+  
+  /**
+   * Sync a card's member count, join button and joined state with the RSVP store
+   * @param {HTMLElement} card - Rendered .cleanup-card
+   * @param {Object} event - Normalized cleanup event
+   */
+  applyRsvpState(card, event) {
+    const status = this.rsvpStore.getStatus(event.id);
+    const count = this.rsvpStore.getAttendeeCount(event);
+    const spotsLeft = this.rsvpStore.getSpotsLeft(event);
+    const waitlistLength = this.rsvpStore.getRoster(event.id).waitlist.length;
+    
+    let membersText = t('cards.members', { count });
+    if (spotsLeft === 0) {
+      membersText += ` · ${waitlistLength > 0 ? t('cards.fullWaitlist', { count: waitlistLength }) : t('cards.full')}`;
+    } else if (spotsLeft !== Infinity && spotsLeft <= 5) {
+      membersText += ` · ${t('cards.spotsLeft', { count: spotsLeft })}`;
+    }
+    card.querySelector('.card-members-text').textContent = membersText;
+    
+    card.classList.toggle('is-joined', status === 'going');
+    card.classList.toggle('is-waitlisted', status === 'waitlisted');
+    
+    const button = card.querySelector('.card-join');
+    const statusText = card.querySelector('.card-rsvp-status');
+    
+    if (status === 'going') {
+      button.textContent = t('rsvp.leave');
+      statusText.textContent = t('rsvp.going');
+    } else if (status === 'waitlisted') {
+      button.textContent = t('rsvp.leaveWaitlist');
+      statusText.textContent = t('rsvp.waitlistPosition', { position: this.rsvpStore.getWaitlistPosition(event.id) });
+    } else {
+      button.textContent = spotsLeft === 0 ? t('rsvp.joinWaitlist') : t('rsvp.join');
+      statusText.textContent = '';
+    }
+    
+    button.setAttribute('aria-pressed', status ? 'true' : 'false');
+  }
+  
+  /**
+   * Offer "Bring My Squad" when the member belongs to a squad
+   * @param {HTMLElement} card - Cleanup card element
+   * @param {Object} event - Normalized cleanup event
+   * @param {Date} now - Reference time
+   */
+  applySquadState(card, event, now = new Date()) {
+    const squad = this.squadStore.getMySquad();
+    const button = card.querySelector('.card-squad');
+    
+    button.hidden = !squad || event.end < now;
+    if (!squad) return;
+    
+    const attending = squad.attending.includes(event.id);
+    button.textContent = attending
+      ? t('squad.going', { name: squad.name })
+      : t('squad.bring', { count: squad.members.length });
+    button.setAttribute('aria-pressed', attending ? 'true' : 'false');
+    card.classList.toggle('is-squad-attending', attending);
+  }
+  
+  /**
+   * Offer check-in to attendees (or their squad) while the cleanup is on
+   * @param {HTMLElement} card - Cleanup card element
+   * @param {Object} event - Normalized cleanup event
+   * @param {Date} now - Reference time
+   */
+  applyCheckInState(card, event, now = new Date()) {
+    const button = card.querySelector('.card-check-in');
+    const squad = this.squadStore.getMySquad();
+    const attending = this.rsvpStore.getStatus(event.id) === 'going' ||
+      Boolean(squad && squad.attending.includes(event.id));
+    const opensAt = new Date(event.start.getTime() - AppConfig.checkInLeadMinutes * 60000);
+    const checkedIn = this.checkInStore.hasCheckedIn(event.id);
+    // Volunteers scan the organizer's code where there is one; otherwise the button is self-reported
+    const scan = !checkedIn && Boolean(event.checkInKey) && !CheckInTokens.canSign(event);
+    
+    button.hidden = !attending || now < opensAt || (event.end < now && !checkedIn);
+    button.disabled = checkedIn;
+    button.classList.toggle('check-in-scan', scan);
+    button.textContent = checkedIn ? t('checkIn.done') : t(scan ? 'checkIn.scan' : 'checkIn.button');
+  }
+  
+  /**
+   * Show logged totals and, for attendees once the cleanup has started,
+   * the "Log Impact" button
+   * @param {HTMLElement} card - Cleanup card element
+   * @param {Object} event - Normalized cleanup event
+   * @param {Date} now - Reference time
+   */
+  applyImpactState(card, event, now = new Date()) {
+    const totals = this.impactStore.getEventTotals(event.id);
+    const impactText = card.querySelector('.card-impact');
+    
+    impactText.hidden = totals.logs === 0;
+    impactText.textContent = totals.logs === 0 ? '' :
+      `♻️ ${t('impact.cardTotals', { count: totals.bags, weight: ImpactStore.formatWeight(totals.weightKg) })}`;
+    
+    const canLog = event.start <= now && this.rsvpStore.getStatus(event.id) === 'going';
+    const logButton = card.querySelector('.card-log-impact');
+    logButton.hidden = !canLog;
+    logButton.textContent = this.impactStore.getMemberLog(event.id) ? t('impact.edit') : t('impact.log');
+    
+    // Finished cleanups can't be joined or left any more
+    card.querySelector('.card-join').hidden = event.end < now;
+  }
+  
+  /**
+   * Show the weather suitability score for the event's date, if it is forecast
+   * @param {HTMLElement} card - Rendered .cleanup-card
+   * @param {Object} event - Normalized cleanup event
+   */
+  applyWeatherState(card, event) {
+    const container = card.querySelector('.card-weather');
+    const result = WeatherScoring.forEvent(event);
+    
+    card.classList.toggle('is-weather-risk', Boolean(result && result.level === 'poor'));
+    
+    if (!result) {
+      container.hidden = true;
+      container.innerHTML = '';
+      return;
+    }
+    
+    container.hidden = false;
+    container.dataset.level = result.level;
+    Template.render(container, html`
+      <p class="card-weather-score">
+        <span>${result.advice}</span>
+        <span class="cleanup-score" aria-label="${t('weather.scoreLabel', { score: result.score })}">${result.score}/100</span>
+      </p>
+      ${result.regional && html`
+        <p class="card-weather-region">
+          ${t('weather.regionalLine', { region: t(`region.${result.regional.region}`), period: result.regional.label, forecast: result.regional.text })}
+        </p>
+      `}
+      <ul class="card-weather-reasons">
+        ${result.reasons.map(reason => html`<li>${reason}</li>`)}
+      </ul>
+    `);
+  }
+  
+  /**
+   * Show the low-tide window next to the event time and flag high-tide or
+   * after-dark cleanups
+   * @param {HTMLElement} card - Rendered .cleanup-card
+   * @param {Object} event - Normalized cleanup event
+   */
+  applyTideState(card, event) {
+    const container = card.querySelector('.card-tide');
+    const tide = Tides.forEvent(event);
+    const daylight = Daylight.forEvent(event);
+    const warnings = [];
+    
+    if (tide?.highTide) {
+      warnings.push(t('tides.highAt', { time: Tides.formatTime(tide.highTide.time) }));
+    }
+    if (daylight.beforeSunrise) {
+      warnings.push(t('tides.beforeSunrise', { time: Tides.formatTime(daylight.sunrise) }));
+    } else if (daylight.afterSunset) {
+      warnings.push(t('tides.afterSunset', { time: Tides.formatTime(daylight.sunset) }));
+    }
+    
+    const lowWindow = tide?.lowWindow;
+    container.hidden = !lowWindow && warnings.length === 0;
+    Template.render(container, html`
+      ${lowWindow && html`<span><span aria-hidden="true">🌊</span> ${t('tides.cardWindow', { time: Tides.formatTime(lowWindow.low.time), start: Tides.formatTime(lowWindow.start), end: Tides.formatTime(lowWindow.end) })}</span>`}
+      ${warnings.map(warning => html`<span class="card-tide-warning"><span aria-hidden="true">⚠️</span> ${warning}</span>`)}
+    `);
+  }
+  
+  highlightCard({ eventId, origin }) {
+    this.grid.querySelectorAll('.cleanup-card.is-selected').forEach(card => card.classList.remove('is-selected'));
+    
+    const card = this.grid.querySelector(`.cleanup-card[data-event-id="${CSS.escape(eventId)}"]`);
+    if (!card) return;
+    
+    card.classList.add('is-selected');
+    if (origin === 'map') {
+      card.scrollIntoView({ behavior: getScrollBehavior(), block: 'center' });
+    }
+  }
+  
+  handleRsvpChange({ eventId }) {
+    // Leaving an event removes it from the "My Cleanups" view
+    if (AppState.cleanupView === 'mine') {
+      this.render();
+      return;
+    }
+    
+    const event = this.store.getById(eventId);
+    const card = this.grid.querySelector(`.cleanup-card[data-event-id="${CSS.escape(eventId)}"]`);
+    if (event && card) {
+      this.applyRsvpState(card, event);
+      this.applySquadState(card, event);
+      this.applyCheckInState(card, event);
+      this.applyImpactState(card, event);
+    }
+  }
+  
+  setView(view) {
+    AppState.cleanupView = view === 'mine' ? 'mine' : 'all';
+    
+    this.viewButtons.forEach(button => {
+      button.setAttribute('aria-pressed', button.dataset.view === AppState.cleanupView ? 'true' : 'false');
+    });
+    
+    this.render();
+  }
+  
+  /**
+   * Upcoming events paired with their distance from the user, if known.
+   * While a location search is active, only events inside the radius are
+   * kept and they are ranked nearest first.
+   * @returns {Array} Entries of { event, distanceKm }
+   */
+  getEntries() {
+    const location = AppState.userLocation;
+    const filter = AppState.locationFilter;
+    let entries;
+    
+    if (location && filter) {
+      entries = this.store.getNearby(location, filter.radiusKm);
+    } else {
+      // "My Cleanups" keeps recently finished events so attendees can log their impact
+      const since = AppState.cleanupView === 'mine'
+        ? new Date(Date.now() - AppConfig.impactLogWindowDays * 86400000)
+        : new Date();
+      
+      entries = this.store.getUpcoming(since).map(event => ({
+        event,
+        distanceKm: location && event.coordinates ? haversineDistance(location, event.coordinates) : null
+      }));
+    }
+    
+    if (AppState.cleanupView === 'mine') {
+      const joined = new Set(this.rsvpStore.getJoinedEventIds());
+      entries = entries.filter(({ event }) => joined.has(event.id));
+    }
+    
+    return CleanupFilters.apply(entries, AppState.cleanupFilters, this.rsvpStore);
+  }
+  
+  renderSummary(count) {
+    if (!this.summary) return;
+    
+    const filter = AppState.locationFilter;
+    const filters = AppState.cleanupFilters;
+    const filtered = CleanupFilters.isActive(filters);
+    
+    if (!filter && !filtered) {
+      this.summary.hidden = true;
+      this.summary.innerHTML = '';
+      return;
+    }
+    
+    let text;
+    if (filter) {
+      const key = filtered ? 'summary.nearbyFiltered' : 'summary.nearby';
+      text = t(filters?.sort ? key : `${key}Nearest`, { count, radius: Units.distance(filter.radiusKm) });
+    } else {
+      text = t('summary.filtered', { count });
+      if (filters?.distance && !AppState.userLocation) {
+        text += ` ${t('summary.distanceHint')}`;
+      }
+    }
+    
+    this.summary.hidden = false;
+    Template.render(this.summary, html`
+      ${text}
+      ${filter && html`<button type="button" class="cleanups-show-all">${t('summary.showAll')}</button>`}
+    `);
+  }
+  
+  getEmptyMessage() {
+    if (CleanupFilters.isActive(AppState.cleanupFilters)) return t('cleanups.emptyFiltered');
+    if (AppState.cleanupView === 'mine') return t('cleanups.emptyMine');
+    if (AppState.locationFilter) {
+      return t('cleanups.emptyNearby', { radius: Units.distance(AppState.locationFilter.radiusKm) });
+    }
+    return t('cleanups.empty');
+  }
+  
+  render() {
+    const entries = this.getEntries();
+    const events = entries.map(entry => entry.event);
+    
+    // Cards already on screen are kept, so only new ones fade in
+    Template.renderList(this.grid, entries, {
+      key: entry => entry.event.id,
+      render: entry => this.renderCard(entry.event, entry.distanceKm),
+      update: (card, { event }, index) => {
+        card.dataset.delay = index * 100;
+        this.applyRsvpState(card, event);
+        this.applyWeatherState(card, event);
+        this.applyTideState(card, event);
+        this.applySquadState(card, event);
+        this.applyCheckInState(card, event);
+        this.applyImpactState(card, event);
+        card.classList.toggle('is-selected', event.id === AppState.selectedEventId);
+      },
+      empty: () => html`<p class="cleanups-empty text-muted">${this.getEmptyMessage()}</p>`
+    });
+    
+    this.renderSummary(entries.length);
+    
+    document.dispatchEvent(new CustomEvent('shoresquad:cleanups-rendered', {
+      detail: { events }
+    }));
+    
+    // Re-initialize scroll animations for the new cards
+    new ScrollAnimations();
+  }
+}
+
+// ============================================
+// RSVPs, Capacity & Waitlist
+// ============================================
+class RsvpStore {
+  constructor(eventStore, squadStore = null) {
+    this.eventStore = eventStore;
+    this.squadStore = squadStore;
+    this.rosters = {};
+    this.load();
+  }
+  
+  load() {
+    const saved = Storage.get(AppConfig.storageKeys.rsvps);
+    this.rosters = saved && typeof saved === 'object' ? saved : {};
+    AppState.rsvps = this.rosters;
+  }
+  
+  save() {
+    Storage.set(AppConfig.storageKeys.rsvps, this.rosters);
+  }
+  
+  /**
+   * Members who RSVP'd through the app. Seats already counted in the
+   * catalog's attendeeCount are not listed here.
+   * @param {string} eventId - Cleanup event ID
+   * @returns {{attendees: string[], waitlist: string[]}}
+   */
+  getRoster(eventId) {
+    return this.rosters[eventId] || { attendees: [], waitlist: [] };
+  }
+  
+  getAttendeeCount(event) {
+    const attendees = new Set(this.getRoster(event.id).attendees);
+    
+    // Squads bring every member, but someone who also RSVP'd only counts once
+    if (this.squadStore) {
+      this.squadStore.getAttendingSquads(event.id).forEach(squad => {
+        squad.members.forEach(member => attendees.add(member.id));
+      });
+    }
+    
+    return event.attendeeCount + attendees.size;
+  }
+  
+  /**
+   * @param {Object} event - Normalized cleanup event
+   * @returns {number} Open spots, or Infinity when the event has no capacity limit
+   */
+  getSpotsLeft(event) {
+    if (!event.capacity) return Infinity;
+    return Math.max(0, event.capacity - this.getAttendeeCount(event));
+  }
+  
+  /**
+   * @param {string} eventId - Cleanup event ID
+   * @param {string} memberId - Defaults to the current user
+   * @returns {'going'|'waitlisted'|null}
+   */
+  getStatus(eventId, memberId = getCurrentUser().id) {
+    const roster = this.getRoster(eventId);
+    if (roster.attendees.includes(memberId)) return 'going';
+    if (roster.waitlist.includes(memberId)) return 'waitlisted';
+    return null;
+  }
+  
+  getWaitlistPosition(eventId, memberId = getCurrentUser().id) {
+    return this.getRoster(eventId).waitlist.indexOf(memberId) + 1;
+  }
+  
+  /**
+   * IDs of events the member is going to or waitlisted for
+   * @param {string} memberId - Defaults to the current user
+   * @returns {string[]}
+   */
+  getJoinedEventIds(memberId = getCurrentUser().id) {
+    return Object.keys(this.rosters).filter(eventId => this.getStatus(eventId, memberId));
+  }
+  
+  /**
+   * RSVP a member, waitlisting them when the event is full
+   * @param {string} eventId - Cleanup event ID
+   * @param {string} memberId - Defaults to the current user
+   * @returns {'going'|'waitlisted'|null} The member's new status
+   */
+  join(eventId, memberId = getCurrentUser().id) {
+    const event = this.eventStore.getById(eventId);
+    if (!event) return null;
+    
+    const existing = this.getStatus(eventId, memberId);
+    if (existing) return existing;
+    
+    const roster = { ...this.getRoster(eventId) };
+    const status = this.getSpotsLeft(event) > 0 ? 'going' : 'waitlisted';
+    
+    if (status === 'going') {
+      roster.attendees = [...roster.attendees, memberId];
+    } else {
+      roster.waitlist = [...roster.waitlist, memberId];
+    }
+    
+    this.rosters[eventId] = roster;
+    this.commit(eventId, { memberId, status, promoted: [] });
+    return status;
+  }
+  
+  /**
+   * Cancel a member's RSVP and promote the waitlist into any freed spots
+   * @param {string} eventId - Cleanup event ID
+   * @param {string} memberId - Defaults to the current user
+   * @returns {string[]} IDs of members promoted from the waitlist
+   */
+  leave(eventId, memberId = getCurrentUser().id) {
+    const roster = this.getRoster(eventId);
+    
+    this.rosters[eventId] = {
+      attendees: roster.attendees.filter(id => id !== memberId),
+      waitlist: roster.waitlist.filter(id => id !== memberId)
+    };
+    
+    const promoted = this.promoteWaitlist(eventId);
+    this.commit(eventId, { memberId, status: null, promoted });
+    return promoted;
+  }
+  
+  /**
+   * Move waitlisted members into any open spots. Callers commit the change.
+   * @param {string} eventId - Cleanup event ID
+   * @returns {string[]} IDs of members promoted from the waitlist
+   */
+  promoteWaitlist(eventId) {
+    const event = this.eventStore.getById(eventId);
+    const roster = this.getRoster(eventId);
+    const attendees = [...roster.attendees];
+    let waitlist = [...roster.waitlist];
+    
+    const promoted = [];
+    while (event && waitlist.length > 0 && this.getSpotsLeft(event) > 0) {
+      const [next, ...rest] = waitlist;
+      waitlist = rest;
+      attendees.push(next);
+      promoted.push(next);
+      this.rosters[eventId] = { attendees, waitlist };
+    }
+    
+    if (attendees.length === 0 && waitlist.length === 0) {
+      delete this.rosters[eventId];
+    }
+    
+    return promoted;
+  }
+  
+  commit(eventId, change) {
+    this.save();
+    AppState.rsvps = this.rosters;
+    document.dispatchEvent(new CustomEvent('shoresquad:rsvps-changed', {
+      detail: { eventId, ...change }
+    }));
+  }
+}
+
+class RsvpManager {
+  constructor(rsvpStore) {
+    this.rsvpStore = rsvpStore;
+    this.init();
+  }
+  
+  init() {
+    // Event delegation for join buttons
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('.card-join');
+      if (button) {
+        this.toggleRsvp(button);
+      }
+    });
+  }
+  
+  toggleRsvp(button) {
+    const card = button.closest('.cleanup-card');
+    const eventId = card?.dataset.eventId;
+    
+    if (!eventId) return;
+    
+    if (this.rsvpStore.getStatus(eventId)) {
+      this.rsvpStore.leave(eventId);
+    } else {
+      this.rsvpStore.join(eventId);
+    }
+    
+    // Haptic feedback (if supported)
+    if ('vibrate' in navigator) {
+      navigator.vibrate(50);
+    }
+  }
+}
+
+// ============================================
+// Create Event Flow
+// ============================================
+class CreateEventDialog {
+  constructor(eventStore, reportStore) {
+    this.eventStore = eventStore;
+    this.reportStore = reportStore;
+    this.trigger = document.getElementById('createEventBtn');
+    this.form = document.getElementById('createEventForm');
+    this.formError = document.getElementById('createEventError');
+    this.modal = new ModalDialog(document.getElementById('createEventModal'));
+    // Litter report the cleanup is being organized for, if any
+    this.report = null;
+    this.init();
+  }
+  
+  init() {
+    if (!this.trigger || !this.form) return;
+    
+    this.trigger.addEventListener('click', () => this.open());
+    
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('.report-organize');
+      if (button) this.openForReport(button.dataset.reportId);
+    });
+    
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmit();
+    });
+    
+    // Clear a field's error as soon as it is edited
+    this.form.addEventListener('input', (e) => {
+      if (e.target.name) FormErrors.set(this.form, e.target.name, '');
+    });
+  }
+  
+  open() {
+    this.form.reset();
+    FormErrors.clear(this.form, this.formError);
+    this.report = null;
+    
+    // Default to tomorrow morning
+    const tomorrow = new Date(Date.now() + 86400000);
+    const pad = n => String(n).padStart(2, '0');
+    this.form.elements.date.value = `${tomorrow.getFullYear()}-${pad(tomorrow.getMonth() + 1)}-${pad(tomorrow.getDate())}`;
+    this.form.elements.startTime.value = '09:00';
+    this.form.elements.endTime.value = '12:00';
+    this.form.elements.beach.value = getPreferences().homeBeach;
+    
+    this.modal.open();
+  }
+  
+  /**
+   * Open the form prefilled from a litter report
+   * @param {string} reportId - Report to organize a cleanup for
+   */
+  openForReport(reportId) {
+    const report = this.reportStore.getById(reportId);
+    if (!report) return;
+    
+    this.open();
+    this.report = report;
+    
+    const fields = this.form.elements;
+    const place = LitterReportStore.getPlace(report);
+    fields.title.value = t('reports.eventTitle', { place });
+    fields.beach.value = report.beach || '';
+    fields.meetingPoint.value = place;
+    fields.description.value = [
+      t('reports.eventDescription', {
+        severity: t(`reports.severity-${report.severity}`),
+        debris: t(`debris.${report.debris}`)
+      }),
+      report.notes
+    ].filter(Boolean).join(' ');
+  }
+  
+  getValues() {
+    const fields = this.form.elements;
+    return {
+      title: fields.title.value.trim(),
+      beach: fields.beach.value.trim(),
+      date: fields.date.value,
+      startTime: fields.startTime.value,
+      endTime: fields.endTime.value,
+      capacity: fields.capacity.value.trim(),
+      meetingPoint: fields.meetingPoint.value.trim(),
+      gearNotes: fields.gearNotes.value.trim(),
+      description: fields.description.value.trim(),
+      contact: fields.contact.value.trim()
+    };
+  }
+  
+  /**
+   * Validate the form values
+   * @param {Object} values - Values from getValues()
+   * @returns {Object} Map of field name to error message (empty when valid)
+   */
+  validate(values) {
+    const errors = {};
+    
+    if (values.title.length < 3) {
+      errors.title = t('createEvent.errorTitleShort');
+    } else if (values.title.length > 80) {
+      errors.title = t('createEvent.errorTitleLong');
+    }
+    
+    if (!values.beach) {
+      errors.beach = t('createEvent.errorBeach');
+    }
+    
+    const start = new Date(`${values.date}T${values.startTime}`);
+    const end = new Date(`${values.date}T${values.endTime}`);
+    
+    if (!values.date || isNaN(start)) {
+      errors.date = t('createEvent.errorDate');
+    } else if (start < new Date()) {
+      errors.startTime = t('createEvent.errorStartPast');
+    }
+    
+    if (!values.endTime || isNaN(end)) {
+      errors.endTime = t('createEvent.errorEnd');
+    } else if (!isNaN(start) && end <= start) {
+      errors.endTime = t('createEvent.errorEndBeforeStart');
+    }
+    
+    const capacity = Number(values.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > 500) {
+      errors.capacity = t('createEvent.errorCapacity');
+    }
+    
+    if (!values.meetingPoint) {
+      errors.meetingPoint = t('createEvent.errorMeetingPoint');
+    }
+    
+    if (values.contact && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.contact) && !/^\+?[\d\s-]{8,}$/.test(values.contact)) {
+      errors.contact = t('createEvent.errorContact');
+    }
+    
+    return errors;
+  }
+  
+  async handleSubmit() {
+    const values = this.getValues();
+    const errors = this.validate(values);
+    
+    if (!FormErrors.show(this.form, errors, this.formError)) return;
+    
+    const place = BeachDirectory.lookup(values.beach);
+    const report = this.report;
+    const submitButton = this.form.querySelector('[type="submit"]');
+    submitButton.disabled = true;
+    
+    try {
+      // The organizer keeps the private key to sign the check-in code. Save
+      // it first: a cleanup published without it could never show a code.
+      const id = this.eventStore.createId(values.title);
+      const keys = CheckInTokens.isSupported() ? await CheckInTokens.generateKeys() : null;
+      if (keys && !CheckInTokens.saveSigningKey(id, keys.privateKey)) {
+        throw new Error('Unable to save check-in key on this device');
+      }
+      
+      const event = await this.eventStore.addEvent({
+        id,
+        title: values.title,
+        beach: place && place.name.toLowerCase() === values.beach.toLowerCase() ? place.name : values.beach,
+        coordinates: place
+          ? { latitude: place.latitude, longitude: place.longitude }
+          : (report ? report.coordinates : null),
+        startTime: new Date(`${values.date}T${values.startTime}`).toISOString(),
+        endTime: new Date(`${values.date}T${values.endTime}`).toISOString(),
+        capacity: Number(values.capacity),
+        attendeeCount: 0,
+        meetingPoint: values.meetingPoint,
+        gearNotes: values.gearNotes,
+        description: values.description,
+        organizer: { name: getCurrentUser().name, contact: values.contact },
+        checkInKey: keys ? keys.publicKey : null,
+        // Meet where the litter was reported
+        meetingCoordinates: report ? report.coordinates : null,
+        reportId: report ? report.id : null
+      });
+      
+      this.modal.close();
+      if (report) {
+        window.location.hash = `#/event/${encodeURIComponent(event.id)}`;
+      } else {
+        this.revealEvent(event.id);
+      }
+    } catch (error) {
+      console.error('Error creating cleanup event:', error);
+      if (this.formError) {
+        this.formError.textContent = t('createEvent.errorSave');
+      }
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+  
+  revealEvent(eventId) {
+    // Make sure the new card isn't hidden by a distance search
+    if (AppState.locationFilter) {
+      AppState.locationFilter = null;
+      document.dispatchEvent(new CustomEvent('shoresquad:location-changed', {
+        detail: { location: AppState.userLocation, source: 'reset' }
+      }));
+    }
+    
+    const card = document.querySelector(`.cleanup-card[data-event-id="${CSS.escape(eventId)}"]`);
+    if (!card) return;
+    
+    card.classList.add('is-new');
+    card.scrollIntoView({ behavior: getScrollBehavior(), block: 'center' });
+  }
+}
+
+// ============================================
+// Squads
+// ============================================
+
+/**
+ * Persists squads on this device. Any object with the same async
+ * list()/save()/remove()/findByCode() interface (e.g. a REST client) can be
+ * passed to SquadStore instead, which lets invites resolve across devices.
+ */
+const LocalSquadAdapter = {
+  async list() {
+    return Storage.get(AppConfig.storageKeys.squads) || [];
+  },
+  
+  async save(squad) {
+    const squads = (await this.list()).filter(saved => saved.id !== squad.id);
+    squads.push(squad);
+    
+    if (!Storage.set(AppConfig.storageKeys.squads, squads)) {
+      throw new Error('Unable to save squad on this device');
+    }
+    
+    return squad;
+  },
+  
+  async remove(squadId) {
+    const squads = (await this.list()).filter(saved => saved.id !== squadId);
+    
+    if (!Storage.set(AppConfig.storageKeys.squads, squads)) {
+      throw new Error('Unable to remove squad on this device');
+    }
+  },
+  
+  async findByCode(code) {
+    return (await this.list()).find(squad => squad.code === code) || null;
+  }
+};
+
+class SquadStore {
+  /**
+   * @param {Object} adapter - Squad backend (see LocalSquadAdapter)
+   */
+  constructor(adapter = LocalSquadAdapter) {
+    this.adapter = adapter;
+    this.squads = [];
+    this.loaded = false;
+    this.init();
+  }
+  
+  async init() {
+    await this.load();
+  }
+  
+  async load() {
+    try {
+      this.squads = await this.adapter.list();
+    } catch (error) {
+      console.error('Error loading squads:', error);
+    }
+    
+    this.loaded = true;
+    this.commit();
+  }
+  
+  /**
+   * Short invite code without look-alike characters (0/O, 1/I)
+   * @returns {string}
+   */
+  static generateCode() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const values = new Uint32Array(6);
+    
+    if (window.crypto && crypto.getRandomValues) {
+      crypto.getRandomValues(values);
+    } else {
+      values.forEach((_, index) => { values[index] = Math.floor(Math.random() * alphabet.length); });
+    }
+    
+    return Array.from(values, value => alphabet[value % alphabet.length]).join('');
+  }
+  
+  static normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+  
+  getById(squadId) {
+    return this.squads.find(squad => squad.id === squadId) || null;
+  }
+  
+  /**
+   * The squad a member belongs to (one at a time)
+   * @param {string} memberId - Defaults to the current user
+   * @returns {Object|null}
+   */
+  getMySquad(memberId = getCurrentUser().id) {
+    return this.squads.find(squad => squad.members.some(member => member.id === memberId)) || null;
+  }
+  
+  getAttendingSquads(eventId) {
+    return this.squads.filter(squad => squad.attending.includes(eventId));
+  }
+  
+  getInviteLink(squad) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = 'squad';
+    url.searchParams.set('squad', squad.code);
+    url.searchParams.set('name', squad.name);
+    return url.href;
+  }
+  
+  /**
+   * Start a squad with the current user as its owner
+   * @param {string} name - Squad name
+   * @returns {Promise<Object>} The new squad
+   */
+  async create(name) {
+    const member = getCurrentUser();
+    
+    return this.persist({
+      id: `squad-${Date.now().toString(36)}`,
+      name,
+      code: SquadStore.generateCode(),
+      ownerId: member.id,
+      members: [{ id: member.id, name: member.name, joinedAt: new Date().toISOString() }],
+      attending: [],
+      createdAt: new Date().toISOString()
+    });
+  }
+  
+  /**
+   * Join a squad by invite code. An invite link also carries the squad's
+   * name, so the local adapter can join squads created on other devices.
+   * @param {string} code - Invite code
+   * @param {{name: string}} invite - Details from the invite link, if any
+   * @returns {Promise<Object>} The joined squad
+   */
+  async joinByCode(code, invite = {}) {
+    const normalized = SquadStore.normalizeCode(code);
+    let squad = this.squads.find(saved => saved.code === normalized) ||
+      await this.adapter.findByCode(normalized);
+    
+    if (!squad && invite.name) {
+      squad = {
+        id: `squad-${normalized.toLowerCase()}`,
+        name: invite.name,
+        code: normalized,
+        ownerId: null,
+        members: [],
+        attending: [],
+        createdAt: new Date().toISOString()
+      };
+    }
+    
+    if (!squad) {
+      throw new Error(`No squad found with code ${normalized}`);
+    }
+    
+    const member = getCurrentUser();
+    if (squad.members.some(existing => existing.id === member.id)) {
+      return squad;
+    }
+    
+    return this.persist({
+      ...squad,
+      members: [...squad.members, { id: member.id, name: member.name, joinedAt: new Date().toISOString() }]
+    });
+  }
+  
+  /**
+   * Leave a squad, handing ownership to the longest-standing member.
+   * The last member out removes the squad.
+   * @param {string} squadId - Squad ID
+   */
+  async leave(squadId) {
+    const squad = this.getById(squadId);
+    if (!squad) return;
+    
+    const memberId = getCurrentUser().id;
+    const members = squad.members.filter(member => member.id !== memberId);
+    
+    if (members.length === 0) {
+      await this.adapter.remove(squadId);
+      this.squads = this.squads.filter(saved => saved.id !== squadId);
+      this.commit();
+      return;
+    }
+    
+    await this.persist({
+      ...squad,
+      members,
+      ownerId: squad.ownerId === memberId ? members[0].id : squad.ownerId
+    });
+  }
+  
+  async setAttending(squadId, eventId, attending) {
+    const squad = this.getById(squadId);
+    if (!squad) return null;
+    
+    const others = squad.attending.filter(id => id !== eventId);
+    return this.persist({ ...squad, attending: attending ? [...others, eventId] : others });
+  }
+  
+  async persist(squad) {
+    const saved = await this.adapter.save(squad);
+    this.squads = [...this.squads.filter(existing => existing.id !== saved.id), saved];
+    this.commit();
+    return saved;
+  }
+  
+  commit() {
+    document.dispatchEvent(new CustomEvent('shoresquad:squads-changed', {
+      detail: { squads: this.squads }
+    }));
+  }
+}
+
+class SquadPanel {
+  constructor(squadStore, rsvpStore, eventStore) {
+    this.squadStore = squadStore;
+    this.rsvpStore = rsvpStore;
+    this.eventStore = eventStore;
+    this.panel = document.querySelector('.squad-panel');
+    this.invite = this.readInvite();
+    this.init();
+  }
+  
+  init() {
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('.card-squad');
+      if (button) this.toggleAttending(button);
+    });
+    
+    if (!this.panel) return;
+    
+    document.addEventListener('shoresquad:squads-changed', () => this.render());
+    document.addEventListener('shoresquad:events-changed', () => this.render());
+    
+    this.panel.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (e.target.id === 'createSquadForm') this.handleCreate(e.target);
+      if (e.target.id === 'joinSquadForm') this.handleJoin(e.target);
+    });
+    
+    this.panel.addEventListener('input', (e) => {
+      const form = e.target.form;
+      if (form && e.target.name) FormErrors.set(form, e.target.name, '');
+    });
+    
+    this.panel.addEventListener('click', (e) => {
+      if (e.target.closest('.squad-share')) this.shareInvite();
+      if (e.target.closest('.squad-leave')) this.handleLeave();
+    });
+    
+    if (this.squadStore.loaded) {
+      this.render();
+    }
+  }
+  
+  /**
+   * Invite details from a shared link (?squad=CODE&name=Squad+Name)
+   * @returns {{code: string, name: string}|null}
+   */
+  readInvite() {
+    const params = new URLSearchParams(window.location.search);
+    const code = SquadStore.normalizeCode(params.get('squad'));
+    return code ? { code, name: params.get('name') || '' } : null;
+  }
+  
+  clearInvite() {
+    this.invite = null;
+    
+    const url = new URL(window.location.href);
+    url.searchParams.delete('squad');
+    url.searchParams.delete('name');
+    history.replaceState(null, '', url.href);
+  }
+  
+  render() {
+    const squad = this.squadStore.getMySquad();
+    this.panel.innerHTML = squad ? this.renderSquad(squad) : this.renderSetup();
+  }
+  
+  renderSetup() {
+    const user = getCurrentUser();
+    const savedName = user.name === 'You' ? '' : user.name;
+    const nameField = (formId) => `
+      <div class="form-field">
+        <label for="${formId}-memberName">${escapeHtml(t('squad.yourName'))}</label>
+        <input type="text" id="${formId}-memberName" name="memberName" maxlength="40" value="${escapeHtml(savedName)}" autocomplete="nickname" required aria-describedby="${formId}-memberName-error">
+        <p class="field-error" id="${formId}-memberName-error" aria-live="polite"></p>
+      </div>
+    `;
+    
+    return `
+      ${this.invite ? `<p class="squad-invite-banner">🎉 ${escapeHtml(t('squad.invited', { name: '{name}' })).replace('{name}', () => `<strong>${escapeHtml(this.invite.name || this.invite.code)}</strong>`)}</p>` : ''}
+      <div class="squad-setup">
+        <form class="squad-form" id="createSquadForm" novalidate>
+          <h4>${escapeHtml(t('squad.start'))}</h4>
+          ${nameField('createSquadForm')}
+          <div class="form-field">
+            <label for="createSquadForm-squadName">${escapeHtml(t('squad.name'))}</label>
+            <input type="text" id="createSquadForm-squadName" name="squadName" maxlength="40" placeholder="${escapeHtml(t('squad.namePlaceholder'))}" required aria-describedby="createSquadForm-squadName-error">
+            <p class="field-error" id="createSquadForm-squadName-error" aria-live="polite"></p>
+          </div>
+          <p class="form-error" role="alert"></p>
+          <button type="submit" class="btn btn-primary">${escapeHtml(t('squad.create'))}</button>
+        </form>
+        <form class="squad-form" id="joinSquadForm" novalidate>
+          <h4>${escapeHtml(t('squad.join'))}</h4>
+          ${nameField('joinSquadForm')}
+          <div class="form-field">
+            <label for="joinSquadForm-code">${escapeHtml(t('squad.code'))}</label>
+            <input type="text" id="joinSquadForm-code" name="code" maxlength="8" autocomplete="off" autocapitalize="characters" value="${escapeHtml(this.invite ? this.invite.code : '')}" required aria-describedby="joinSquadForm-code-error">
+            <p class="field-error" id="joinSquadForm-code-error" aria-live="polite"></p>
+          </div>
+          <p class="form-error" role="alert"></p>
+          <button type="submit" class="btn btn-outline">${escapeHtml(t('squad.joinButton'))}</button>
+        </form>
+      </div>
+    `;
+  }
+  
+  renderSquad(squad) {
+    const userId = getCurrentUser().id;
+    const events = squad.attending
+      .map(eventId => this.eventStore.getById(eventId))
+      .filter(Boolean)
+      .sort((a, b) => a.start - b.start);
+    
+    const roster = squad.members.map(member => `
+      <li class="squad-member">
+        <span class="squad-avatar" aria-hidden="true">${escapeHtml(member.name.charAt(0).toUpperCase())}</span>
+        <span>${escapeHtml(member.name)}${member.id === userId ? ` <span class="text-muted">${escapeHtml(t('squad.you'))}</span>` : ''}</span>
+        ${member.id === squad.ownerId ? `<span class="squad-owner">👑 ${escapeHtml(t('squad.captain'))}</span>` : ''}
+      </li>
+    `).join('');
+    
+    const attending = events.length > 0
+      ? events.map(event => `
+          <li><strong>${RouteFormat.eventLink(event)}</strong> · ${escapeHtml(I18n.formatDate(event.start, { weekday: 'short', month: 'short', day: 'numeric' }))}</li>
+        `).join('')
+      : `<li class="text-muted">${escapeHtml(t('squad.noCleanups'))}</li>`;
+    
+    return `
+      <div class="squad-card">
+        <div class="squad-header">
+          <h4 class="squad-name"><a href="#/squad/${encodeURIComponent(squad.id)}">${escapeHtml(squad.name)}</a></h4>
+          <span class="squad-size">${escapeHtml(t('squad.size', { count: squad.members.length }))}</span>
+        </div>
+        <div class="squad-invite">
+          <p>${escapeHtml(t('squad.code'))} <strong class="squad-code">${escapeHtml(squad.code)}</strong></p>
+          <button type="button" class="btn btn-primary squad-share">${escapeHtml(t('squad.share'))}</button>
+          <p class="squad-invite-status" aria-live="polite"></p>
+        </div>
+        <h5>${escapeHtml(t('squad.roster'))}</h5>
+        <ul class="squad-roster">${roster}</ul>
+        <h5>${escapeHtml(t('nav.cleanups'))}</h5>
+        <ul class="squad-events">${attending}</ul>
+        <p class="form-error squad-leave-error" role="alert"></p>
+        <button type="button" class="btn btn-outline squad-leave">${escapeHtml(t('squad.leave'))}</button>
+      </div>
+    `;
+  }
+  
+  /**
+   * Check the name fields shared by both forms
+   * @param {HTMLFormElement} form - Create or join form
+   * @param {Object} errors - Map of field name to error message to add to
+   * @returns {string} The trimmed member name
+   */
+  validateMemberName(form, errors) {
+    const memberName = form.elements.memberName.value.trim();
+    if (memberName.length < 2) {
+      errors.memberName = t('squad.errorMemberName');
+    }
+    return memberName;
+  }
+  
+  async handleCreate(form) {
+    const errors = {};
+    const memberName = this.validateMemberName(form, errors);
+    const squadName = form.elements.squadName.value.trim();
+    
+    if (squadName.length < 3) {
+      errors.squadName = t('squad.errorName');
+    }
+    
+    if (!FormErrors.show(form, errors)) return;
+    
+    try {
+      updateCurrentUser({ name: memberName });
+      await this.squadStore.create(squadName);
+    } catch (error) {
+      console.error('Error creating squad:', error);
+      form.querySelector('.form-error').textContent = t('squad.errorCreate');
+    }
+  }
+  
+  async handleJoin(form) {
+    const errors = {};
+    const memberName = this.validateMemberName(form, errors);
+    const code = SquadStore.normalizeCode(form.elements.code.value);
+    
+    if (code.length !== 6) {
+      errors.code = t('squad.errorCode');
+    }
+    
+    if (!FormErrors.show(form, errors)) return;
+    
+    try {
+      updateCurrentUser({ name: memberName });
+      const invite = this.invite && this.invite.code === code ? this.invite : {};
+      await this.squadStore.joinByCode(code, invite);
+      this.clearInvite();
+    } catch (error) {
+      console.error('Error joining squad:', error);
+      FormErrors.set(form, 'code', t('squad.errorNotFound'));
+    }
+  }
+  
+  async handleLeave() {
+    const squad = this.squadStore.getMySquad();
+    if (!squad || !window.confirm(t('squad.confirmLeave', { name: squad.name }))) return;
+    
+    const attending = [...squad.attending];
+    
+    try {
+      await this.squadStore.leave(squad.id);
+    } catch (error) {
+      console.error('Error leaving squad:', error);
+      this.panel.querySelector('.squad-leave-error').textContent = t('squad.errorLeave');
+      return;
+    }
+    
+    // Leaving frees spots at the squad's cleanups
+    attending.forEach(eventId => this.fillFreedSpots(eventId));
+  }
+  
+  async shareInvite() {
+    const squad = this.squadStore.getMySquad();
+    const status = this.panel.querySelector('.squad-invite-status');
+    if (!squad) return;
+    
+    const link = this.squadStore.getInviteLink(squad);
+    const text = t('squad.shareText', { name: squad.name, code: squad.code });
+    
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: t('squad.shareTitle'), text, url: link });
+        return;
+      }
+      
+      await navigator.clipboard.writeText(link);
+      status.textContent = t('squad.copied');
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      status.textContent = t('squad.shareLink', { link });
+    }
+  }
+  
+  async toggleAttending(button) {
+    const card = button.closest('.cleanup-card');
+    const event = card && this.eventStore.getById(card.dataset.eventId);
+    const squad = this.squadStore.getMySquad();
+    if (!event || !squad) return;
+    
+    const attending = squad.attending.includes(event.id);
+    
+    if (!attending) {
+      const roster = new Set(this.rsvpStore.getRoster(event.id).attendees);
+      const newSeats = squad.members.filter(member => !roster.has(member.id)).length;
+      
+      if (newSeats > this.rsvpStore.getSpotsLeft(event)) {
+        card.querySelector('.card-rsvp-status').textContent = t('squad.notEnoughSpots');
+        return;
+      }
+    }
+    
+    try {
+      await this.squadStore.setAttending(squad.id, event.id, !attending);
+      if (attending) this.fillFreedSpots(event.id);
+    } catch (error) {
+      console.error('Error updating squad attendance:', error);
+    }
+  }
+  
+  fillFreedSpots(eventId) {
+    const promoted = this.rsvpStore.promoteWaitlist(eventId);
+    if (promoted.length > 0) {
+      this.rsvpStore.commit(eventId, { memberId: null, status: null, promoted });
+    }
+  }
+}
+
+// ============================================
+// Cleanup Impact Logging
+// ============================================
+const DebrisCategories = [
+  { id: 'plastic-bottles', icon: '🧴' },
+  { id: 'plastic-bags', icon: '🛍️' },
+  { id: 'cigarette-butts', icon: '🚬' },
+  { id: 'fishing-line', icon: '🎣' },
+  { id: 'styrofoam', icon: '📦' },
+  { id: 'glass', icon: '🍾' },
+  { id: 'cans', icon: '🥫' },
+  { id: 'other', icon: '🗑️' }
+];
+
+class ImpactStore {
+  /**
+   * @param {string} source - JSON URL of logs recorded at past cleanups
+   */
+  constructor(source = AppConfig.impactLogsUrl) {
+    this.source = source;
+    this.recordedLogs = [];
+    this.localLogs = [];
+    this.loaded = false;
+    this.init();
+  }
+  
+  async init() {
+    await this.load();
+  }
+  
+  async load() {
+    const saved = Storage.get(AppConfig.storageKeys.impactLogs);
+    this.localLogs = Array.isArray(saved) ? saved : [];
+    
+    try {
+      const response = await fetch(this.source);
+      
+      if (!response.ok) {
+        throw new Error(`Impact logs error: ${response.status}`);
+      }
+      
+      const result = await response.json();
+      this.recordedLogs = Array.isArray(result) ? result : (result.logs || []);
+    } catch (error) {
+      console.error('Error loading impact logs:', error);
+    }
+    
+    this.loaded = true;
+    this.notify();
+  }
+  
+  getAll() {
+    // A member's on-device log replaces any recorded copy of the same log
+    const localIds = new Set(this.localLogs.map(log => log.id));
+    return [...this.recordedLogs.filter(log => !localIds.has(log.id)), ...this.localLogs];
+  }
+  
+  getLogs(eventId) {
+    return this.getAll().filter(log => log.eventId === eventId);
+  }
+  
+  getMemberLog(eventId, memberId = getCurrentUser().id) {
+    return this.getLogs(eventId).find(log => log.memberId === memberId) || null;
+  }
+  
+  /**
+   * Save the current member's log for an event, replacing any earlier one
+   * @param {Object} event - Normalized cleanup event
+   * @param {{bags: number, weightKg: number, debris: Object}} values - Logged amounts
+   * @returns {Object} The saved log
+   * @throws {Error} When the log can't be saved on this device
+   */
+  saveLog(event, values) {
+    const member = getCurrentUser();
+    const existing = this.getMemberLog(event.id, member.id);
+    
+    const log = {
+      id: existing ? existing.id : `${event.id}-${member.id}`,
+      eventId: event.id,
+      beach: event.beach,
+      memberId: member.id,
+      bags: values.bags,
+      weightKg: values.weightKg,
+      debris: values.debris,
+      loggedAt: new Date().toISOString()
+    };
+    
+    const localLogs = [...this.localLogs.filter(saved => saved.id !== log.id), log];
+    if (!Storage.set(AppConfig.storageKeys.impactLogs, localLogs)) {
+      throw new Error('Unable to save impact log on this device');
+    }
+    
+    this.localLogs = localLogs;
+    this.notify();
+    return log;
+  }
+  
+  /**
+   * Add up a set of logs
+   * @param {Array} logs - Impact logs
+   * @returns {{logs: number, bags: number, weightKg: number, debris: Object, members: number, beaches: number}}
+   */
+  summarize(logs) {
+    const debris = {};
+    const members = new Set();
+    const beaches = new Set();
+    let bags = 0;
+    let weightKg = 0;
+    
+    logs.forEach(log => {
+      bags += Number(log.bags) || 0;
+      weightKg += Number(log.weightKg) || 0;
+      if (log.memberId) members.add(log.memberId);
+      if (log.beach) beaches.add(log.beach);
+      
+      Object.entries(log.debris || {}).forEach(([category, count]) => {
+        debris[category] = (debris[category] || 0) + (Number(count) || 0);
+      });
+    });
+    
+    return { logs: logs.length, bags, weightKg, debris, members: members.size, beaches: beaches.size };
+  }
+  
+  getTotals() {
+    return this.summarize(this.getAll());
+  }
+  
+  getEventTotals(eventId) {
+    return this.summarize(this.getLogs(eventId));
+  }
+  
+  static formatWeight(weightKg) {
+    return `${I18n.formatNumber(weightKg, { maximumFractionDigits: 1 })} kg`;
+  }
+  
+  notify() {
+    document.dispatchEvent(new CustomEvent('shoresquad:impact-changed', {
+      detail: { totals: this.getTotals() }
+    }));
+  }
+}
+
+class ImpactStats {
+  constructor(impactStore, counterAnimation) {
+    this.impactStore = impactStore;
+    this.counterAnimation = counterAnimation;
+    this.stats = document.querySelectorAll('.stat-number[data-stat]');
+    this.init();
+  }
+  
+  init() {
+    document.addEventListener('shoresquad:impact-changed', (e) => this.update(e.detail.totals));
+    
+    if (this.impactStore.loaded) {
+      this.update(this.impactStore.getTotals());
+    }
+  }
+  
+  update(totals) {
+    this.stats.forEach(element => {
+      const value = Math.round(totals[element.dataset.stat] || 0);
+      this.counterAnimation.setCount(element, value);
+    });
+  }
+}
+
+class ImpactLogDialog {
+  constructor(impactStore, eventStore) {
+    this.impactStore = impactStore;
+    this.eventStore = eventStore;
+    this.form = document.getElementById('impactLogForm');
+    this.formError = document.getElementById('impactLogError');
+    this.subtitle = document.getElementById('impactLogEvent');
+    this.modal = new ModalDialog(document.getElementById('impactLogModal'));
+    this.event = null;
+    this.init();
+  }
+  
+  init() {
+    if (!this.form) return;
+    
+    this.renderDebrisFields();
+    
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('.card-log-impact');
+      if (!button) return;
+      
+      const card = button.closest('.cleanup-card');
+      if (card) this.open(card.dataset.eventId);
+    });
+    
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmit();
+    });
+    
+    this.form.addEventListener('input', (e) => {
+      if (e.target.name) FormErrors.set(this.form, e.target.name, '');
+      if (this.formError) this.formError.textContent = '';
+    });
+  }
+  
+  renderDebrisFields() {
+    const grid = this.form.querySelector('.debris-grid');
+    if (!grid) return;
+    
+    grid.innerHTML = DebrisCategories.map(category => `
+      <div class="form-field">
+        <label for="debris-${category.id}"><span aria-hidden="true">${category.icon}</span> ${t(`debris.${category.id}`)}</label>
+        <input type="number" id="debris-${category.id}" name="debris-${category.id}" min="0" step="1" inputmode="numeric" placeholder="0" aria-describedby="${this.form.id}-debris-${category.id}-error">
+        <p class="field-error" id="${this.form.id}-debris-${category.id}-error" aria-live="polite"></p>
+      </div>
+    `).join('');
+  }
+  
+  open(eventId) {
+    this.event = this.eventStore.getById(eventId);
+    if (!this.event) return;
+    
+    this.form.reset();
+    FormErrors.clear(this.form, this.formError);
+    
+    if (this.subtitle) {
+      this.subtitle.textContent = `${this.event.title} · ${this.event.beach}`;
+    }
+    
+    // Editing an earlier log starts from what was saved
+    const existing = this.impactStore.getMemberLog(eventId);
+    if (existing) {
+      this.form.elements.bags.value = existing.bags;
+      this.form.elements.weightKg.value = existing.weightKg;
+      DebrisCategories.forEach(category => {
+        const count = existing.debris && existing.debris[category.id];
+        if (count) this.form.elements[`debris-${category.id}`].value = count;
+      });
+    }
+    
+    this.modal.open();
+  }
+  
+  getValues() {
+    const fields = this.form.elements;
+    const debris = {};
+    
+    DebrisCategories.forEach(category => {
+      debris[category.id] = fields[`debris-${category.id}`].value.trim();
+    });
+    
+    return {
+      bags: fields.bags.value.trim(),
+      weightKg: fields.weightKg.value.trim(),
+      debris
+    };
+  }
+  
+  /**
+   * Validate the form values
+   * @param {Object} values - Values from getValues()
+   * @returns {Object} Map of field name to error message (empty when valid)
+   */
+  validate(values) {
+    const errors = {};
+    
+    const bags = Number(values.bags);
+    if (!values.bags || !Number.isInteger(bags) || bags < 0 || bags > 500) {
+      errors.bags = t('impact.errorBags');
+    }
+    
+    const weight = Number(values.weightKg);
+    if (!values.weightKg || isNaN(weight) || weight < 0 || weight > 2000) {
+      errors.weightKg = t('impact.errorWeight');
+    }
+    
+    Object.entries(values.debris).forEach(([category, count]) => {
+      const number = Number(count);
+      if (count && (!Number.isInteger(number) || number < 0)) {
+        errors[`debris-${category}`] = t('impact.errorCount');
+      }
+    });
+    
+    return errors;
+  }
+  
+  handleSubmit() {
+    const values = this.getValues();
+    const errors = this.validate(values);
+    
+    if (!FormErrors.show(this.form, errors, this.formError)) return;
+    
+    const bags = Number(values.bags);
+    const weightKg = Number(values.weightKg);
+    if (bags === 0 && weightKg === 0) {
+      if (this.formError) this.formError.textContent = t('impact.errorEmpty');
+      return;
+    }
+    
+    const debris = {};
+    Object.entries(values.debris).forEach(([category, count]) => {
+      if (Number(count) > 0) debris[category] = Number(count);
+    });
+    
+    try {
+      this.impactStore.saveLog(this.event, { bags, weightKg, debris });
+    } catch (error) {
+      console.error('Error saving impact log:', error);
+      if (this.formError) this.formError.textContent = t('impact.errorSave');
+      return;
+    }
+    
+    this.modal.close();
+  }
+}
+
+// ============================================
+// Litter Hotspot Reports
+// ============================================
+const LitterSeverities = [
+  { id: 'low', icon: '🟡' },
+  { id: 'medium', icon: '🟠' },
+  { id: 'high', icon: '🔴' }
+];
+
+/**
+ * Shrinks photos before they're saved so reports don't fill up the device
+ */
+const PhotoCompressor = {
+  /**
+   * @param {File} file - Photo taken or chosen by the user
+   * @param {number} maxSize - Longest side in pixels
+   * @param {number} quality - JPEG quality, 0–1
+   * @returns {Promise<string>} JPEG data URL
+   */
+  async compress(file, maxSize = AppConfig.litterReports.photoMaxSize, quality = AppConfig.litterReports.photoQuality) {
+    if (!file.type.startsWith('image/')) {
+      throw new Error(`Not an image: ${file.type}`);
+    }
+    
+    const image = await this.load(file);
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    if (image.close) image.close();
+    
+    return canvas.toDataURL('image/jpeg', quality);
+  },
+  
+  load(file) {
+    // createImageBitmap also applies the photo's EXIF rotation
+    if ('createImageBitmap' in window) return createImageBitmap(file);
+    
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Could not read image'));
+      };
+      image.src = url;
+    });
+  }
+};
+
+class LitterReportStore {
+  /**
+   * @param {string} source - JSON URL of reports already shared with ShoreSquad
+   */
+  constructor(source = AppConfig.litterReportsUrl) {
+    this.source = source;
+    this.recordedReports = [];
+    this.localReports = [];
+    this.loaded = false;
+    this.init();
+  }
+  
+  async init() {
+    // Cleanups organized from a report are linked back to it
+    document.addEventListener('shoresquad:event-created', (e) => {
+      const { record } = e.detail;
+      if (record.reportId) this.linkEvent(record.reportId, record.id);
+    });
+    
+    await this.load();
+  }
+  
+  async load() {
+    const saved = Storage.get(AppConfig.storageKeys.litterReports);
+    this.localReports = Array.isArray(saved) ? saved : [];
+    
+    try {
+      const response = await fetch(this.source);
+      
+      if (!response.ok) {
+        throw new Error(`Litter reports error: ${response.status}`);
+      }
+      
+      const result = await response.json();
+      this.recordedReports = Array.isArray(result) ? result : (result.reports || []);
+    } catch (error) {
+      console.error('Error loading litter reports:', error);
+    }
+    
+    this.loaded = true;
+    this.commit();
+  }
+  
+  getAll() {
+    // An on-device copy (e.g. once linked to a cleanup) replaces the recorded one
+    const localIds = new Set(this.localReports.map(report => report.id));
+    return [...this.recordedReports.filter(report => !localIds.has(report.id)), ...this.localReports]
+      .sort((a, b) => new Date(b.reportedAt) - new Date(a.reportedAt));
+  }
+  
+  getById(reportId) {
+    return this.getAll().find(report => report.id === reportId) || null;
+  }
+  
+  /**
+   * Save a report from the current user
+   * @param {Object} values - coordinates, accuracy (metres), source ('gps' or 'beach'),
+   *   beach, photo (data URL), severity, debris and notes
+   * @returns {Object} The saved report
+   */
+  add(values) {
+    const member = getCurrentUser();
+    const report = {
+      id: `report-${Date.now().toString(36)}`,
+      ...values,
+      reporterId: member.id,
+      reporterName: member.name,
+      reportedAt: new Date().toISOString(),
+      eventId: null
+    };
+    
+    this.localReports = [...this.localReports, report];
+    this.commit();
+    return report;
+  }
+  
+  linkEvent(reportId, eventId) {
+    const report = this.getById(reportId);
+    if (!report) return;
+    
+    this.localReports = [...this.localReports.filter(saved => saved.id !== reportId), { ...report, eventId }];
+    this.commit();
+  }
+  
+  /**
+   * Name for where a report was made: the beach, else its coordinates
+   * @param {Object} report - Litter report
+   * @returns {string}
+   */
+  static getPlace(report) {
+    if (report.beach) return report.beach;
+    
+    const { latitude, longitude } = report.coordinates;
+    return t('reports.coordinates', {
+      latitude: latitude.toFixed(4),
+      longitude: longitude.toFixed(4)
+    });
+  }
+  
+  commit() {
+    Storage.set(AppConfig.storageKeys.litterReports, this.localReports);
+    document.dispatchEvent(new CustomEvent('shoresquad:reports-changed', {
+      detail: { reports: this.getAll() }
+    }));
+  }
+}
+
+class LitterReportDialog {
+  constructor(reportStore, locationService, notifications) {
+    this.reportStore = reportStore;
+    this.locationService = locationService;
+    this.notifications = notifications;
+    this.trigger = document.getElementById('reportLitterBtn');
+    this.form = document.getElementById('reportLitterForm');
+    this.formError = document.getElementById('reportLitterError');
+    this.preview = document.getElementById('reportPhotoPreview');
+    this.locationStatus = document.getElementById('reportLocationStatus');
+    this.beachField = document.getElementById('reportBeachField');
+    this.modal = new ModalDialog(document.getElementById('reportLitterModal'));
+    this.position = null;
+    this.photo = null;
+    // Latest open() and photo, so late results from an earlier one are ignored
+    this.openCount = 0;
+    this.photoPromise = null;
+    this.locatePromise = null;
+    this.submitting = false;
+    this.init();
+  }
+  
+  init() {
+    if (!this.trigger || !this.form) return;
+    
+    this.renderOptions();
+    
+    this.trigger.addEventListener('click', () => this.open());
+    
+    this.form.elements.photo.addEventListener('change', () => this.handlePhoto());
+    
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmit();
+    });
+    
+    this.form.addEventListener('input', (e) => {
+      if (e.target.name) FormErrors.set(this.form, e.target.name, '');
+      if (this.formError) this.formError.textContent = '';
+    });
+  }
+  
+  renderOptions() {
+    const { severity, debris } = this.form.elements;
+    
+    severity.insertAdjacentHTML('beforeend', LitterSeverities.map(level => `
+      <option value="${level.id}">${level.icon} ${escapeHtml(t(`reports.severity-${level.id}`))}</option>
+    `).join(''));
+    debris.insertAdjacentHTML('beforeend', DebrisCategories.map(category => `
+      <option value="${category.id}">${category.icon} ${escapeHtml(t(`debris.${category.id}`))}</option>
+    `).join(''));
+  }
+  
+  open() {
+    this.form.reset();
+    FormErrors.clear(this.form, this.formError);
+    this.photo = null;
+    this.photoPromise = null;
+    this.preview.hidden = true;
+    this.preview.removeAttribute('src');
+    this.position = null;
+    this.beachField.hidden = true;
+    this.form.elements.beach.required = false;
+    
+    this.modal.open();
+    this.locatePromise = this.locate(++this.openCount);
+  }
+  
+  async locate(openCount) {
+    this.locationStatus.textContent = t('reports.locating');
+    
+    const position = await this.locationService.getCurrentPosition();
+    if (openCount !== this.openCount) return;
+    
+    this.position = position;
+    
+    if (!position) {
+      this.locationStatus.textContent = t('reports.noLocation');
+      this.beachField.hidden = false;
+      this.form.elements.beach.required = true;
+      return;
+    }
+    
+    const beach = BeachDirectory.nearestBeach(position, AppConfig.litterReports.beachRadiusKm);
+    this.locationStatus.textContent = beach
+      ? t('reports.locatedNear', { beach: beach.name })
+      : t('reports.located');
+  }
+  
+  handlePhoto() {
+    const [file] = this.form.elements.photo.files;
+    this.photo = null;
+    this.preview.hidden = true;
+    if (!file) return;
+    
+    const photoPromise = PhotoCompressor.compress(file)
+      .then((photo) => {
+        if (this.photoPromise !== photoPromise) return;
+        this.photo = photo;
+        this.preview.src = photo;
+        this.preview.hidden = false;
+      })
+      .catch((error) => {
+        console.error('Error compressing photo:', error);
+        if (this.photoPromise === photoPromise) FormErrors.set(this.form, 'photo', t('reports.errorPhoto'));
+      });
+    this.photoPromise = photoPromise;
+  }
+  
+  getValues() {
+    const fields = this.form.elements;
+    return {
+      severity: fields.severity.value,
+      debris: fields.debris.value,
+      beach: fields.beach.value.trim(),
+      notes: fields.notes.value.trim()
+    };
+  }
+  
+  /**
+   * Validate the form values
+   * @param {Object} values - Values from getValues()
+   * @returns {Object} Map of field name to error message (empty when valid)
+   */
+  validate(values) {
+    const errors = {};
+    
+    if (!this.photo) {
+      errors.photo = t('reports.errorNoPhoto');
+    }
+    if (!this.position && !BeachDirectory.lookup(values.beach)) {
+      errors.beach = t('reports.errorBeach');
+    }
+    if (!values.severity) {
+      errors.severity = t('reports.errorSeverity');
+    }
+    if (!values.debris) {
+      errors.debris = t('reports.errorDebris');
+    }
+    
+    return errors;
+  }
+  
+  async handleSubmit() {
+    if (this.submitting) return;
+    
+    const submitButton = this.form.querySelector('[type="submit"]');
+    this.submitting = true;
+    submitButton.disabled = true;
+    
+    try {
+      // Wait for a photo that is still being compressed, and for the
+      // location so the beach field is only required once it is shown
+      await Promise.all([this.photoPromise, this.locatePromise]);
+      this.save();
+    } finally {
+      this.submitting = false;
+      submitButton.disabled = false;
+    }
+  }
+  
+  save() {
+    const values = this.getValues();
+    const errors = this.validate(values);
+    
+    if (!FormErrors.show(this.form, errors, this.formError)) return;
+    
+    const position = this.position;
+    const place = position
+      ? BeachDirectory.nearestBeach(position, AppConfig.litterReports.beachRadiusKm)
+      : BeachDirectory.lookup(values.beach);
+    
+    this.reportStore.add({
+      coordinates: position
+        ? { latitude: position.latitude, longitude: position.longitude }
+        : { latitude: place.latitude, longitude: place.longitude },
+      accuracy: position ? Math.round(position.accuracy) : null,
+      source: position ? 'gps' : 'beach',
+      beach: place ? place.name : '',
+      photo: this.photo,
+      severity: values.severity,
+      debris: values.debris,
+      notes: values.notes
+    });
+    
+    this.modal.close();
+    this.notifications.notify(t('reports.saved'), { type: 'success' });
+  }
+}
+
+// ============================================
+// Check-ins, Leaderboards & Badges
+// ============================================
+/**
+ * Signed check-in codes. Creating a cleanup makes an ECDSA key pair: the
+ * public key is published with the event and the private key stays on the
+ * organizer's device, where it signs the QR code shown on the event page.
+ * Tokens look like `<eventId>.<expiry>.<signature>`, with the expiry in
+ * base-36 Unix seconds and the signature in base64url.
+ */
+const CheckInTokens = {
+  algorithm: { name: 'ECDSA', namedCurve: 'P-256' },
+  signatureAlgorithm: { name: 'ECDSA', hash: 'SHA-256' },
+  
+  isSupported() {
+    return Boolean(window.crypto && window.crypto.subtle);
+  },
+  
+  /**
+   * @returns {Promise<{publicKey: Object, privateKey: Object}>} Both keys as JWKs
+   */
+  async generateKeys() {
+    const pair = await crypto.subtle.generateKey(this.algorithm, true, ['sign', 'verify']);
+    const [publicKey, privateKey] = await Promise.all([
+      crypto.subtle.exportKey('jwk', pair.publicKey),
+      crypto.subtle.exportKey('jwk', pair.privateKey)
+    ]);
+    return { publicKey, privateKey };
+  },
+  
+  getSigningKey(eventId) {
+    const keys = Storage.get(AppConfig.storageKeys.checkInKeys) || {};
+    return keys[eventId] || null;
+  },
+  
+  /**
+   * @param {string} eventId - Cleanup the key signs codes for
+   * @param {Object} privateKey - JWK
+   * @returns {boolean} Whether the key was saved
+   */
+  saveSigningKey(eventId, privateKey) {
+    const keys = Storage.get(AppConfig.storageKeys.checkInKeys) || {};
+    return Storage.set(AppConfig.storageKeys.checkInKeys, { ...keys, [eventId]: privateKey });
+  },
+  
+  /**
+   * Whether this device organizes the cleanup and can show its code
+   * @param {Object} event - Normalized cleanup event
+   * @returns {boolean}
+   */
+  canSign(event) {
+    return Boolean(event.checkInKey && this.getSigningKey(event.id) && this.isSupported());
+  },
+  
+  toBase64Url(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  },
+  
+  fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  },
+  
+  /**
+   * @param {string} token - Token from a check-in link
+   * @returns {{eventId: string, expires: Date, payload: string, signature: string}|null}
+   */
+  parse(token) {
+    const match = /^([\w-]+)\.([0-9a-z]+)\.([\w-]+)$/.exec(token || '');
+    if (!match) return null;
+    
+    const [, eventId, expiry, signature] = match;
+    return {
+      eventId,
+      expires: new Date(parseInt(expiry, 36) * 1000),
+      payload: `${eventId}.${expiry}`,
+      signature
+    };
+  },
+  
+  /**
+   * Sign a token that is valid until the cleanup ends
+   * @param {Object} event - Normalized cleanup event this device can sign for
+   * @returns {Promise<string>}
+   */
+  async sign(event) {
+    const key = await crypto.subtle.importKey('jwk', this.getSigningKey(event.id), this.algorithm, false, ['sign']);
+    const payload = `${event.id}.${Math.floor(event.end.getTime() / 1000).toString(36)}`;
+    const signature = await crypto.subtle.sign(this.signatureAlgorithm, key, new TextEncoder().encode(payload));
+    return `${payload}.${this.toBase64Url(signature)}`;
+  },
+  
+  /**
+   * Check a token's signature against the event's public key. Expiry is
+   * left to the caller so it can say why a code was turned down.
+   * @param {Object} token - From parse()
+   * @param {Object} event - Normalized cleanup event
+   * @returns {Promise<boolean>}
+   */
+  async verify(token, event) {
+    if (!event.checkInKey || !this.isSupported() || token.eventId !== event.id) return false;
+    
+    try {
+      const key = await crypto.subtle.importKey('jwk', event.checkInKey, this.algorithm, false, ['verify']);
+      return await crypto.subtle.verify(
+        this.signatureAlgorithm,
+        key,
+        this.fromBase64Url(token.signature),
+        new TextEncoder().encode(token.payload)
+      );
+    } catch (error) {
+      console.warn('Could not verify check-in code:', error);
+      return false;
+    }
+  },
+  
+  getLink(token) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = `/check-in/${token}`;
+    return url.href;
+  },
+  
+  /**
+   * Pull the token out of a scanned check-in link
+   * @param {string} text - Decoded QR code contents
+   * @returns {string|null}
+   */
+  fromLink(text) {
+    const match = /#\/check-in\/([\w.-]+)$/.exec(text);
+    return match ? match[1] : null;
+  }
+};
+
+class CheckInStore {
+  /**
+   * @param {string} source - JSON URL of check-ins recorded at past cleanups
+   */
+  constructor(source = AppConfig.checkInsUrl) {
+    this.source = source;
+    this.recordedCheckIns = [];
+    this.localCheckIns = [];
+    this.loaded = false;
+    this.init();
+  }
+  
+  async init() {
+    await this.load();
+  }
+  
+  async load() {
+    const saved = Storage.get(AppConfig.storageKeys.checkIns);
+    this.localCheckIns = Array.isArray(saved) ? saved : [];
+    
+    try {
+      const response = await fetch(this.source);
+      
+      if (!response.ok) {
+        throw new Error(`Check-ins error: ${response.status}`);
+      }
+      
+      const result = await response.json();
+      this.recordedCheckIns = Array.isArray(result) ? result : (result.checkIns || []);
+    } catch (error) {
+      console.error('Error loading check-ins:', error);
+    }
+    
+    this.loaded = true;
+    this.commit();
+  }
+  
+  getAll() {
+    return [...this.recordedCheckIns, ...this.localCheckIns];
+  }
+  
+  getForMember(memberId = getCurrentUser().id) {
+    return this.getAll().filter(checkIn => checkIn.memberId === memberId);
+  }
+  
+  hasCheckedIn(eventId, memberId = getCurrentUser().id) {
+    return this.getAll().some(checkIn => checkIn.eventId === eventId && checkIn.memberId === memberId);
+  }
+  
+  /**
+   * Record that the current user turned up to a cleanup
+   * @param {Object} event - Normalized cleanup event
+   * @param {Object} details - Extra fields to store (e.g. squad, weather)
+   * @returns {Object} The check-in record
+   */
+  checkIn(event, details = {}) {
+    const member = getCurrentUser();
+    const existing = this.localCheckIns.find(checkIn => checkIn.eventId === event.id && checkIn.memberId === member.id);
+    if (existing) return existing;
+    
+    const checkIn = {
+      id: `${event.id}-${member.id}`,
+      eventId: event.id,
+      beach: event.beach,
+      memberId: member.id,
+      memberName: member.name,
+      checkedInAt: new Date().toISOString(),
+      ...details
+    };
+    
+    this.localCheckIns = [...this.localCheckIns, checkIn];
+    this.commit();
+    return checkIn;
+  }
+  
+  commit() {
+    Storage.set(AppConfig.storageKeys.checkIns, this.localCheckIns);
+    document.dispatchEvent(new CustomEvent('shoresquad:checkins-changed', {
+      detail: { checkIns: this.getAll() }
+    }));
+  }
+}
+
+class CheckInManager {
+  constructor(checkInStore, eventStore, squadStore, locationService) {
+    this.checkInStore = checkInStore;
+    this.eventStore = eventStore;
+    this.squadStore = squadStore;
+    this.locationService = locationService;
+    // Scanned codes, by token, so re-rendering the page doesn't check in twice
+    this.redemptions = new Map();
+    this.init();
+  }
+  
+  init() {
+    document.addEventListener('click', async (e) => {
+      const button = e.target.closest('.card-check-in');
+      const card = button && button.closest('.cleanup-card');
+      // Cleanups with a check-in code open the scanner instead (see CheckInScanner)
+      if (!card || button.classList.contains('check-in-scan')) return;
+      
+      // Re-enabled by the card re-rendering once the check-in is saved
+      button.disabled = true;
+      button.textContent = t('checkIn.locating');
+      if (!(await this.checkIn(this.eventStore.getById(card.dataset.eventId)))) button.disabled = false;
+    });
+  }
+  
+  /**
+   * Record a check-in with the device's position, flagging it when the
+   * position is too far from the beach
+   * @param {Object|null} event - Cleanup to check in to
+   * @param {string} method - 'card' for the card button (self-reported) or 'qr' for a scanned code
+   * @returns {Promise<Object|null>} The check-in record
+   */
+  async checkIn(event, method = 'card') {
+    if (!event) return null;
+    
+    const position = await this.locationService.getCurrentPosition();
+    const distanceKm = position && event.coordinates ? haversineDistance(position, event.coordinates) : null;
+    const squad = this.squadStore.getMySquad();
+    const weather = WeatherScoring.forEvent(event);
+    
+    const checkIn = this.checkInStore.checkIn(event, {
+      squadId: squad ? squad.id : null,
+      squadName: squad ? squad.name : null,
+      // Kept with the check-in so badges like Storm Chaser don't depend on today's forecast
+      weather: weather ? {
+        level: weather.level,
+        forecast: weather.regional ? weather.regional.text : (weather.period && weather.period.forecast) || null
+      } : null,
+      method,
+      location: position,
+      distanceKm: distanceKm === null ? null : Math.round(distanceKm * 100) / 100,
+      // Give the benefit of the doubt for a rough GPS fix
+      suspicious: distanceKm !== null && distanceKm - position.accuracy / 1000 > AppConfig.checkInMaxDistanceKm
+    });
+    
+    if ('vibrate' in navigator) {
+      navigator.vibrate(50);
+    }
+    return checkIn;
+  }
+  
+  /**
+   * Check in with a scanned code. Redeeming the same token again returns
+   * the first result, except that a code scanned too early is tried again
+   * once check-in opens.
+   * @param {string} token - Token from the check-in link
+   * @returns {{status: string, event: Object|null, checkIn: Object|null}} status is
+   *   'pending' until 'checked-in', 'invalid', 'unknown', 'early' or 'expired' is known;
+   *   shoresquad:checkin-redeemed fires when it is
+   */
+  redeem(token) {
+    const previous = this.redemptions.get(token);
+    const opened = previous && previous.status === 'early' &&
+      new Date() >= new Date(previous.event.start.getTime() - AppConfig.checkInLeadMinutes * 60000);
+    
+    if (!previous || opened) {
+      const redemption = { status: 'pending', event: null, checkIn: null };
+      this.redemptions.set(token, redemption);
+      
+      this.verifyAndCheckIn(token).then((result) => {
+        Object.assign(redemption, result);
+        document.dispatchEvent(new CustomEvent('shoresquad:checkin-redeemed', {
+          detail: { token, ...redemption }
+        }));
+      });
+    }
+    
+    return this.redemptions.get(token);
+  }
+  
+  async verifyAndCheckIn(token) {
+    const parsed = CheckInTokens.parse(token);
+    const event = parsed && this.eventStore.getById(parsed.eventId);
+    
+    if (!event) {
+      return { status: parsed ? 'unknown' : 'invalid', event: null, checkIn: null };
+    }
+    if (!(await CheckInTokens.verify(parsed, event))) {
+      return { status: 'invalid', event, checkIn: null };
+    }
+    
+    const now = new Date();
+    const opensAt = new Date(event.start.getTime() - AppConfig.checkInLeadMinutes * 60000);
+    if (now < opensAt) return { status: 'early', event, checkIn: null };
+    if (now > parsed.expires) return { status: 'expired', event, checkIn: null };
+    
+    const checkIn = await this.checkIn(event, 'qr');
+    return { status: 'checked-in', event, checkIn };
+  }
+}
+
+/**
+ * Camera view that reads check-in codes with QrCode.decode() and opens the
+ * check-in page for the first one it finds
+ */
+class CheckInScanner {
+  constructor() {
+    this.modal = new ModalDialog(document.getElementById('checkInScannerModal'));
+    this.video = document.getElementById('checkInScannerVideo');
+    this.status = document.getElementById('checkInScannerStatus');
+    this.canvas = document.createElement('canvas');
+    this.stream = null;
+    this.timer = null;
+    this.init();
+  }
+  
+  init() {
+    if (!this.video) return;
+    
+    // Scan buttons live on event pages, which re-render
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('.check-in-scan')) this.open();
+    });
+    
+    this.modal.onClose = () => this.stop();
+  }
+  
+  isSupported() {
+    return typeof QrCode !== 'undefined' && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+  
+  setStatus(message) {
+    this.status.textContent = message;
+  }
+  
+  async open() {
+    this.modal.open();
+    
+    if (!this.isSupported()) {
+      this.setStatus(t('scanner.unsupported'));
+      return;
+    }
+    
+    this.setStatus(t('scanner.starting'));
+    
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+      this.stream = stream;
+      
+      // Closed while the permission prompt was up
+      if (!this.modal.isOpen) {
+        this.stop();
+        return;
+      }
+      
+      this.video.srcObject = stream;
+      await this.video.play();
+      this.setStatus(t('scanner.pointAt'));
+      this.scheduleScan();
+    } catch (error) {
+      console.error('Error starting camera:', error);
+      this.setStatus(t(error.name === 'NotAllowedError' ? 'scanner.denied' : 'scanner.unavailable'));
+    }
+  }
+  
+  scheduleScan() {
+    this.timer = setTimeout(() => this.scan(), AppConfig.scanInterval);
+  }
+  
+  scan() {
+    const { videoWidth, videoHeight } = this.video;
+    
+    if (videoWidth && videoHeight) {
+      // Scale large frames down; a code filling part of the view still has several pixels per module
+      const scale = Math.min(1, 640 / Math.max(videoWidth, videoHeight));
+      const width = Math.round(videoWidth * scale);
+      const height = Math.round(videoHeight * scale);
+      this.canvas.width = width;
+      this.canvas.height = height;
+      
+      const context = this.canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(this.video, 0, 0, width, height);
+      const text = QrCode.decode(context.getImageData(0, 0, width, height));
+      
+      if (text) {
+        const token = CheckInTokens.fromLink(text);
+        
+        if (token) {
+          this.modal.close();
+          window.location.hash = `#/check-in/${token}`;
+          return;
+        }
+        this.setStatus(t('scanner.notCheckIn'));
+      }
+    }
+    
+    this.scheduleScan();
+  }
+  
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    if (this.video) {
+      this.video.srcObject = null;
+    }
+  }
+}
+
+/**
+ * Stats and rankings computed from check-ins and impact logs
+ */
+const Leaderboard = {
+  monthKey(date) {
+    return WeatherScoring.toDateKey(new Date(date)).slice(0, 7);
+  },
+  
+  /**
+   * Consecutive months with at least one check-in, counting back from this
+   * month (or last month, so the streak survives until the next cleanup)
+   * @param {Array} checkIns - Check-in records
+   * @param {Date} now - Reference time
+   * @returns {number}
+   */
+  monthStreak(checkIns, now = new Date()) {
+    const months = new Set(checkIns.map(checkIn => this.monthKey(checkIn.checkedInAt)));
+    const cursor = new Date(now.getFullYear(), now.getMonth(), 15);
+    
+    if (!months.has(this.monthKey(cursor))) {
+      cursor.setMonth(cursor.getMonth() - 1);
+    }
+    
+    let streak = 0;
+    while (months.has(this.monthKey(cursor))) {
+      streak++;
+      cursor.setMonth(cursor.getMonth() - 1);
+    }
+    return streak;
+  },
+  
+  /**
+   * Summarize a group of check-ins
+   * @param {Array} checkIns - Check-in records for one member or squad
+   * @param {Array} impactLogs - All impact logs
+   * @returns {{cleanups: number, beaches: number, weightKg: number, streak: number, members: number}}
+   */
+  summarize(checkIns, impactLogs) {
+    const attended = new Set(checkIns.map(checkIn => `${checkIn.eventId}|${checkIn.memberId}`));
+    const weightKg = impactLogs
+      .filter(log => attended.has(`${log.eventId}|${log.memberId}`))
+      .reduce((total, log) => total + (Number(log.weightKg) || 0), 0);
+    
+    return {
+      cleanups: new Set(checkIns.map(checkIn => checkIn.eventId)).size,
+      beaches: new Set(checkIns.map(checkIn => checkIn.beach)).size,
+      weightKg,
+      streak: this.monthStreak(checkIns),
+      members: new Set(checkIns.map(checkIn => checkIn.memberId)).size
+    };
+  },
+  
+  /**
+   * Group check-ins by a key and rank the groups
+   * @param {Array} checkIns - Check-in records
+   * @param {Array} impactLogs - All impact logs
+   * @param {string} idField - 'memberId' or 'squadId'
+   * @param {string} nameField - 'memberName' or 'squadName'
+   * @returns {Array<{id: string, name: string}>} Sorted by cleanups, then weight
+   */
+  rank(checkIns, impactLogs, idField, nameField) {
+    const groups = new Map();
+    
+    checkIns.forEach(checkIn => {
+      const id = checkIn[idField];
+      if (!id) return;
+      
+      if (!groups.has(id)) groups.set(id, { id, name: checkIn[nameField], checkIns: [] });
+      const group = groups.get(id);
+      group.checkIns.push(checkIn);
+      // Use the most recent name in case it was changed
+      if (checkIn[nameField]) group.name = checkIn[nameField];
+    });
+    
+    return Array.from(groups.values())
+      .map(group => ({ id: group.id, name: group.name, ...this.summarize(group.checkIns, impactLogs) }))
+      .sort((a, b) => b.cleanups - a.cleanups || b.weightKg - a.weightKg || a.name.localeCompare(b.name));
+  }
+};
+
+const Badges = [
+  {
+    id: 'first-cleanup',
+    icon: '🌱',
+    isUnlocked: ({ stats }) => stats.cleanups >= 1
+  },
+  {
+    id: 'five-beaches',
+    icon: '🏖️',
+    isUnlocked: ({ stats }) => stats.beaches >= 5
+  },
+  {
+    id: 'storm-chaser',
+    icon: '⛈️',
+    isUnlocked: ({ checkIns }) => checkIns.some(checkIn => checkIn.weather &&
+      (checkIn.weather.level === 'poor' || /thunder|storm|rain|shower/i.test(checkIn.weather.forecast || '')))
+  },
+  {
+    id: 'heavy-lifter',
+    icon: '💪',
+    isUnlocked: ({ stats }) => stats.weightKg >= 25
+  },
+  {
+    id: 'squad-goals',
+    icon: '🤝',
+    isUnlocked: ({ checkIns }) => checkIns.some(checkIn => checkIn.squadId)
+  },
+  {
+    id: 'on-a-roll',
+    icon: '🔥',
+    isUnlocked: ({ stats }) => stats.streak >= 3
+  }
+];
+
+class AchievementsPanel {
+  constructor(checkInStore, impactStore, counterAnimation, notifications) {
+    this.checkInStore = checkInStore;
+    this.impactStore = impactStore;
+    this.counterAnimation = counterAnimation;
+    this.notifications = notifications;
+    this.section = document.getElementById('leaderboard');
+    this.unlocked = Storage.get(AppConfig.storageKeys.badges) || {};
+    this.board = 'members';
+    this.init();
+  }
+  
+  init() {
+    if (!this.section) return;
+    
+    this.stats = this.section.querySelectorAll('.stat-number[data-my-stat]');
+    this.badgeGrid = this.section.querySelector('.badge-grid');
+    this.table = this.section.querySelector('.leaderboard-list');
+    this.boardButtons = this.section.querySelectorAll('.leaderboard-toggle [data-board]');
+    
+    document.addEventListener('shoresquad:checkins-changed', () => this.update());
+    document.addEventListener('shoresquad:impact-changed', () => this.update());
+    
+    this.boardButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.board = button.dataset.board;
+        this.boardButtons.forEach(other => {
+          other.setAttribute('aria-pressed', other === button ? 'true' : 'false');
+        });
+        this.renderLeaderboard();
+      });
+    });
+    
+    this.update();
+  }
+  
+  update() {
+    // Wait for both sources so badges aren't judged on half the data
+    if (!this.checkInStore.loaded || !this.impactStore.loaded) return;
+    
+    const checkIns = this.checkInStore.getForMember();
+    const stats = Leaderboard.summarize(checkIns, this.impactStore.getAll());
+    
+    this.stats.forEach(element => {
+      this.counterAnimation.setCount(element, Math.round(stats[element.dataset.myStat] || 0));
+    });
+    
+    this.checkBadges({ checkIns, stats });
+    this.renderBadges();
+    this.renderLeaderboard();
+    
+    // Animate the newly rendered badges and rows
+    new ScrollAnimations();
+  }
+  
+  checkBadges(context) {
+    const newlyUnlocked = Badges.filter(badge => !this.unlocked[badge.id] && badge.isUnlocked(context));
+    if (newlyUnlocked.length === 0) return;
+    
+    newlyUnlocked.forEach(badge => {
+      this.unlocked[badge.id] = new Date().toISOString();
+    });
+    Storage.set(AppConfig.storageKeys.badges, this.unlocked);
+    
+    if (!getPreferences().badgeAlerts) return;
+    
+    const names = newlyUnlocked.map(badge => `${badge.icon} ${t(`achievements.${badge.id}`)}`).join(', ');
+    this.notifications.notify(t('achievements.unlocked', { names }), { type: 'success' });
+  }
+  
+  renderBadges() {
+    if (!this.badgeGrid) return;
+    
+    this.badgeGrid.innerHTML = Badges.map((badge, index) => {
+      const unlockedAt = this.unlocked[badge.id];
+      return `
+        <li class="badge-card ${unlockedAt ? 'is-unlocked' : 'is-locked'}" data-animate="fade-up" data-delay="${index * 100}">
+          <span class="badge-icon" aria-hidden="true">${badge.icon}</span>
+          <span class="badge-name">${escapeHtml(t(`achievements.${badge.id}`))}</span>
+          <span class="badge-description">${escapeHtml(t(`achievements.${badge.id}.description`))}</span>
+          <span class="badge-status">${unlockedAt ? escapeHtml(t('achievements.unlockedOn', { date: I18n.formatDate(new Date(unlockedAt), { month: 'short', day: 'numeric' }) })) : escapeHtml(t('achievements.locked'))}</span>
+        </li>
+      `;
+    }).join('');
+  }
+  
+  /**
+   * Squad names link to the squad's page and your own row to your profile
+   */
+  renderName(row, isYou) {
+    if (this.board === 'squads') {
+      return `<a href="#/squad/${encodeURIComponent(row.id)}">${escapeHtml(row.name)}</a>`;
+    }
+    return isYou ? `<a href="#/me">${escapeHtml(row.name)}</a>` : escapeHtml(row.name);
+  }
+  
+  renderLeaderboard() {
+    if (!this.table) return;
+    
+    const checkIns = this.checkInStore.getAll();
+    const impactLogs = this.impactStore.getAll();
+    const rows = this.board === 'squads'
+      ? Leaderboard.rank(checkIns, impactLogs, 'squadId', 'squadName')
+      : Leaderboard.rank(checkIns, impactLogs, 'memberId', 'memberName');
+    
+    const user = getCurrentUser();
+    const mySquadIds = new Set(this.checkInStore.getForMember().map(checkIn => checkIn.squadId).filter(Boolean));
+    
+    if (rows.length === 0) {
+      this.table.innerHTML = `<li class="leaderboard-empty text-muted">${escapeHtml(t('leaderboard.empty'))}</li>`;
+      return;
+    }
+    
+    this.table.innerHTML = rows.slice(0, 10).map((row, index) => {
+      const isYou = this.board === 'squads' ? mySquadIds.has(row.id) : row.id === user.id;
+      const medal = ['🥇', '🥈', '🥉'][index] || `#${index + 1}`;
+      
+      return `
+        <li class="leaderboard-row${isYou ? ' is-you' : ''}" data-animate="fade-up" data-delay="${index * 50}">
+          <span class="leaderboard-rank">${medal}</span>
+          <span class="leaderboard-name">${this.renderName(row, isYou)}${isYou ? ` <span class="text-muted">${escapeHtml(t('squad.you'))}</span>` : ''}</span>
+          <span class="leaderboard-stat"><strong>${I18n.formatNumber(row.cleanups)}</strong> ${escapeHtml(t('leaderboard.cleanups', { count: row.cleanups }))}</span>
+          <span class="leaderboard-stat"><strong>${ImpactStore.formatWeight(row.weightKg)}</strong></span>
+          <span class="leaderboard-stat">${row.streak > 0 ? escapeHtml(t('leaderboard.streak', { count: row.streak })) : '—'}</span>
+        </li>
+      `;
+    }).join('');
+  }
+}
+
+// ============================================
+// Calendar Export & Reminders
+// ============================================
+
+/**
+ * RFC 5545 iCalendar builder
+ */
+const ICalendar = {
+  prodId: '-//ShoreSquad//Beach Cleanups//EN',
+  
+  escapeText(value) {
+    return String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  },
+  
+  /**
+   * @param {Date} date - Any date
+   * @returns {string} UTC date-time, e.g. 20261024T010000Z
+   */
+  formatDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  },
+  
+  /**
+   * Fold a content line at 75 octets; continuation lines start with a space
+   * @param {string} line - Unfolded content line
+   * @returns {string}
+   */
+  foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    
+    for (const char of line) {
+      const bytes = encoder.encode(char).length;
+      const limit = parts.length === 0 ? 75 : 74;
+      
+      if (size + bytes > limit) {
+        parts.push(current);
+        current = '';
+        size = 0;
+      }
+      current += char;
+      size += bytes;
+    }
+    
+    parts.push(current);
+    return parts.join('\r\n ');
+  },
+  
+  eventLines(event, now) {
+    const location = [event.meetingPoint, event.beach].filter(Boolean).join(', ');
+    const description = [
+      event.meetingPoint && t('calendar.meetingPoint', { place: event.meetingPoint }),
+      event.gearNotes && t('calendar.gear', { notes: event.gearNotes }),
+      t('calendar.organised')
+    ].filter(Boolean).join('\n');
+    
+    return [
+      'BEGIN:VEVENT',
+      `UID:${event.id}@shoresquad`,
+      `DTSTAMP:${this.formatDate(now)}`,
+      `DTSTART:${this.formatDate(event.start)}`,
+      `DTEND:${this.formatDate(event.end)}`,
+      `SUMMARY:${this.escapeText(event.title)}`,
+      `LOCATION:${this.escapeText(location)}`,
+      ...(event.coordinates
+        ? [`GEO:${event.coordinates.latitude.toFixed(6)};${event.coordinates.longitude.toFixed(6)}`]
+        : []),
+      `DESCRIPTION:${this.escapeText(description)}`,
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${this.escapeText(t('calendar.alarm', { title: event.title }))}`,
+      `TRIGGER:${AppConfig.reminders.calendarTrigger}`,
+      'END:VALARM',
+      'END:VEVENT'
+    ];
+  },
+  
+  /**
+   * Build a calendar file
+   * @param {Array} events - Normalized cleanup events
+   * @param {string} name - Calendar name shown by calendar apps
+   * @returns {string} iCalendar text with CRLF line endings
+   */
+  build(events, name = t('calendar.name')) {
+    const now = new Date();
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.prodId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      ...events.flatMap(event => this.eventLines(event, now)),
+      'END:VCALENDAR'
+    ];
+    
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  },
+  
+  download(filename, content) {
+    downloadFile(filename, content, 'text/calendar;charset=utf-8');
+  }
+};
+
+class CalendarExport {
+  constructor(eventStore, rsvpStore, notifications) {
+    this.eventStore = eventStore;
+    this.rsvpStore = rsvpStore;
+    this.notifications = notifications;
+    this.exportButton = document.getElementById('exportCalendarBtn');
+    this.init();
+  }
+  
+  init() {
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('.card-calendar');
+      const card = button && button.closest('.cleanup-card');
+      if (card) this.exportEvent(card.dataset.eventId);
+    });
+    
+    if (this.exportButton) {
+      this.exportButton.addEventListener('click', () => this.exportFeed());
+    }
+  }
+  
+  exportEvent(eventId) {
+    const event = this.eventStore.getById(eventId);
+    if (!event) return;
+    
+    ICalendar.download(`${event.id}.ics`, ICalendar.build([event], event.title));
+  }
+  
+  /**
+   * Export every upcoming cleanup the user has favorited or joined
+   */
+  exportFeed() {
+    const ids = new Set([...AppState.favorites, ...this.rsvpStore.getJoinedEventIds()]);
+    const events = this.eventStore.getUpcoming().filter(event => ids.has(event.id));
+    
+    if (events.length === 0) {
+      this.notifications.notify(t('calendar.nothingToExport'));
+      return;
+    }
+    
+    ICalendar.download('shoresquad-cleanups.ics', ICalendar.build(events, t('calendar.myName')));
+    this.notifications.notify(t('calendar.exported', { count: events.length }), { type: 'success' });
+  }
+}
+
+class ReminderScheduler {
+  constructor(eventStore, rsvpStore, notifications) {
+    this.eventStore = eventStore;
+    this.rsvpStore = rsvpStore;
+    this.notifications = notifications;
+    this.toggle = document.getElementById('remindersToggle');
+    this.sent = Storage.get(AppConfig.storageKeys.remindersSent) || {};
+    this.init();
+  }
+  
+  init() {
+    if (this.toggle) {
+      this.toggle.addEventListener('click', () => this.setEnabled(!this.isEnabled()));
+      this.updateToggle();
+    }
+    
+    document.addEventListener('shoresquad:events-changed', () => this.check());
+    document.addEventListener('shoresquad:rsvps-changed', () => this.check());
+    // Reminders can also be switched on and off in Settings
+    document.addEventListener('shoresquad:preferences-changed', (e) => {
+      if ('reminders' in e.detail.changes) this.handleEnabledChange(e.detail.changes.reminders);
+    });
+    setInterval(() => this.check(), AppConfig.reminders.checkInterval);
+  }
+  
+  isEnabled() {
+    return Boolean(getPreferences().reminders);
+  }
+  
+  setEnabled(enabled) {
+    updatePreferences({ reminders: enabled });
+  }
+  
+  async handleEnabledChange(enabled) {
+    this.updateToggle();
+    if (!enabled) return;
+    
+    if ('Notification' in window && Notification.permission === 'default') {
+      await Notification.requestPermission();
+    }
+    
+    const systemAlerts = 'Notification' in window && Notification.permission === 'granted';
+    this.notifications.notify(systemAlerts
+      ? t('reminders.on')
+      : t('reminders.onInAppOnly'));
+    this.check();
+  }
+  
+  updateToggle() {
+    if (!this.toggle) return;
+    
+    const enabled = this.isEnabled();
+    this.toggle.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+    this.toggle.textContent = enabled ? t('reminders.toggleOn') : t('reminders.toggleOff');
+  }
+  
+  /**
+   * When the reminder for an event goes out: reminders.hour the day before
+   * @param {Object} event - Normalized cleanup event
+   * @returns {Date}
+   */
+  getReminderTime(event) {
+    const reminder = new Date(event.start);
+    reminder.setDate(reminder.getDate() - 1);
+    reminder.setHours(AppConfig.reminders.hour, 0, 0, 0);
+    return reminder;
+  }
+  
+  check(now = new Date()) {
+    if (!this.isEnabled() || !this.eventStore.loaded) return;
+    
+    this.rsvpStore.getJoinedEventIds()
+      .filter(eventId => this.rsvpStore.getStatus(eventId) === 'going' && !this.sent[eventId])
+      .map(eventId => this.eventStore.getById(eventId))
+      .filter(event => event && this.getReminderTime(event) <= now && event.start > now)
+      .forEach(event => this.remind(event));
+  }
+  
+  /**
+   * Build the reminder text, including the forecast advice for the day
+   * @param {Object} event - Normalized cleanup event
+   * @param {Date} now - When the reminder goes out, which may be on the day itself
+   * @returns {{title: string, body: string}}
+   */
+  getMessage(event, now = new Date()) {
+    const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const days = Math.round((startOfDay(event.start) - startOfDay(now)) / 86400000);
+    const time = I18n.formatTime(event.start);
+    const weather = WeatherScoring.forEvent(event);
+    const advice = weather
+      ? `${weather.advice} (${weather.score}/100)`
+      : t('reminders.noForecast');
+    
+    return {
+      title: t(days > 0 ? 'reminders.titleTomorrow' : 'reminders.titleToday', { title: event.title }),
+      body: `${t('reminders.when', { time, beach: event.beach })} ${advice}`
+    };
+  }
+  
+  async remind(event) {
+    this.sent[event.id] = new Date().toISOString();
+    Storage.set(AppConfig.storageKeys.remindersSent, this.sent);
+    
+    const { title, body } = this.getMessage(event);
+    this.notifications.notify(`⏰ ${title}. ${body}`, { duration: 0 });
+    
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    
+    const options = { body, tag: `reminder-${event.id}`, icon: 'icons/icon.svg' };
+    try {
+      // Mobile browsers only allow notifications through the service worker
+      const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+      if (registration) {
+        await registration.showNotification(title, options);
+      } else {
+        new Notification(title, options);
+      }
+    } catch (error) {
+      console.warn('Unable to show reminder notification:', error);
+    }
+  }
+}
+
+// ============================================
+// Interactive Cleanup Map
+// ============================================
+class CleanupMap {
+  constructor(eventStore, reportStore) {
+    this.eventStore = eventStore;
+    this.reportStore = reportStore;
+    this.container = document.querySelector('.map-container');
+    this.nextLabel = document.getElementById('nextCleanupLabel');
+    this.nextDetails = document.getElementById('nextCleanupDetails');
+    this.tileSize = 256;
+    this.center = { ...AppConfig.map.center };
+    this.zoom = AppConfig.map.zoom;
+    this.tiles = new Map();
+    this.hasFitted = false;
+    this.showHotspots = true;
+    this.init();
+  }
+  
+  init() {
+    if (!this.container) return;
+    
+    this.buildViewport();
+    
+    document.addEventListener('shoresquad:events-changed', () => {
+      if (!this.hasFitted) this.fitToEvents();
+      this.render();
+      this.updateNextCleanup();
+    });
+    document.addEventListener('shoresquad:location-changed', () => this.render());
+    document.addEventListener('shoresquad:reports-changed', () => this.render());
+    document.addEventListener('shoresquad:event-selected', (e) => this.handleSelection(e.detail));
+    // The map is hidden while a view is open, so redraw at full size when it closes
+    document.addEventListener('shoresquad:route-changed', (e) => {
+      if (!e.detail.path) this.render();
+    });
+    
+    window.addEventListener('resize', throttle(() => this.render(), 200));
+    
+    if (this.eventStore.loaded) {
+      this.fitToEvents();
+      this.updateNextCleanup();
+    }
+    this.render();
+  }
+  
+  buildViewport() {
+    this.container.innerHTML = `
+      <div class="map-viewport" tabindex="0" aria-describedby="mapKeyboardHint">
+        <div class="map-tiles" aria-hidden="true"></div>
+        <div class="map-markers"></div>
+      </div>
+      <div class="map-controls">
+        <button type="button" class="map-zoom" data-zoom="1" aria-label="${escapeHtml(t('map.zoomIn'))}">+</button>
+        <button type="button" class="map-zoom" data-zoom="-1" aria-label="${escapeHtml(t('map.zoomOut'))}">&minus;</button>
+        <label class="map-layer-toggle">
+          <input type="checkbox" class="map-hotspot-toggle" checked>
+          ${escapeHtml(t('map.hotspots'))}
+        </label>
+      </div>
+      <p class="map-attribution">${AppConfig.map.attribution}</p>
+      <p id="mapKeyboardHint" class="sr-only">${escapeHtml(t('map.keyboardHint'))}</p>
+    `;
+    
+    this.viewport = this.container.querySelector('.map-viewport');
+    this.tileLayer = this.container.querySelector('.map-tiles');
+    this.markerLayer = this.container.querySelector('.map-markers');
+    
+    this.container.querySelectorAll('.map-zoom').forEach(button => {
+      button.addEventListener('click', () => this.setZoom(this.zoom + Number(button.dataset.zoom)));
+    });
+    
+    this.container.querySelector('.map-hotspot-toggle').addEventListener('change', (e) => {
+      this.showHotspots = e.target.checked;
+      this.render();
+    });
+    
+    this.markerLayer.addEventListener('click', (e) => {
+      const marker = e.target.closest('.map-marker[data-event-id]');
+      if (marker) {
+        AppState.selectedEventId = marker.dataset.eventId;
+        document.dispatchEvent(new CustomEvent('shoresquad:event-selected', {
+          detail: { eventId: marker.dataset.eventId, origin: 'map' }
+        }));
+      }
+    });
+    
+    this.viewport.addEventListener('dblclick', (e) => {
+      if (!e.target.closest('.map-marker')) this.setZoom(this.zoom + 1);
+    });
+    
+    this.viewport.addEventListener('keydown', (e) => this.handleKeydown(e));
+    this.initDragging();
+  }
+  
+  initDragging() {
+    let drag = null;
+    
+    this.viewport.addEventListener('pointerdown', (e) => {
+      if (e.target.closest('.map-marker')) return;
+      drag = { x: e.clientX, y: e.clientY, origin: this.project(this.center, this.zoom) };
+      this.viewport.classList.add('is-dragging');
+      this.viewport.setPointerCapture?.(e.pointerId);
+    });
+    
+    this.viewport.addEventListener('pointermove', (e) => {
+      if (!drag) return;
+      this.center = this.unproject({
+        x: drag.origin.x - (e.clientX - drag.x),
+        y: drag.origin.y - (e.clientY - drag.y)
+      }, this.zoom);
+      this.render();
+    });
+    
+    const endDrag = () => {
+      drag = null;
+      this.viewport.classList.remove('is-dragging');
+    };
+    this.viewport.addEventListener('pointerup', endDrag);
+    this.viewport.addEventListener('pointercancel', endDrag);
+  }
+  
+  handleKeydown(e) {
+    if (e.target !== this.viewport) return;
+    
+    const step = 80;
+    const offsets = {
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step],
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0]
+    };
+    
+    if (offsets[e.key]) {
+      e.preventDefault();
+      this.panBy(...offsets[e.key]);
+    } else if (e.key === '+' || e.key === '=') {
+      this.setZoom(this.zoom + 1);
+    } else if (e.key === '-') {
+      this.setZoom(this.zoom - 1);
+    }
+  }
+  
+  /**
+   * Web Mercator pixel position of a point at a zoom level
+   * @param {{latitude: number, longitude: number}} point - Coordinates
+   * @param {number} zoom - Zoom level
+   * @param {number} tileSize - Tile edge in pixels
+   * @returns {{x: number, y: number}}
+   */
+  static toPixel(point, zoom, tileSize = 256) {
+    const scale = tileSize * 2 ** zoom;
+    const sinLat = Math.sin(point.latitude * Math.PI / 180);
+    return {
+      x: (point.longitude + 180) / 360 * scale,
+      y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+    };
+  }
+  
+  /**
+   * URL of a map tile, spreading requests across the tile subdomains
+   * @param {number} x - Tile column
+   * @param {number} y - Tile row
+   * @param {number} z - Zoom level
+   * @returns {string}
+   */
+  static tileUrl(x, y, z) {
+    const subdomains = AppConfig.map.subdomains || ['a', 'b', 'c'];
+    const subdomain = subdomains[Math.abs(x + y) % subdomains.length];
+    return AppConfig.map.tileUrl
+      .replace('{s}', subdomain)
+      .replace('{z}', z)
+      .replace('{x}', x)
+      .replace('{y}', y);
+  }
+  
+  /**
+   * World pixel position of a point using this map's tile size
+   * @param {{latitude: number, longitude: number}} point - Coordinates
+   * @param {number} zoom - Zoom level
+   * @returns {{x: number, y: number}}
+   */
+  project(point, zoom) {
+    return CleanupMap.toPixel(point, zoom, this.tileSize);
+  }
+  
+  unproject(pixel, zoom) {
+    const scale = this.tileSize * 2 ** zoom;
+    const n = Math.PI - 2 * Math.PI * pixel.y / scale;
+    return {
+      latitude: 180 / Math.PI * Math.atan(Math.sinh(n)),
+      longitude: pixel.x / scale * 360 - 180
+    };
+  }
+  
+  getSize() {
+    return {
+      width: this.viewport.clientWidth || 600,
+      height: this.viewport.clientHeight || 400
+    };
+  }
+  
+  setZoom(zoom) {
+    this.zoom = Math.min(AppConfig.map.maxZoom, Math.max(AppConfig.map.minZoom, zoom));
+    this.render();
+  }
+  
+  panBy(dx, dy) {
+    const centerPx = this.project(this.center, this.zoom);
+    this.center = this.unproject({ x: centerPx.x + dx, y: centerPx.y + dy }, this.zoom);
+    this.render();
+  }
+  
+  panTo(point) {
+    this.center = { latitude: point.latitude, longitude: point.longitude };
+    this.render();
+  }
+  
+  /**
+   * Centre the map on every cleanup at the highest zoom that shows them all
+   */
+  fitToEvents() {
+    const points = this.eventStore.getUpcoming()
+      .map(event => event.coordinates)
+      .filter(Boolean);
+    
+    if (points.length === 0) return;
+    
+    const padding = 48;
+    const { width, height } = this.getSize();
+    const latitudes = points.map(p => p.latitude);
+    const longitudes = points.map(p => p.longitude);
+    const bounds = {
+      north: Math.max(...latitudes),
+      south: Math.min(...latitudes),
+      east: Math.max(...longitudes),
+      west: Math.min(...longitudes)
+    };
+    
+    this.center = {
+      latitude: (bounds.north + bounds.south) / 2,
+      longitude: (bounds.east + bounds.west) / 2
+    };
+    
+    let zoom = AppConfig.map.maxZoom;
+    while (zoom > AppConfig.map.minZoom) {
+      const ne = this.project({ latitude: bounds.north, longitude: bounds.east }, zoom);
+      const sw = this.project({ latitude: bounds.south, longitude: bounds.west }, zoom);
+      if (ne.x - sw.x <= width - padding * 2 && sw.y - ne.y <= height - padding * 2) break;
+      zoom--;
+    }
+    
+    this.zoom = zoom;
+    this.hasFitted = true;
+  }
+  
+  render() {
+    if (!this.viewport) return;
+    
+    const { width, height } = this.getSize();
+    const centerPx = this.project(this.center, this.zoom);
+    this.origin = { x: centerPx.x - width / 2, y: centerPx.y - height / 2 };
+    
+    this.renderTiles(width, height);
+    this.renderMarkers();
+  }
+  
+  renderTiles(width, height) {
+    const size = this.tileSize;
+    const tileCount = 2 ** this.zoom;
+    const minX = Math.floor(this.origin.x / size);
+    const maxX = Math.floor((this.origin.x + width) / size);
+    const minY = Math.max(0, Math.floor(this.origin.y / size));
+    const maxY = Math.min(tileCount - 1, Math.floor((this.origin.y + height) / size));
+    const visible = new Set();
+    
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        const key = `${this.zoom}/${x}/${y}`;
+        visible.add(key);
+        
+        let tile = this.tiles.get(key);
+        if (!tile) {
+          const wrappedX = ((x % tileCount) + tileCount) % tileCount;
+          tile = document.createElement('img');
+          tile.className = 'map-tile';
+          tile.alt = '';
+          tile.draggable = false;
+          tile.src = CleanupMap.tileUrl(wrappedX, y, this.zoom);
+          this.tiles.set(key, tile);
+          this.tileLayer.appendChild(tile);
+        }
+        
+        tile.style.transform = `translate(${x * size - this.origin.x}px, ${y * size - this.origin.y}px)`;
+      }
+    }
+    
+    // Drop tiles that scrolled out of view or belong to another zoom level
+    this.tiles.forEach((tile, key) => {
+      if (!visible.has(key)) {
+        tile.remove();
+        this.tiles.delete(key);
+      }
+    });
+  }
+  
+  toScreen(point) {
+    const px = this.project(point, this.zoom);
+    return { x: px.x - this.origin.x, y: px.y - this.origin.y };
+  }
+  
+  renderMarkers() {
+    const markers = this.renderHotspots();
+    
+    this.eventStore.getUpcoming()
+      .filter(event => event.coordinates)
+      .forEach(event => {
+        const { x, y } = this.toScreen(event.coordinates);
+        const selected = event.id === AppState.selectedEventId;
+        markers.push(`
+          <button type="button" class="map-marker${selected ? ' is-selected' : ''}" data-event-id="${escapeHtml(event.id)}"
+            style="transform: translate(${x}px, ${y}px)" aria-pressed="${selected}"
+            aria-label="${escapeHtml(`${event.title}, ${event.beach}`)}">
+            <span aria-hidden="true">📍</span>
+            ${selected ? `<span class="map-marker-label">${escapeHtml(event.title)}</span>` : ''}
+          </button>
+        `);
+      });
+    
+    if (AppState.userLocation) {
+      const { x, y } = this.toScreen(AppState.userLocation);
+      markers.push(`
+        <span class="map-marker map-marker-user" style="transform: translate(${x}px, ${y}px)" role="img" aria-label="${escapeHtml(t('map.yourLocation'))}"></span>
+      `);
+    }
+    
+    const focused = document.activeElement?.closest?.('.map-marker');
+    this.markerLayer.innerHTML = markers.join('');
+    
+    // Keep keyboard focus on the same marker across re-renders
+    if (focused?.dataset.eventId) {
+      this.markerLayer.querySelector(`.map-marker[data-event-id="${CSS.escape(focused.dataset.eventId)}"]`)?.focus();
+    } else if (focused?.dataset.reportId) {
+      this.markerLayer.querySelector(`.map-marker[data-report-id="${CSS.escape(focused.dataset.reportId)}"]`)?.focus();
+    }
+  }
+  
+  /**
+   * Litter report markers, drawn beneath the cleanups
+   * @returns {string[]} Marker markup
+   */
+  renderHotspots() {
+    if (!this.showHotspots || !this.reportStore) return [];
+    
+    return this.reportStore.getAll().map(report => {
+      const { x, y } = this.toScreen(report.coordinates);
+      const category = DebrisCategories.find(item => item.id === report.debris) || DebrisCategories[DebrisCategories.length - 1];
+      const label = t('map.hotspotLabel', {
+        severity: t(`reports.severity-${report.severity}`),
+        debris: t(`debris.${category.id}`),
+        place: LitterReportStore.getPlace(report)
+      });
+      return `
+        <a href="#/report/${encodeURIComponent(report.id)}" class="map-marker map-hotspot${report.eventId ? ' is-planned' : ''}"
+          data-report-id="${escapeHtml(report.id)}" data-severity="${escapeHtml(report.severity)}"
+          style="transform: translate(${x}px, ${y}px)" aria-label="${escapeHtml(label)}">
+          <span aria-hidden="true">${category.icon}</span>
+        </a>
+      `;
+    });
+  }
+  
+  handleSelection({ eventId, origin }) {
+    const event = this.eventStore.getById(eventId);
+    
+    if (event?.coordinates && origin !== 'map') {
+      this.panTo(event.coordinates);
+    } else {
+      this.render();
+    }
+  }
+  
+  updateNextCleanup() {
+    if (!this.nextLabel) return;
+    
+    const [next] = this.eventStore.getUpcoming();
+    
+    if (!next) {
+      this.nextLabel.textContent = t('map.noUpcoming');
+      if (this.nextDetails) this.nextDetails.textContent = '';
+      return;
+    }
+    
+    const when = I18n.formatDate(next.start, { weekday: 'short', month: 'short', day: 'numeric' });
+    const time = I18n.formatTime(next.start);
+    
+    this.nextLabel.textContent = t('map.next', { place: next.beach || next.title });
+    if (this.nextDetails) {
+      this.nextDetails.textContent = t('map.nextDetails', { title: next.title, date: when, time });
+    }
+  }
+}
+
+// ============================================
+// Favorites System
+// ============================================
+class FavoritesManager {
+  constructor(notifications) {
+    this.notifications = notifications;
+    this.loadFavorites();
+    this.init();
+  }
+  
+  init() {
+    // Cards are rendered from event data, so restore state after each render
+    document.addEventListener('shoresquad:cleanups-rendered', () => this.updateUI());
+    
+    // Event delegation for favorite buttons
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('.card-favorite')) {
+        const button = e.target.closest('.card-favorite');
+        this.toggleFavorite(button);
+      }
+    });
+  }
+  
+  loadFavorites() {
+    const saved = Storage.get(AppConfig.storageKeys.favorites);
+    if (saved && Array.isArray(saved)) {
+      AppState.favorites = new Set(saved);
+      this.updateUI();
+    }
+  }
+  
+  saveFavorites() {
+    Storage.set(AppConfig.storageKeys.favorites, Array.from(AppState.favorites));
+  }
+  
+  toggleFavorite(button) {
+    const card = button.closest('.cleanup-card');
+    const eventId = card?.dataset.eventId;
+    
+    if (!eventId) return;
+    
+    if (AppState.favorites.has(eventId)) {
+      this.setFavorite(eventId, false);
+      
+      const title = card.querySelector('.card-title')?.textContent || t('cards.untitled');
+      this.notifications.notify(t('favorites.removed', { title }), {
+        actions: [{ label: t('common.undo'), onClick: () => this.setFavorite(eventId, true) }]
+      });
+    } else {
+      this.setFavorite(eventId, true);
+    }
+    
+    // Haptic feedback (if supported)
+    if ('vibrate' in navigator) {
+      navigator.vibrate(50);
+    }
+  }
+  
+  setFavorite(eventId, favorite) {
+    if (favorite) {
+      AppState.favorites.add(eventId);
+    } else {
+      AppState.favorites.delete(eventId);
+    }
+    
+    this.saveFavorites();
+    this.updateUI();
+    
+    document.dispatchEvent(new CustomEvent('shoresquad:favorites-changed', {
+      detail: { eventId, favorite }
+    }));
+  }
+  
+  updateUI() {
+    document.querySelectorAll('.card-favorite').forEach(button => {
+      const card = button.closest('.cleanup-card');
+      const eventId = card?.dataset.eventId;
+      const favorite = Boolean(eventId && AppState.favorites.has(eventId));
+      
+      button.classList.toggle('active', favorite);
+      button.querySelector('span').textContent = favorite ? '♥' : '♡';
+      button.setAttribute('aria-label', t(favorite ? 'favorites.remove' : 'favorites.add'));
+    });
+  }
+}
+
+// ============================================
+// Tides & Daylight
+// ============================================
+
+/**
+ * Loads the bundled tide stations (data/tides.json) into AppState.tideStations
+ */
+class TideService {
+  /**
+   * @param {string} source - JSON URL of tide stations and harmonic constants
+   */
+  constructor(source = AppConfig.tidesUrl) {
+    this.source = source;
+    this.loaded = false;
+    this.init();
+  }
+  
+  async init() {
+    await this.load();
+  }
+  
+  async load() {
+    try {
+      const response = await fetch(this.source);
+      
+      if (!response.ok) {
+        throw new Error(`Tide tables error: ${response.status}`);
+      }
+      
+      const result = await response.json();
+      AppState.tideStations = result.stations || [];
+    } catch (error) {
+      console.error('Error loading tide tables:', error);
+      AppState.tideStations = [];
+    }
+    
+    Tides.cache.clear();
+    this.loaded = true;
+    document.dispatchEvent(new CustomEvent('shoresquad:tides-updated', {
+      detail: { stations: AppState.tideStations }
+    }));
+  }
+}
+
+/**
+ * Tide predictions from harmonic constants: the height at any moment is
+ * the station's mean level plus one cosine wave per constituent, each
+ * with its astronomical argument (V0 + u) and nodal factor (f) for the
+ * date. Stations list amplitudes and Greenwich phase lags in UTC.
+ */
+const Tides = {
+  // Doodson numbers for mean lunar time, s, h and p, the phase offset in
+  // degrees, and the constituent whose nodal correction applies
+  constituents: {
+    M2: { doodson: [2, 0, 0, 0], offset: 0, nodal: 'M2' },
+    S2: { doodson: [2, 2, -2, 0], offset: 0, nodal: null },
+    N2: { doodson: [2, -1, 0, 1], offset: 0, nodal: 'M2' },
+    K2: { doodson: [2, 2, 0, 0], offset: 0, nodal: 'K2' },
+    K1: { doodson: [1, 1, 0, 0], offset: -90, nodal: 'K1' },
+    O1: { doodson: [1, -1, 0, 0], offset: 90, nodal: 'O1' },
+    P1: { doodson: [1, 1, -2, 0], offset: 90, nodal: null },
+    Q1: { doodson: [1, -2, 0, 1], offset: 90, nodal: 'O1' },
+    Sa: { doodson: [0, 0, 1, 0], offset: 0, nodal: null },
+    Ssa: { doodson: [0, 0, 2, 0], offset: 0, nodal: null },
+    NU2: { doodson: [2, -1, 2, -1], offset: 0, nodal: 'M2' },
+    '2N2': { doodson: [2, -2, 0, 2], offset: 0, nodal: 'M2' },
+    M4: { doodson: [4, 0, 0, 0], offset: 0, nodal: 'M4' },
+    MS4: { doodson: [4, 2, -2, 0], offset: 0, nodal: 'M2' },
+    MN4: { doodson: [4, -1, 0, 1], offset: 0, nodal: 'M4' },
+    '2MS6': { doodson: [6, 2, -2, 0], offset: 0, nodal: 'M4' }
+  },
+  
+  // Sampling interval used to find high and low water
+  stepMinutes: 6,
+  
+  cache: new Map(),
+  
+  nearestStation(coordinates, stations = AppState.tideStations) {
+    if (!coordinates || !stations || stations.length === 0) return null;
+    
+    return stations.reduce((nearest, station) => (
+      haversineDistance(coordinates, station) < haversineDistance(coordinates, nearest) ? station : nearest
+    ));
+  },
+  
+  /**
+   * Mean longitudes of the moon (s), sun (h), lunar perigee (p) and the
+   * moon's ascending node (n), and the mean lunar time (tau), in degrees
+   * @param {Date} date - Moment in time
+   * @returns {{tau: number, s: number, h: number, p: number, n: number}}
+   */
+  getAstronomy(date) {
+    const centuries = (date.getTime() / 86400000 - 10957.5) / 36525;
+    const s = 218.3164477 + 481267.88123421 * centuries;
+    const h = 280.46646 + 36000.76983 * centuries;
+    const p = 83.3532465 + 4069.0137287 * centuries;
+    const n = 125.04452 - 1934.136261 * centuries;
+    const hours = date.getTime() / 3600000 % 24;
+    
+    // Hour angle of the mean sun, moved onto the mean moon
+    return { tau: 15 * hours + 180 + h - s, s, h, p, n };
+  },
+  
+  /**
+   * Nodal factor (f) and phase correction (u, degrees) for the 18.6-year
+   * lunar node cycle
+   * @param {string|null} type - Nodal correction from the constituents table
+   * @param {number} n - Longitude of the moon's ascending node in degrees
+   * @returns {{f: number, u: number}}
+   */
+  getNodal(type, n) {
+    const rad = Math.PI / 180;
+    const cos = k => Math.cos(k * n * rad);
+    const sin = k => Math.sin(k * n * rad);
+    
+    switch (type) {
+      case 'M2':
+        return { f: 1.0004 - 0.0373 * cos(1) + 0.0002 * cos(2), u: -2.14 * sin(1) };
+      case 'M4': {
+        const { f, u } = this.getNodal('M2', n);
+        return { f: f * f, u: 2 * u };
+      }
+      case 'K2':
+        return {
+          f: 1.0241 + 0.2863 * cos(1) + 0.0083 * cos(2) - 0.0015 * cos(3),
+          u: -17.74 * sin(1) + 0.68 * sin(2) - 0.04 * sin(3)
+        };
+      case 'K1':
+        return {
+          f: 1.006 + 0.115 * cos(1) - 0.0088 * cos(2) + 0.0006 * cos(3),
+          u: -8.86 * sin(1) + 0.68 * sin(2) - 0.07 * sin(3)
+        };
+      case 'O1':
+        return {
+          f: 1.0089 + 0.1871 * cos(1) - 0.0147 * cos(2) + 0.0014 * cos(3),
+          u: 10.8 * sin(1) - 1.34 * sin(2) + 0.19 * sin(3)
+        };
+      default:
+        return { f: 1, u: 0 };
+    }
+  },
+  
+  /**
+   * @param {Object} station - Tide station with meanLevel and constituents
+   * @param {Date} date - Moment to predict
+   * @returns {number} Height in metres above Lowest Astronomical Tide
+   */
+  heightAt(station, date) {
+    const { tau, s, h, p, n } = this.getAstronomy(date);
+    const args = [tau, s, h, p];
+    
+    return Object.entries(station.constituents).reduce((height, [name, { amplitude, phase }]) => {
+      const constituent = this.constituents[name];
+      if (!constituent) return height;
+      
+      const { f, u } = this.getNodal(constituent.nodal, n);
+      const argument = constituent.doodson.reduce((sum, multiple, i) => sum + multiple * args[i], constituent.offset);
+      return height + f * amplitude * Math.cos((argument + u - phase) * Math.PI / 180);
+    }, station.meanLevel);
+  },
+  
+  /**
+   * High and low waters on a day (Singapore time)
+   * @param {Object} station - Tide station
+   * @param {string} dateKey - YYYY-MM-DD
+   * @returns {Array<{type: 'high'|'low', time: Date, height: number}>}
+   */
+  getExtremes(station, dateKey) {
+    const cacheKey = `${station.id}|${dateKey}`;
+    if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+    
+    const step = this.stepMinutes * 60000;
+    const start = new Date(`${dateKey}T00:00:00+08:00`).getTime();
+    const end = start + 86400000;
+    const extremes = [];
+    
+    let previous = this.heightAt(station, new Date(start - step));
+    let current = this.heightAt(station, new Date(start));
+    
+    for (let time = start; time < end; time += step) {
+      const next = this.heightAt(station, new Date(time + step));
+      
+      if (current > previous && current >= next) {
+        extremes.push({ type: 'high', time: new Date(time), height: current });
+      } else if (current < previous && current <= next) {
+        extremes.push({ type: 'low', time: new Date(time), height: current });
+      }
+      
+      previous = current;
+      current = next;
+    }
+    
+    this.cache.set(cacheKey, extremes);
+    return extremes;
+  },
+  
+  /**
+   * Low-tide windows (low water ± AppConfig.tides.windowHours), when the
+   * debris line is exposed
+   * @param {Array} extremes - From getExtremes()
+   * @returns {Array<{start: Date, end: Date, low: Object}>}
+   */
+  getLowTideWindows(extremes) {
+    const half = AppConfig.tides.windowHours * 3600000;
+    
+    return extremes
+      .filter(extreme => extreme.type === 'low')
+      .map(low => ({
+        start: new Date(low.time.getTime() - half),
+        end: new Date(low.time.getTime() + half),
+        low
+      }));
+  },
+  
+  /**
+   * Tides on a day at a station (defaults to the first station, Tanjong Pagar)
+   * @param {Date} date - Any time on the day
+   * @param {Object} station - Tide station
+   * @returns {{station: Object, extremes: Array, windows: Array}|null}
+   */
+  forDay(date, station = AppState.tideStations?.[0]) {
+    if (!station || isNaN(date)) return null;
+    
+    const extremes = this.getExtremes(station, WeatherScoring.toDateKey(date));
+    return { station, extremes, windows: this.getLowTideWindows(extremes) };
+  },
+  
+  /**
+   * Tides at the station nearest an event, with what they mean for it
+   * @param {Object} event - Normalized cleanup event
+   * @returns {{station: Object, extremes: Array, windows: Array, lowWindow: Object|null,
+   *   highTide: Object|null, lowTide: Object|null}|null} `lowWindow` is the low-tide window
+   *   overlapping the cleanup, or else the daylight one closest to its start
+   */
+  forEvent(event) {
+    const station = this.nearestStation(event.coordinates);
+    const day = station ? this.forDay(event.start, station) : null;
+    if (!day) return null;
+    
+    const during = extreme => extreme.time >= event.start && extreme.time <= event.end;
+    const overlapping = day.windows.find(lowWindow => lowWindow.start < event.end && lowWindow.end > event.start);
+    const distance = lowWindow => Math.abs(lowWindow.low.time - event.start);
+    const { sunrise, sunset } = Daylight.forEvent(event);
+    const daytime = day.windows.filter(lowWindow => lowWindow.low.time >= sunrise && lowWindow.low.time <= sunset);
+    const closest = (daytime.length ? daytime : day.windows).reduce((best, lowWindow) => (!best || distance(lowWindow) < distance(best) ? lowWindow : best), null);
+    
+    return {
+      ...day,
+      lowWindow: overlapping || closest,
+      highTide: day.extremes.find(extreme => extreme.type === 'high' && during(extreme)) || null,
+      lowTide: overlapping ? overlapping.low : null
+    };
+  },
+  
+  formatTime(date) {
+    return I18n.formatTime(date);
+  },
+  
+  formatHeight(height) {
+    return `${I18n.formatNumber(height, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} m`;
+  }
+};
+
+/**
+ * Sunrise and sunset from the sunrise equation (accurate to a minute or
+ * two, which is plenty for planning)
+ */
+const Daylight = {
+  /**
+   * @param {Date} date - Any time on the day
+   * @param {{latitude: number, longitude: number}} coordinates - Location
+   * @returns {{sunrise: Date, sunset: Date}}
+   */
+  getSunTimes(date, coordinates = AppConfig.map.center) {
+    const rad = Math.PI / 180;
+    const julianDate = date.getTime() / 86400000 + 2440587.5;
+    const cycle = Math.round(julianDate - 2451545.0009 + coordinates.longitude / 360);
+    const approxNoon = 2451545.0009 + coordinates.longitude / -360 + cycle;
+    
+    const anomaly = (357.5291 + 0.98560028 * (approxNoon - 2451545)) % 360;
+    const center = 1.9148 * Math.sin(anomaly * rad) + 0.02 * Math.sin(2 * anomaly * rad) + 0.0003 * Math.sin(3 * anomaly * rad);
+    const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+    const solarNoon = approxNoon + 0.0053 * Math.sin(anomaly * rad) - 0.0069 * Math.sin(2 * eclipticLongitude * rad);
+    
+    const declination = Math.asin(Math.sin(eclipticLongitude * rad) * Math.sin(23.4397 * rad));
+    const latitude = coordinates.latitude * rad;
+    const hourAngle = Math.acos(
+      (Math.sin(-0.833 * rad) - Math.sin(latitude) * Math.sin(declination)) /
+      (Math.cos(latitude) * Math.cos(declination))
+    ) / rad;
+    
+    const toDate = julian => new Date((julian - 2440587.5) * 86400000);
+    return {
+      sunrise: toDate(solarNoon - hourAngle / 360),
+      sunset: toDate(solarNoon + hourAngle / 360)
+    };
+  },
+  
+  /**
+   * @param {Object} event - Normalized cleanup event
+   * @returns {{sunrise: Date, sunset: Date, beforeSunrise: boolean, afterSunset: boolean}}
+   */
+  forEvent(event) {
+    // Sun times for the event's day: use its midday so the cycle can't slip
+    const midday = new Date(`${WeatherScoring.toDateKey(event.start)}T12:00:00+08:00`);
+    const { sunrise, sunset } = this.getSunTimes(midday, event.coordinates || AppConfig.map.center);
+    
+    return {
+      sunrise,
+      sunset,
+      beforeSunrise: event.start < sunrise,
+      afterSunset: event.end > sunset
+    };
+  }
+};
+
+// ============================================
+// Weather Suitability Scoring
+// ============================================
+const WeatherScoring = {
+  /**
+   * Score how suitable a forecast period is for a beach cleanup
+   * @param {Object} period - Forecast period (forecast text, temperature, relative_humidity, wind)
+   * @param {{tide: Object, daylight: Object}} context - Tides and daylight for a specific
+   *   cleanup (see Tides.forEvent and Daylight.forEvent), or the day's tides for a forecast card
+   * @returns {{score: number, level: string, advice: string, reasons: string[]}}
+   */
+  score(period, context = {}) {
+    const description = (period.forecast || '').toLowerCase();
+    const reasons = [];
+    let score = 100;
+    let wet = false;
+    
+    const penalize = (points, reason) => {
+      score -= points;
+      reasons.push(reason);
+    };
+    
+    // Conditions
+    if (description.includes('thunder') || description.includes('storm')) {
+      penalize(70, t('weather.reason.thunder'));
+      wet = true;
+    } else if (description.includes('heavy rain')) {
+      penalize(70, t('weather.reason.heavyRain'));
+      wet = true;
+    } else if (description.includes('rain') || description.includes('showers')) {
+      penalize(25, t('weather.reason.showers'));
+      wet = true;
+    }
+    
+    if (description.includes('hazy') || description.includes('haze')) {
+      penalize(20, t('weather.reason.haze'));
+    }
+    
+    // Temperature
+    const tempHigh = period.temperature?.high;
+    if (typeof tempHigh === 'number') {
+      if (tempHigh >= 35) {
+        penalize(20, t('weather.reason.veryHot', { temperature: Units.temperature(tempHigh) }));
+      } else if (tempHigh >= 33) {
+        penalize(10, t('weather.reason.hot', { temperature: Units.temperature(tempHigh) }));
+      }
+    }
+    
+    // Humidity
+    const humidityHigh = period.relative_humidity?.high;
+    if (typeof humidityHigh === 'number') {
+      if (humidityHigh >= 95) {
+        penalize(10, t('weather.reason.veryHumid', { humidity: humidityHigh }));
+      } else if (humidityHigh >= 90) {
+        penalize(5, t('weather.reason.humid', { humidity: humidityHigh }));
+      }
+    }
+    
+    // Wind
+    const windHigh = period.wind?.speed?.high;
+    if (typeof windHigh === 'number') {
+      if (windHigh >= 40) {
+        penalize(25, t('weather.reason.strongWind', { speed: Units.speed(windHigh) }));
+      } else if (windHigh >= 30) {
+        penalize(10, t('weather.reason.breezy', { speed: Units.speed(windHigh) }));
+      }
+    }
+    
+    // Tide and daylight
+    const { tide, daylight } = context;
+    if (tide?.highTide) {
+      penalize(15, t('weather.reason.highTide', {
+        time: Tides.formatTime(tide.highTide.time),
+        height: Tides.formatHeight(tide.highTide.height)
+      }));
+    }
+    if (daylight?.beforeSunrise) {
+      penalize(30, t('weather.reason.beforeSunrise', { time: Tides.formatTime(daylight.sunrise) }));
+    } else if (daylight?.afterSunset) {
+      penalize(30, t('weather.reason.afterSunset', { time: Tides.formatTime(daylight.sunset) }));
+    }
+    
+    score = Math.max(0, Math.min(100, score));
+    
+    if (reasons.length === 0) {
+      reasons.push(t('weather.reason.dry'));
+    }
+    
+    if (tide?.lowTide) {
+      reasons.push(t('weather.reason.lowTide', { time: Tides.formatTime(tide.lowTide.time) }));
+    } else if (tide && !tide.highTide && tide.windows) {
+      const lows = tide.windows.map(lowWindow => Tides.formatTime(lowWindow.low.time));
+      if (lows.length > 0) {
+        const times = lows.reduce((first, second) => t('common.and', { first, second }));
+        reasons.push(t('weather.reason.lowTides', { times, station: tide.station.name }));
+      }
+    }
+    
+    if (score < 35) {
+      return { score, level: 'poor', advice: t('weather.advice.poor'), reasons };
+    }
+    if (wet) {
+      return { score, level: 'fair', advice: t('weather.advice.wet'), reasons };
+    }
+    if (score >= 80) {
+      return { score, level: 'great', advice: t('weather.advice.great'), reasons };
+    }
+    if (score >= 60) {
+      return { score, level: 'good', advice: t('weather.advice.good'), reasons };
+    }
+    return { score, level: 'fair', advice: t('weather.advice.fair'), reasons };
+  },
+  
+  /**
+   * Date key (YYYY-MM-DD, Singapore time) used to match events to forecast periods
+   * @param {Date} date - Date to convert
+   * @returns {string}
+   */
+  toDateKey(date) {
+    return date.toLocaleDateString('en-CA', { timeZone: 'Asia/Singapore' });
+  },
+  
+  /**
+   * Find the forecast period covering an event's date. Sample forecasts
+   * are only shown on the weather cards and never score a cleanup.
+   * @param {Object} event - Normalized cleanup event
+   * @param {Object} weatherData - Forecast with a forecasts array (defaults to AppState.weatherData)
+   * @returns {Object|null}
+   */
+  findPeriod(event, weatherData = AppState.weatherData) {
+    if (!weatherData || weatherData.sample) return null;
+    
+    const periods = weatherData.forecasts || [];
+    const dateKey = this.toDateKey(event.start);
+    return periods.find(period => period.date === dateKey) || null;
+  },
+  
+  /**
+   * Score a cleanup event against the forecast for its date
+   * @param {Object} event - Normalized cleanup event
+   * @returns {Object|null} Score result, or null when the date is outside the forecast
+   */
+  forEvent(event) {
+    const period = this.findPeriod(event);
+    const regional = ForecastRegions.forEvent(event);
+    
+    if (!period && !regional) return null;
+    
+    // The regional period is more specific than the island-wide daily outlook
+    const conditions = regional ? { ...period, forecast: regional.text } : period;
+    const context = { tide: Tides.forEvent(event), daylight: Daylight.forEvent(event) };
+    return { ...this.score(conditions, context), period, regional, ...context };
+  }
+};
+
+// ============================================
+// Regional Forecast (NEA 24-hour)
+// ============================================
+const ForecastRegions = {
+  // Reference points NEA uses for its five forecast regions
+  centroids: {
+    north: { latitude: 1.41803, longitude: 103.82 },
+    south: { latitude: 1.29587, longitude: 103.82 },
+    east: { latitude: 1.35735, longitude: 103.94 },
+    west: { latitude: 1.35735, longitude: 103.7 },
+    central: { latitude: 1.35735, longitude: 103.82 }
+  },
+  
+  names: ['north', 'south', 'east', 'west', 'central'],
+  
+  /**
+   * @param {{latitude: number, longitude: number}} coordinates - Beach location
+   * @returns {string} Name of the nearest forecast region
+   */
+  nearest(coordinates) {
+    return this.names.reduce((best, name) => {
+      const distance = haversineDistance(coordinates, this.centroids[name]);
+      return distance < best.distance ? { name, distance } : best;
+    }, { name: 'central', distance: Infinity }).name;
+  },
+  
+  /**
+   * Label a forecast period by the time of day it starts
+   * @param {Date} start - Period start
+   * @returns {string}
+   */
+  labelFor(start) {
+    const hour = Number(start.toLocaleString('en-SG', { hour: 'numeric', hourCycle: 'h23', timeZone: 'Asia/Singapore' }));
+    if (hour >= 6 && hour < 12) return t('forecast.morning');
+    if (hour >= 12 && hour < 18) return t('forecast.afternoon');
+    return t('forecast.night');
+  },
+  
+  /**
+   * Regional forecast covering an event's start time in the beach's region
+   * @param {Object} event - Normalized cleanup event
+   * @param {Object} forecast - Parsed regional forecast (defaults to AppState.regionalForecast)
+   * @returns {{region: string, label: string, text: string}|null}
+   */
+  forEvent(event, forecast = AppState.regionalForecast) {
+    if (!forecast || !event.coordinates) return null;
+    
+    const period = forecast.periods.find(p => event.start >= p.start && event.start < p.end);
+    if (!period) return null;
+    
+    const region = this.nearest(event.coordinates);
+    const text = period.regions[region];
+    return text ? { region, label: period.label, text } : null;
+  }
+};
+
+// ============================================
+// NEA Response Normalizer
+// ============================================
+
+/**
+ * Validates NEA forecast payloads and maps every known shape to one
+ * internal model. Numbers stay numbers (a real 0 is kept) and absent
+ * values become null, with their paths listed in `missing`.
+ *
+ * Known shapes (see data/fixtures/nea/):
+ * - v2: { code, data: { records: [...] } } from api-open.data.gov.sg/v2
+ * - v1: { items: [...] } from api.data.gov.sg/v1
+ */
+const NeaNormalizer = {
+  units: {
+    temperature: '°C',
+    humidity: '%',
+    windSpeed: 'km/h'
+  },
+  
+  /**
+   * @param {Object} payload - Raw API response
+   * @returns {'v2'|'v1'|null}
+   */
+  detectShape(payload) {
+    if (payload && typeof payload === 'object') {
+      if ('code' in payload && 'data' in payload) return 'v2';
+      if (Array.isArray(payload.items)) return 'v1';
+    }
+    return null;
+  },
+  
+  /**
+   * Read a value at a dotted path, recording it as missing if absent or mistyped
+   * @param {Object} source - Object to read from
+   * @param {string} path - Dotted path relative to source, e.g. 'temperature.high'
+   * @param {string} type - Expected typeof ('number', 'string', 'object')
+   * @param {Object} report - Collects { missing: [] }
+   * @param {string} basePath - Path of source within the payload, for reporting
+   * @returns {*} The value, or null
+   */
+  read(source, path, type, report, basePath) {
+    const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), source);
+    const fullPath = `${basePath}.${path}`;
+    
+    if (value === undefined || value === null) {
+      report.missing.push(fullPath);
+      return null;
+    }
+    
+    if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+      report.missing.push(`${fullPath} (expected ${type}, got ${typeof value})`);
+      return null;
+    }
+    
+    return value;
+  },
+  
+  readDate(source, path, report, basePath) {
+    const value = this.read(source, path, 'string', report, basePath);
+    if (value === null) return null;
+    
+    const date = new Date(value);
+    if (isNaN(date)) {
+      report.missing.push(`${basePath}.${path} (invalid date "${value}")`);
+      return null;
+    }
+    return date;
+  },
+  
+  /**
+   * Unwrap the first record of either shape, recording structural errors
+   * @returns {{shape: string|null, record: Object|null, basePath: string}}
+   */
+  getRecord(payload, report) {
+    const shape = this.detectShape(payload);
+    
+    if (shape === 'v2') {
+      if (payload.code !== 0) {
+        report.errors.push(`API returned code ${payload.code}: ${payload.errorMsg || 'no error message'}`);
+        return { shape, record: null, basePath: '' };
+      }
+      const record = payload.data?.records?.[0];
+      if (!record) report.errors.push('data.records[0] is missing');
+      return { shape, record: record || null, basePath: 'data.records[0]' };
+    }
+    
+    if (shape === 'v1') {
+      const record = payload.items[0];
+      if (!record) report.errors.push('items[0] is missing');
+      return { shape, record: record || null, basePath: 'items[0]' };
+    }
+    
+    report.errors.push('Unrecognised payload: expected { code, data } (v2) or { items } (v1)');
+    return { shape: null, record: null, basePath: '' };
+  },
+  
+  /**
+   * Normalize a four-day outlook response
+   * @param {Object} payload - Raw API response
+   * @returns {{ok: boolean, shape: string|null, forecast: Object|null, missing: string[], errors: string[]}}
+   *   forecast is { updatedAt, forecasts: [{ date, day, forecast, forecastCode,
+   *   temperature: { low, high, unit }, relative_humidity: { low, high, unit },
+   *   wind: { speed: { low, high, unit }, direction } }] }
+   */
+  normalizeFourDay(payload) {
+    const report = { missing: [], errors: [] };
+    const { shape, record, basePath } = this.getRecord(payload, report);
+    
+    if (!record) return { ok: false, shape, forecast: null, ...report };
+    
+    if (!Array.isArray(record.forecasts) || record.forecasts.length === 0) {
+      report.errors.push(`${basePath}.forecasts must be a non-empty array`);
+      return { ok: false, shape, forecast: null, ...report };
+    }
+    
+    const isV2 = shape === 'v2';
+    const forecasts = record.forecasts.map((period, index) => {
+      const path = `${basePath}.forecasts[${index}]`;
+      
+      // Date: v1 has a plain date, v2 only a timestamp
+      let date = null;
+      if (isV2) {
+        const timestamp = this.readDate(period, 'timestamp', report, path);
+        date = timestamp ? WeatherScoring.toDateKey(timestamp) : null;
+      } else {
+        date = this.read(period, 'date', 'string', report, path);
+      }
+      
+      const forecast = isV2
+        ? this.read(period, 'forecast.text', 'string', report, path)
+        : this.read(period, 'forecast', 'string', report, path);
+      
+      if (!date || !forecast) {
+        report.errors.push(`${path} skipped: date and forecast text are required`);
+        return null;
+      }
+      
+      const humidityKey = isV2 ? 'relativeHumidity' : 'relative_humidity';
+      
+      return {
+        date,
+        day: isV2
+          ? this.read(period, 'day', 'string', report, path)
+          : I18n.formatDate(new Date(`${date}T00:00:00+08:00`), { weekday: 'long', timeZone: 'Asia/Singapore' }),
+        forecast,
+        forecastCode: isV2 ? this.read(period, 'forecast.code', 'string', report, path) : null,
+        temperature: {
+          low: this.read(period, 'temperature.low', 'number', report, path),
+          high: this.read(period, 'temperature.high', 'number', report, path),
+          unit: this.units.temperature
+        },
+        relative_humidity: {
+          low: this.read(period, `${humidityKey}.low`, 'number', report, path),
+          high: this.read(period, `${humidityKey}.high`, 'number', report, path),
+          unit: this.units.humidity
+        },
+        wind: {
+          speed: {
+            low: this.read(period, 'wind.speed.low', 'number', report, path),
+            high: this.read(period, 'wind.speed.high', 'number', report, path),
+            unit: this.units.windSpeed
+          },
+          direction: this.read(period, 'wind.direction', 'string', report, path)
+        }
+      };
+    }).filter(Boolean);
+    
+    const updatedAt = isV2
+      ? this.readDate(record, 'updatedTimestamp', report, basePath)
+      : this.readDate(record, 'update_timestamp', report, basePath);
+    
+    const ok = forecasts.length > 0;
+    return { ok, shape, forecast: ok ? { updatedAt, forecasts } : null, ...report };
+  },
+  
+  /**
+   * Normalize a 24-hour forecast response
+   * @param {Object} payload - Raw API response
+   * @returns {{ok: boolean, shape: string|null, forecast: Object|null, missing: string[], errors: string[]}}
+   *   forecast is { updatedAt, general: { forecast, temperature, relative_humidity },
+   *   periods: [{ start, end, label, regions: { north, south, east, west, central } }] }
+   */
+  normalizeTwentyFourHour(payload) {
+    const report = { missing: [], errors: [] };
+    const { shape, record, basePath } = this.getRecord(payload, report);
+    
+    if (!record) return { ok: false, shape, forecast: null, ...report };
+    
+    if (!Array.isArray(record.periods) || record.periods.length === 0) {
+      report.errors.push(`${basePath}.periods must be a non-empty array`);
+      return { ok: false, shape, forecast: null, ...report };
+    }
+    
+    const isV2 = shape === 'v2';
+    const periods = record.periods.map((period, index) => {
+      const path = `${basePath}.periods[${index}]`;
+      const timeKey = isV2 ? 'timePeriod' : 'time';
+      const start = this.readDate(period, `${timeKey}.start`, report, path);
+      const end = this.readDate(period, `${timeKey}.end`, report, path);
+      
+      if (!start || !end) {
+        report.errors.push(`${path} skipped: start and end times are required`);
+        return null;
+      }
+      
+      // v2 regions are { code, text } objects, v1 regions are plain strings
+      const regions = {};
+      ForecastRegions.names.forEach(name => {
+        regions[name] = isV2
+          ? this.read(period, `regions.${name}.text`, 'string', report, path)
+          : this.read(period, `regions.${name}`, 'string', report, path);
+      });
+      
+      return { start, end, label: ForecastRegions.labelFor(start), regions };
+    }).filter(Boolean);
+    
+    const generalPath = `${basePath}.general`;
+    const general = {
+      forecast: isV2
+        ? this.read(record, 'general.forecast.text', 'string', report, basePath)
+        : this.read(record, 'general.forecast', 'string', report, basePath),
+      temperature: {
+        low: this.read(record.general, 'temperature.low', 'number', report, generalPath),
+        high: this.read(record.general, 'temperature.high', 'number', report, generalPath),
+        unit: this.units.temperature
+      },
+      relative_humidity: {
+        low: this.read(record.general, `${isV2 ? 'relativeHumidity' : 'relative_humidity'}.low`, 'number', report, generalPath),
+        high: this.read(record.general, `${isV2 ? 'relativeHumidity' : 'relative_humidity'}.high`, 'number', report, generalPath),
+        unit: this.units.humidity
+      }
+    };
+    
+    const updatedAt = isV2
+      ? this.readDate(record, 'updatedTimestamp', report, basePath)
+      : this.readDate(record, 'update_timestamp', report, basePath);
+    
+    const ok = periods.length > 0;
+    return { ok, shape, forecast: ok ? { updatedAt, general, periods } : null, ...report };
+  }
+};
+
+// ============================================
+// Weather Cache
+// ============================================
+const WeatherCache = {
+  /**
+   * @param {string} name - Cache entry name ('fourDay' or 'regional')
+   * @returns {{fetchedAt: number, payload: Object}|null}
+   */
+  get(name) {
+    const cache = Storage.get(AppConfig.storageKeys.weatherCache) || {};
+    return cache[name] || null;
+  },
+  
+  set(name, payload) {
+    const cache = Storage.get(AppConfig.storageKeys.weatherCache) || {};
+    cache[name] = { fetchedAt: Date.now(), payload };
+    Storage.set(AppConfig.storageKeys.weatherCache, cache);
+    return cache[name];
+  },
+  
+  isFresh(entry, ttl = AppConfig.weatherCacheTtl) {
+    return Boolean(entry) && Date.now() - entry.fetchedAt < ttl;
+  }
+};
+
+// ============================================
+// Weather Integration - Singapore NEA API
+// ============================================
+class WeatherService {
+  constructor(notifications) {
+    this.notifications = notifications;
+    this.container = document.querySelector('.weather-forecast-grid');
+    this.regionalContainer = document.querySelector('.regional-forecast');
+    this.status = null;
+    this.refreshTimer = null;
+    this.retryTimer = null;
+    this.outageNotified = false;
+    this.init();
+  }
+  
+  async init() {
+    if (this.container) {
+      // Event delegation for retry buttons in the status bar and error state
+      this.container.addEventListener('click', (e) => {
+        if (e.target.closest('.weather-retry')) {
+          this.retryWithBackoff();
+        }
+      });
+    }
+    
+    // Keep the "last updated" label current
+    setInterval(() => this.updateStatusLabel(), 60000);
+    
+    window.addEventListener('online', () => this.refresh({ force: true }));
+    
+    // Day cards list low tides, which may load after the forecast
+    document.addEventListener('shoresquad:tides-updated', () => {
+      if (AppState.weatherData) this.renderForecast(AppState.weatherData);
+    });
+    document.addEventListener('shoresquad:preferences-changed', (e) => {
+      const { changes } = e.detail;
+      if (AppState.weatherData && ('temperatureUnit' in changes || 'distanceUnit' in changes)) {
+        this.renderForecast(AppState.weatherData);
+      }
+    });
+    
+    await this.refresh();
+  }
+  
+  /**
+   * Load both forecasts, from cache while it is fresh and from NEA otherwise
+   * @param {Object} options - { force: true } skips the cache
+   * @returns {Promise<boolean>} Whether a live or fresh cached four-day outlook was shown
+   */
+  async refresh({ force = false } = {}) {
+    const [fourDay] = await Promise.all([
+      this.fetchAndRenderForecast({ force }),
+      this.fetchAndRenderRegionalForecast({ force })
+    ]);
+    
+    this.scheduleRefresh();
+    this.notifyConnection(fourDay);
+    return fourDay;
+  }
+  
+  /**
+   * Tell the user once when the live forecast drops out, and when it is back
+   * @param {boolean} live - Whether a live or fresh cached forecast is showing
+   */
+  notifyConnection(live) {
+    if (!getPreferences().weatherAlerts) return;
+    
+    if (live && this.outageNotified) {
+      this.outageNotified = false;
+      this.notifications.notify(t('weather.back'), { type: 'success' });
+    } else if (!live && !this.outageNotified) {
+      this.outageNotified = true;
+      const fallback = t(this.status && this.status.source === 'stale' ? 'weather.fallbackStale' : 'weather.fallbackSample');
+      this.notifications.notify(t('weather.outage', { fallback }), {
+        type: 'error',
+        actions: [{ label: t('common.retry'), onClick: () => this.retryWithBackoff() }]
+      });
+    }
+  }
+  
+  /**
+   * Refresh again when the four-day cache entry expires
+   */
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    
+    const cached = WeatherCache.get('fourDay');
+    const age = cached ? Date.now() - cached.fetchedAt : AppConfig.weatherCacheTtl;
+    const delay = Math.max(60000, AppConfig.weatherCacheTtl - age);
+    
+    this.refreshTimer = setTimeout(() => this.refresh(), delay);
+  }
+  
+  /**
+   * Re-fetch after a failure, doubling the wait between attempts
+   * @param {number} attempt - Attempts made so far
+   */
+  async retryWithBackoff(attempt = 0) {
+    clearTimeout(this.retryTimer);
+    this.setRetryMessage(t('weather.checking'));
+    
+    const ok = await this.refresh({ force: true });
+    if (ok) return;
+    
+    if (attempt + 1 >= AppConfig.weatherRetry.maxAttempts) {
+      this.setRetryMessage(t('weather.stillOffline'));
+      return;
+    }
+    
+    const delay = AppConfig.weatherRetry.baseDelay * 2 ** attempt;
+    this.setRetryMessage(t('weather.retryingIn', { seconds: Math.round(delay / 1000) }));
+    this.retryTimer = setTimeout(() => this.retryWithBackoff(attempt + 1), delay);
+  }
+  
+  setRetryMessage(message) {
+    const label = this.container?.querySelector('.weather-retry-status');
+    if (label) label.textContent = message;
+  }
+  
+  async fetchJson(url) {
+    const response = await fetch(url);
+    
+    if (!response.ok) {
+      console.error(`API error: ${response.status} ${response.statusText}`);
+      throw new Error(`API error: ${response.status}`);
+    }
+    
+    return response.json();
+  }
+  
+  async fetchAndRenderRegionalForecast({ force = false } = {}) {
+    const cached = WeatherCache.get('regional');
+    
+    if (!force && WeatherCache.isFresh(cached) && this.applyRegionalPayload(cached.payload)) {
+      return true;
+    }
+    
+    try {
+      // Fetch 24-hour forecast broken down by region from Singapore NEA
+      const result = await this.fetchJson(AppConfig.weatherForecastUrl);
+      
+      if (!this.applyRegionalPayload(result)) {
+        throw new Error('Invalid or expired 24-hour forecast payload');
+      }
+      
+      WeatherCache.set('regional', result);
+      return true;
+    } catch (error) {
+      console.error('Error fetching 24-hour forecast:', error);
+      
+      // A stale forecast is still better than nothing
+      if (!cached || !this.applyRegionalPayload(cached.payload)) {
+        this.renderRegionalUnavailable();
+      }
+      return false;
+    }
+  }
+  
+  applyRegionalPayload(result) {
+    const { ok, forecast, missing, errors } = NeaNormalizer.normalizeTwentyFourHour(result);
+    this.reportNormalizerIssues('24-hour forecast', missing, errors);
+    if (!ok) return false;
+    
+    // Periods that have already ended are useless, even from cache
+    forecast.periods = forecast.periods.filter(period => period.end > new Date());
+    if (forecast.periods.length === 0) return false;
+    
+    AppState.regionalForecast = forecast;
+    this.renderRegionalForecast(forecast);
+    document.dispatchEvent(new CustomEvent('shoresquad:weather-updated', {
+      detail: { regionalForecast: forecast }
+    }));
+    return true;
+  }
+  
+  renderRegionalForecast(forecast) {
+    if (!this.regionalContainer) return;
+    
+    const formatTime = date => I18n.formatTime(date, { hour: 'numeric' });
+    const headers = ForecastRegions.names.map(name => html`<th scope="col">${t(`region.${name}`)}</th>`);
+    
+    const rows = forecast.periods.map(period => html`
+      <tr>
+        <th scope="row">
+          ${period.label}
+          <span class="regional-period-time">${formatTime(period.start)} – ${formatTime(period.end)}</span>
+        </th>
+        ${ForecastRegions.names.map(name => html`
+          <td>
+            <span class="regional-icon" aria-hidden="true">${this.getWeatherIcon(period.regions[name])}</span>
+            ${period.regions[name] || t('common.notAvailable')}
+          </td>
+        `)}
+      </tr>
+    `);
+    
+    this.regionalContainer.hidden = false;
+    Template.render(this.regionalContainer, html`
+      <h4 class="regional-title">${t('weather.regionalTitle')}</h4>
+      <div class="regional-table-wrapper">
+        <table class="regional-table">
+          <thead>
+            <tr><th scope="col">${t('weather.period')}</th>${headers}</tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `);
+  }
+  
+  renderRegionalUnavailable() {
+    if (!this.regionalContainer) return;
+    
+    this.regionalContainer.hidden = false;
+    Template.render(this.regionalContainer, html`
+      <p class="regional-unavailable text-muted">${t('weather.regionalUnavailable')}</p>
+    `);
+  }
+  
+  async fetchAndRenderForecast({ force = false } = {}) {
+    const cached = WeatherCache.get('fourDay');
+    
+    if (!force && WeatherCache.isFresh(cached) &&
+        this.renderPayload(cached.payload, { source: 'cache', fetchedAt: cached.fetchedAt })) {
+      return true;
+    }
+    
+    try {
+      // Fetch 4-day weather outlook from Singapore NEA
+      const result = await this.fetchJson(AppConfig.weatherApiUrl);
+      console.log('Weather API Response:', result);
+      
+      if (!this.renderPayload(result, { source: 'live', fetchedAt: Date.now() })) {
+        throw new Error('Unexpected API structure');
+      }
+      
+      WeatherCache.set('fourDay', result);
+      return true;
+    } catch (error) {
+      console.error('Error fetching weather forecast:', error);
+      
+      // Prefer a stale real forecast over mock data
+      if (cached && this.renderPayload(cached.payload, { source: 'stale', fetchedAt: cached.fetchedAt })) {
+        return false;
+      }
+      
+      console.log('Falling back to mock data');
+      this.renderMockForecast();
+      return false;
+    }
+  }
+  
+  /**
+   * Render an API response, handling the known response structures
+   * @param {Object} result - Four-day outlook response
+   * @param {{source: string, fetchedAt: number}} status - Where the data came from
+   * @returns {boolean} False when the structure is not recognised
+   */
+  renderPayload(result, status) {
+    const { ok, forecast, missing, errors } = NeaNormalizer.normalizeFourDay(result);
+    this.reportNormalizerIssues('4-day outlook', missing, errors);
+    
+    if (!ok) return false;
+    
+    this.status = { ...status, updatedAt: forecast.updatedAt };
+    this.renderForecast(forecast);
+    return true;
+  }
+  
+  reportNormalizerIssues(label, missing, errors) {
+    if (errors.length > 0) {
+      console.error(`Invalid NEA ${label} payload:`, errors);
+    }
+    if (missing.length > 0) {
+      console.warn(`NEA ${label} is missing fields:`, missing);
+    }
+  }
+  
+  /**
+   * Describe the data source, e.g. "Updated 3h ago (offline)"
+   * @returns {string}
+   */
+  getStatusText() {
+    const status = this.status || { source: 'sample' };
+    
+    if (status.source === 'sample') {
+      return t('weather.statusSample');
+    }
+    if (status.source === 'stale') {
+      return t('weather.statusStale', { time: formatTimeAgo(status.fetchedAt) });
+    }
+    return t('weather.statusLive', { time: formatTimeAgo(status.fetchedAt) });
+  }
+  
+  updateStatusLabel() {
+    const label = this.container?.querySelector('.weather-updated');
+    if (label) label.textContent = this.getStatusText();
+  }
+  
+  renderMockForecast() {
+    // Fallback with realistic Singapore weather data
+    const mockForecast = {
+      sample: true,
+      forecasts: [
+        {
+          date: WeatherScoring.toDateKey(new Date()),
+          forecast: 'Partly Cloudy with afternoon showers',
+          temperature: { high: 32, low: 26 },
+          relative_humidity: { high: 85 },
+          wind: { speed: { high: 25 } }
+        },
+        {
+          date: WeatherScoring.toDateKey(new Date(Date.now() + 86400000)),
+          forecast: 'Thundery Showers',
+          temperature: { high: 31, low: 25 },
+          relative_humidity: { high: 90 },
+          wind: { speed: { high: 30 } }
+        },
+        {
+          date: WeatherScoring.toDateKey(new Date(Date.now() + 172800000)),
+          forecast: 'Fair and Warm',
+          temperature: { high: 33, low: 27 },
+          relative_humidity: { high: 75 },
+          wind: { speed: { high: 20 } }
+        },
+        {
+          date: WeatherScoring.toDateKey(new Date(Date.now() + 259200000)),
+          forecast: 'Partly Cloudy',
+          temperature: { high: 32, low: 26 },
+          relative_humidity: { high: 80 },
+          wind: { speed: { high: 22 } }
+        }
+      ]
+    };
+    
+    this.status = { source: 'sample', fetchedAt: null };
+    this.renderForecast(mockForecast);
+  }
+  
+  getWeatherIcon(forecast) {
+    const description = (forecast || '').toLowerCase();
+    
+    if (description.includes('thunder') || description.includes('storm')) return '⛈️';
+    if (description.includes('rain') || description.includes('showers')) return '🌧️';
+    if (description.includes('cloudy')) return '☁️';
+    if (description.includes('partly cloudy') || description.includes('fair')) return '⛅';
+    if (description.includes('hazy') || description.includes('haze')) return '🌫️';
+    if (description.includes('windy')) return '💨';
+    return '☀️'; // Default sunny
+  }
+  
+  /**
+   * Weather score for a forecast day, with that day's low tides
+   * @param {Object} period - Forecast period
+   * @returns {Object} Score result plus the day's tides (null until the tables load)
+   */
+  getCleanupAdvice(period) {
+    const tide = Tides.forDay(new Date(`${period.date}T12:00:00+08:00`));
+    return { ...WeatherScoring.score(period, { tide }), tide };
+  }
+  
+  formatDate(dateStr) {
+    const date = new Date(dateStr);
+    const options = { weekday: 'short', month: 'short', day: 'numeric' };
+    return I18n.formatDate(date, options);
+  }
+  
+  renderDayCard(period, index) {
+    const advice = this.getCleanupAdvice(period);
+    const dateLabel = index === 0 ? t('weather.today') : this.formatDate(period.date);
+    
+    return html`
+      <div class="weather-day-card" data-animate="fade-up">
+        <div class="weather-day-header">
+          <h4 class="weather-day-title">${dateLabel}</h4>
+          <div class="weather-day-date">${period.date}</div>
+        </div>
+        <div class="weather-icon-large">${this.getWeatherIcon(period.forecast)}</div>
+        <div class="weather-temps">
+          <span class="temp-high">${Units.temperature(period.temperature?.high)}</span>
+          <span class="temp-divider">/</span>
+          <span class="temp-low">${Units.temperature(period.temperature?.low)}</span>
+        </div>
+        <div class="weather-condition">${period.forecast}</div>
+        <div class="weather-details-small">
+          <div class="detail-item">
+            <span class="detail-icon">💧</span>
+            <span class="detail-text">${period.relative_humidity?.high ?? t('common.notAvailable')}%</span>
+          </div>
+          <div class="detail-item">
+            <span class="detail-icon">💨</span>
+            <span class="detail-text">${Units.speed(period.wind?.speed?.high)}</span>
+          </div>
+        </div>
+        <div class="cleanup-advice" data-level="${advice.level}" title="${advice.reasons.join('. ')}">
+          ${advice.advice} <span class="cleanup-score">${advice.score}/100</span>
+        </div>
+        ${advice.tide && advice.tide.windows.length > 0 && html`
+          <div class="weather-tides">
+            <span aria-hidden="true">🌊</span> ${t('weather.lowTide', { times: advice.tide.windows.map(lowWindow => Tides.formatTime(lowWindow.low.time)).join(' & ') })}
+          </div>
+        `}
+      </div>
+    `;
+  }
+  
+  renderSource(element) {
+    const source = this.status?.source || 'sample';
+    
+    element.dataset.source = source;
+    Template.render(element, html`
+      <span class="weather-updated">${this.getStatusText()}</span>
+      ${source !== 'live' && source !== 'cache' && html`
+        <button type="button" class="weather-retry">${t('weather.tryAgain')}</button>
+        <span class="weather-retry-status" aria-live="polite"></span>
+      `}
+    `);
+  }
+  
+  renderForecast(forecast) {
+    if (!this.container) return;
+    
+    const forecasts = forecast.forecasts || [];
+    
+    if (forecasts.length === 0) {
+      this.renderError(t('weather.noPeriods'));
+      return;
+    }
+    
+    AppState.weatherData = forecast;
+    document.dispatchEvent(new CustomEvent('shoresquad:weather-updated', {
+      detail: { forecast }
+    }));
+    
+    // Build the layout once so later updates can reuse the cards
+    let cards = this.container.querySelector('.weather-forecast-cards');
+    if (!cards) {
+      Template.render(this.container, html`
+        <div class="weather-source"></div>
+        <div class="weather-forecast-cards"></div>
+      `);
+      cards = this.container.querySelector('.weather-forecast-cards');
+    }
+    
+    this.renderSource(this.container.querySelector('.weather-source'));
+    Template.renderList(cards, forecasts, {
+      key: period => period.date,
+      render: (period, index) => this.renderDayCard(period, index),
+      update: (card, period, index) => {
+        card.dataset.delay = index * 100;
+      }
+    });
+    
+    // Re-initialize scroll animations for weather cards
+    new ScrollAnimations();
+  }
+  
+  renderError(message) {
+    if (!this.container) return;
+    
+    Template.render(this.container, html`
+      <div class="weather-error">
+        <div class="weather-error-icon" aria-hidden="true">⚠️</div>
+        <p class="weather-error-message">${message}</p>
+        <p class="weather-error-note">${t('weather.showingSample')}</p>
+        <button type="button" class="weather-retry">${t('weather.tryAgain')}</button>
+        <p class="weather-retry-status" aria-live="polite"></p>
+      </div>
+    `);
+    
+    // Show mock data after a brief delay
+    setTimeout(() => this.renderMockForecast(), 2000);
+  }
+}
+
+// ============================================
+// Offline Support & Background Sync
+// ============================================
+class OfflineSync {
+  constructor() {
+    this.banner = document.querySelector('.offline-banner');
+    this.registration = null;
+    this.init();
+  }
+  
+  init() {
+    this.updateBanner();
+    
+    // Send anything left over from a previous offline session
+    this.registerServiceWorker().then(() => {
+      if (navigator.onLine) this.flush();
+    });
+    
+    window.addEventListener('offline', () => this.updateBanner());
+    window.addEventListener('online', () => {
+      this.updateBanner();
+      this.flush();
+    });
+    
+    document.addEventListener('shoresquad:rsvps-changed', (e) => {
+      const { eventId, memberId, status } = e.detail;
+      this.queue('rsvp', { eventId, memberId, status });
+    });
+    document.addEventListener('shoresquad:event-created', (e) => {
+      this.queue('create-event', { event: e.detail.record });
+    });
+  }
+  
+  async registerServiceWorker() {
+    // Service workers need http(s); opening index.html from disk skips them
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    
+    try {
+      this.registration = await navigator.serviceWorker.register('sw.js');
+    } catch (error) {
+      console.warn('Service worker registration failed:', error);
+    }
+  }
+  
+  isQueueAvailable() {
+    return typeof Outbox !== 'undefined' && 'indexedDB' in window;
+  }
+  
+  supportsBackgroundSync() {
+    return Boolean(this.registration && 'sync' in this.registration);
+  }
+  
+  updateBanner() {
+    if (this.banner) {
+      this.banner.hidden = navigator.onLine;
+    }
+  }
+  
+  /**
+   * Queue a change made while offline so it reaches the server later
+   * @param {string} type - 'rsvp' or 'create-event'
+   * @param {Object} body - Payload to send
+   */
+  async queue(type, body) {
+    if (navigator.onLine || !this.isQueueAvailable()) return;
+    
+    try {
+      await Outbox.enqueue({ type, url: new URL(AppConfig.syncUrl, location.href).href, body });
+      
+      if (this.supportsBackgroundSync()) {
+        await this.registration.sync.register(Outbox.syncTag);
+      }
+    } catch (error) {
+      console.error('Error queueing offline change:', error);
+    }
+  }
+  
+  /**
+   * Send queued changes from the page when the browser can't do it for us
+   */
+  async flush() {
+    // With Background Sync the service worker replays the queue itself
+    if (!this.isQueueAvailable() || this.supportsBackgroundSync()) return;
+    
+    try {
+      const { sent, rejected, expired } = await Outbox.flush();
+      if (sent > 0) {
+        console.log(`Synced ${sent} offline change${sent === 1 ? '' : 's'}`);
+      }
+      if (rejected > 0) {
+        console.warn(`Server rejected ${rejected} offline change${rejected === 1 ? '' : 's'}`);
+      }
+      if (expired > 0) {
+        console.warn(`Gave up on ${expired} offline change${expired === 1 ? '' : 's'} the server never took`);
+      }
+    } catch (error) {
+      console.error('Error syncing offline changes:', error);
+    }
+  }
+}
+
+// ============================================
+// Data Backup
+// ============================================
+class DataBackup {
+  constructor(notifications) {
+    this.notifications = notifications;
+    this.init();
+  }
+  
+  init() {
+    // The buttons live on the profile page, which re-renders
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('.backup-export')) this.exportBackup();
+    });
+    
+    document.addEventListener('change', (e) => {
+      const input = e.target.closest('.backup-import');
+      if (!input || !input.files[0]) return;
+      
+      this.importBackup(input.files[0]);
+      input.value = '';
+    });
+    
+    document.addEventListener('shoresquad:storage-full', (e) => {
+      if (e.detail.saved) {
+        this.notifications.notify(t('backup.spaceCleared'));
+      } else {
+        this.notifications.notify(t('backup.spaceFull'), { type: 'error' });
+      }
+    });
+  }
+  
+  exportBackup() {
+    const backup = Storage.exportData();
+    const date = backup.exportedAt.slice(0, 10);
+    
+    downloadFile(`shoresquad-backup-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    this.notifications.notify(t('backup.downloaded'), { type: 'success' });
+  }
+  
+  /**
+   * Replace this device's data with a backup file, then reload so every
+   * component picks it up
+   * @param {File} file - JSON file from exportBackup()
+   */
+  async importBackup(file) {
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (error) {
+      this.notifications.notify(t('backup.unreadable'), { type: 'error' });
+      return;
+    }
+    
+    if (!window.confirm(t('backup.confirmRestore'))) return;
+    
+    try {
+      await Storage.importData(backup);
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      this.notifications.notify(error.message, { type: 'error' });
+      return;
+    }
+    
+    window.location.reload();
+  }
+}
+
+// ============================================
+// Language Switcher
+// ============================================
+class LanguageSwitcher {
+  constructor() {
+    this.select = document.getElementById('languageSelect');
+    this.init();
+  }
+  
+  init() {
+    if (!this.select) return;
+    
+    this.select.value = I18n.language;
+    this.select.addEventListener('change', () => {
+      updatePreferences({ language: this.select.value });
+      // Text is rendered all over the page, so reload rather than re-render piecemeal
+      window.location.reload();
+    });
+  }
+}
+
+// ============================================
+// Settings
+// ============================================
+class SettingsPanel {
+  constructor() {
+    this.form = document.getElementById('settingsForm');
+    this.modal = new ModalDialog(document.getElementById('settingsModal'));
+    this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    this.init();
+  }
+  
+  init() {
+    this.applyDisplay();
+    
+    // Follow the device setting while motion is left on 'system'
+    if (this.motionQuery) {
+      this.motionQuery.addEventListener('change', () => this.applyDisplay());
+    }
+    
+    document.addEventListener('shoresquad:preferences-changed', (e) => {
+      const { changes } = e.detail;
+      if ('motion' in changes || 'highContrast' in changes) this.applyDisplay();
+      if ('distanceUnit' in changes && this.form) this.renderRadiusOptions();
+    });
+    
+    if (!this.form) return;
+    
+    // The profile page re-renders, so listen on the document
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('.settings-open')) this.open();
+    });
+    
+    this.form.elements.homeBeach.insertAdjacentHTML('beforeend', BeachDirectory.beaches
+      .map(beach => `<option value="${escapeHtml(beach.name)}">${escapeHtml(beach.name)}</option>`)
+      .join(''));
+    
+    // Every change applies straight away; "Done" just closes the panel
+    this.form.addEventListener('change', (e) => {
+      const field = e.target;
+      if (!field.name) return;
+      
+      let value = field.value;
+      if (field.type === 'checkbox') value = field.checked;
+      if (field.name === 'radiusKm') value = Number(value);
+      
+      updatePreferences({ [field.name]: value });
+    });
+    
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.modal.close();
+    });
+  }
+  
+  open() {
+    this.renderRadiusOptions();
+    this.fill(getPreferences());
+    this.modal.open();
+  }
+  
+  fill(preferences) {
+    Object.keys(AppConfig.defaultPreferences).forEach(key => {
+      const field = this.form.elements[key];
+      if (!field) return;
+      
+      if (field.type === 'checkbox') {
+        field.checked = Boolean(preferences[key]);
+      } else {
+        field.value = preferences[key];
+      }
+    });
+  }
+  
+  renderRadiusOptions() {
+    const select = this.form.elements.radiusKm;
+    const { radiusKm } = getPreferences();
+    const choices = [...new Set([...AppConfig.radiusOptionsKm, radiusKm])].sort((a, b) => a - b);
+    
+    select.innerHTML = choices
+      .map(km => `<option value="${km}">${escapeHtml(Units.distance(km))}</option>`)
+      .join('');
+    select.value = radiusKm;
+  }
+  
+  /**
+   * Page-wide display settings live on the root element so CSS can follow them
+   */
+  applyDisplay() {
+    const root = document.documentElement;
+    root.classList.toggle('reduce-motion', prefersReducedMotion());
+    root.classList.toggle('high-contrast', Boolean(getPreferences().highContrast));
+    
+    // Reveal anything still waiting to fade in; the existing observers
+    // have nothing left to do for these
+    if (prefersReducedMotion()) {
+      document.querySelectorAll('[data-animate]:not(.visible)').forEach(el => el.classList.add('visible'));
+    }
+  }
+}
+
+// ============================================
+// Routing & Views
+// ============================================
+
+/**
+ * Hash router for page-style views such as #/event/:id, #/squad/:id and
+ * #/me. Plain anchors like #cleanups keep scrolling the main page.
+ */
+class Router {
+  constructor() {
+    this.view = document.getElementById('routeView');
+    this.routes = [];
+    this.current = null;
+    this.openedFrom = null;
+    this.defaultTitle = document.title;
+    this.init();
+  }
+  
+  static isRoute(hash) {
+    return typeof hash === 'string' && hash.startsWith('#/');
+  }
+  
+  init() {
+    if (!this.view) return;
+    
+    // Remember where a view was opened from so closing it can return there
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest('a[href^="#/"]');
+      if (link && !this.current) {
+        this.openedFrom = { href: link.getAttribute('href'), element: link, scrollY: window.scrollY };
+      }
+      
+      if (e.target.closest('.route-back') && this.openedFrom) {
+        e.preventDefault();
+        history.back();
+      }
+    });
+    
+    window.addEventListener('hashchange', () => this.resolve());
+  }
+  
+  /**
+   * Register a view
+   * @param {string} pattern - Path with named segments, e.g. '/event/:id'
+   * @param {Function} render - Called with the params; returns
+   *   { title, html, back: { href, label } }, or null when nothing matches
+   * @param {string[]} refreshOn - Document events that re-render the view while it is open
+   */
+  add(pattern, render, refreshOn = []) {
+    const keys = [];
+    const source = pattern.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+    const route = { regex: new RegExp(`^${source}/?$`), keys, render };
+    
+    this.routes.push(route);
+    refreshOn.forEach(type => {
+      document.addEventListener(type, () => {
+        if (this.current && this.current.route === route) this.render(false);
+      });
+    });
+  }
+  
+  match(path) {
+    for (const route of this.routes) {
+      const match = path.match(route.regex);
+      if (!match) continue;
+      
+      const params = {};
+      route.keys.forEach((key, index) => {
+        params[key] = decodeURIComponent(match[index + 1]);
+      });
+      return { route, params };
+    }
+    return null;
+  }
+  
+  isActive() {
+    return Boolean(this.current);
+  }
+  
+  resolve() {
+    const hash = window.location.hash;
+    
+    if (!Router.isRoute(hash)) {
+      this.close(hash);
+      return;
+    }
+    
+    this.current = this.match(hash.slice(1)) || { route: null, params: {} };
+    this.render(true);
+  }
+  
+  render(moveFocus) {
+    const { route, params } = this.current;
+    const page = (route && route.render(params)) || this.notFound();
+    const back = page.back || { href: '#main-content', label: t('route.back') };
+    
+    this.view.innerHTML = `
+      <div class="container">
+        <a href="${escapeHtml(back.href)}" class="route-back"><span aria-hidden="true">←</span> ${escapeHtml(back.label)}</a>
+        ${page.html}
+      </div>
+    `;
+    this.view.hidden = false;
+    document.body.classList.add('is-route-active');
+    document.title = t('route.title', { title: page.title });
+    
+    if (moveFocus) {
+      // Move focus to the new view's heading so screen readers announce it
+      const heading = this.view.querySelector('h2');
+      window.scrollTo(0, 0);
+      if (heading) {
+        heading.tabIndex = -1;
+        heading.focus({ preventScroll: true });
+      }
+    }
+    
+    document.dispatchEvent(new CustomEvent('shoresquad:route-changed', {
+      detail: { path: window.location.hash.slice(1) }
+    }));
+  }
+  
+  /**
+   * Return to the main page, either to the section in the hash or to
+   * wherever the view was opened from
+   * @param {string} hash - New location hash
+   */
+  close(hash) {
+    if (!this.current) return;
+    
+    const openedFrom = this.openedFrom;
+    this.current = null;
+    this.openedFrom = null;
+    this.view.hidden = true;
+    this.view.innerHTML = '';
+    document.body.classList.remove('is-route-active');
+    document.title = this.defaultTitle;
+    
+    document.dispatchEvent(new CustomEvent('shoresquad:route-changed', {
+      detail: { path: null }
+    }));
+    
+    const target = hash.length > 1 ? document.getElementById(hash.slice(1)) : null;
+    if (target) {
+      target.scrollIntoView({ block: 'start' });
+      return;
+    }
+    
+    if (openedFrom) {
+      // Cards may have been re-rendered meanwhile, so look the link up again
+      const trigger = document.contains(openedFrom.element)
+        ? openedFrom.element
+        : document.querySelector(`a[href="${CSS.escape(openedFrom.href)}"]`);
+      window.scrollTo(0, openedFrom.scrollY);
+      if (trigger) trigger.focus({ preventScroll: true });
+    }
+  }
+  
+  notFound() {
+    return {
+      title: t('route.notFound'),
+      html: `
+        <article class="route-page">
+          <h2 class="route-title">${escapeHtml(t('route.notFound'))}</h2>
+          <p class="text-muted">${escapeHtml(t('route.notFoundText'))}</p>
+        </article>
+      `
+    };
+  }
+}
+
+/**
+ * Shared formatting for view pages
+ */
+const RouteFormat = {
+  date(date) {
+    return I18n.formatDate(date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+  },
+  
+  time(date) {
+    return I18n.formatTime(date);
+  },
+  
+  eventLink(event) {
+    return `<a href="#/event/${encodeURIComponent(event.id)}">${escapeHtml(event.title)}</a>`;
+  },
+  
+  stats(stats) {
+    return `
+      <ul class="route-stats">
+        <li><strong>${I18n.formatNumber(stats.cleanups)}</strong> ${t('route.cleanups', { count: stats.cleanups })}</li>
+        <li><strong>${I18n.formatNumber(stats.beaches)}</strong> ${t('route.beaches', { count: stats.beaches })}</li>
+        <li><strong>${ImpactStore.formatWeight(stats.weightKg)}</strong> ${t('route.collected')}</li>
+        <li><strong>${stats.streak > 0 ? `🔥 ${stats.streak}` : '—'}</strong> ${t('route.streak')}</li>
+      </ul>
+    `;
+  },
+  
+  loading(label) {
+    return {
+      title: t('route.loadingTitle'),
+      html: `
+        <article class="route-page" aria-busy="true">
+          <h2 class="route-title">${escapeHtml(t('route.loading', { label }))}</h2>
+          <div class="spinner" role="status"></div>
+        </article>
+      `
+    };
+  }
+};
+
+/**
+ * Per-event packing progress, saved as { eventId: [itemId, ...] }
+ */
+const GearChecklist = {
+  getItems() {
+    return AppConfig.gearChecklist;
+  },
+  
+  getPacked(eventId) {
+    const saved = Storage.get(AppConfig.storageKeys.gearChecklists) || {};
+    return new Set(Array.isArray(saved[eventId]) ? saved[eventId] : []);
+  },
+  
+  setPacked(eventId, itemId, packed) {
+    const saved = Storage.get(AppConfig.storageKeys.gearChecklists) || {};
+    const items = new Set(Array.isArray(saved[eventId]) ? saved[eventId] : []);
     
-    document.body.appendChild(notification);
+    if (packed) {
+      items.add(itemId);
+    } else {
+      items.delete(itemId);
+    }
     
-    setTimeout(() => {
-      notification.style.animation = 'slideOutDown 0.3s ease-out';
-      setTimeout(() => notification.remove(), 300);
-    }, 3000);
+    saved[eventId] = Array.from(items);
+    Storage.set(AppConfig.storageKeys.gearChecklists, saved);
+    return items;
   }
-}
+};
 
-// ============================================
-// Favorites System
-// ============================================
-class FavoritesManager {
-  constructor() {
-    this.favoriteButtons = document.querySelectorAll('.card-favorite');
-    this.loadFavorites();
+class EventView {
+  constructor(router, eventStore, rsvpStore, squadStore, checkInStore) {
+    this.eventStore = eventStore;
+    this.rsvpStore = rsvpStore;
+    this.squadStore = squadStore;
+    this.checkInStore = checkInStore;
+    // Signed check-in tokens by event id, so the QR code survives re-renders
+    this.checkInTokens = new Map();
+    
+    router.add('/event/:id', (params) => this.render(params), [
+      'shoresquad:events-changed',
+      'shoresquad:rsvps-changed',
+      'shoresquad:squads-changed',
+      'shoresquad:checkins-changed',
+      'shoresquad:weather-updated',
+      'shoresquad:tides-updated',
+      'shoresquad:preferences-changed'
+    ]);
     this.init();
   }
   
   init() {
-    // Event delegation for favorite buttons
+    document.addEventListener('change', (e) => {
+      const checkbox = e.target.closest('.gear-checklist input[type="checkbox"]');
+      const page = checkbox && checkbox.closest('.event-page');
+      if (!page) return;
+      
+      const packed = GearChecklist.setPacked(page.dataset.eventId, checkbox.value, checkbox.checked);
+      this.updateProgress(page, packed.size);
+    });
+    
+    // "Open in the big map" selects the event before the router closes the page
     document.addEventListener('click', (e) => {
-      if (e.target.closest('.card-favorite')) {
-        const button = e.target.closest('.card-favorite');
-        this.toggleFavorite(button);
-      }
+      const link = e.target.closest('.event-map-link');
+      if (!link) return;
+      
+      AppState.selectedEventId = link.dataset.eventId;
+      document.dispatchEvent(new CustomEvent('shoresquad:event-selected', {
+        detail: { eventId: link.dataset.eventId, origin: 'detail' }
+      }));
     });
   }
   
-  loadFavorites() {
-    const saved = Storage.get(AppConfig.localStorageKeys.favorites);
-    if (saved && Array.isArray(saved)) {
-      AppState.favorites = new Set(saved);
-      this.updateUI();
+  updateProgress(page, packedCount) {
+    const total = GearChecklist.getItems().length;
+    const progress = page.querySelector('.gear-progress');
+    const label = page.querySelector('.gear-progress-label');
+    
+    if (progress) progress.value = packedCount;
+    if (label) {
+      label.textContent = packedCount === total ? t('gear.allPacked') : t('gear.progress', { packed: packedCount, total });
     }
   }
   
-  saveFavorites() {
-    Storage.set(AppConfig.localStorageKeys.favorites, Array.from(AppState.favorites));
+  /**
+   * Everyone known to be going: app RSVPs plus members of attending squads
+   * @param {Object} event - Normalized cleanup event
+   * @returns {Array<{id: string, name: string, squad: string|null}>}
+   */
+  getAttendees(event) {
+    const user = getCurrentUser();
+    const squads = this.squadStore.getAttendingSquads(event.id);
+    const people = new Map();
+    
+    squads.forEach(squad => {
+      squad.members.forEach(member => {
+        people.set(member.id, { id: member.id, name: member.name, squad: squad.name });
+      });
+    });
+    
+    this.rsvpStore.getRoster(event.id).attendees.forEach(memberId => {
+      if (people.has(memberId)) return;
+      
+      const squad = this.squadStore.getMySquad(memberId);
+      const member = squad && squad.members.find(candidate => candidate.id === memberId);
+      const name = member ? member.name : memberId === user.id ? user.name : t('event.volunteer');
+      people.set(memberId, { id: memberId, name, squad: squad ? squad.name : null });
+    });
+    
+    return Array.from(people.values());
   }
   
-  toggleFavorite(button) {
-    const card = button.closest('.cleanup-card');
-    const eventId = card.dataset.eventId || card.querySelector('.card-title')?.textContent;
+  /**
+   * Static close-up of the meeting point built from map tiles
+   * @param {Object} event - Normalized cleanup event
+   * @returns {string} HTML
+   */
+  renderMeetingMap(event) {
+    const point = event.meetingCoordinates;
+    if (!point) return '';
     
-    if (!eventId) return;
+    const zoom = AppConfig.map.detailZoom;
+    const size = 256;
+    const center = CleanupMap.toPixel(point, zoom, size);
+    const centerTileX = Math.floor(center.x / size);
+    const centerTileY = Math.floor(center.y / size);
+    const tiles = [];
     
-    if (AppState.favorites.has(eventId)) {
-      AppState.favorites.delete(eventId);
-      button.classList.remove('active');
-      button.querySelector('span').textContent = '♡';
-      button.setAttribute('aria-label', 'Add to favorites');
-    } else {
-      AppState.favorites.add(eventId);
-      button.classList.add('active');
-      button.querySelector('span').textContent = '♥';
-      button.setAttribute('aria-label', 'Remove from favorites');
+    for (let dx = -2; dx <= 2; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const x = centerTileX + dx;
+        const y = centerTileY + dy;
+        const left = Math.round(x * size - center.x);
+        const top = Math.round(y * size - center.y);
+        tiles.push(`<img class="map-tile" src="${escapeHtml(CleanupMap.tileUrl(x, y, zoom))}" alt="" draggable="false" style="transform: translate(${left}px, ${top}px)">`);
+      }
     }
     
-    this.saveFavorites();
+    return `
+      <figure class="meeting-map">
+        <div class="meeting-map-viewport" role="img" aria-label="${escapeHtml(t('event.meetingMap', { place: event.meetingPoint || event.beach }))}">
+          <div class="meeting-map-tiles" aria-hidden="true">${tiles.join('')}</div>
+          <span class="meeting-map-pin" aria-hidden="true">📍</span>
+        </div>
+        <figcaption>
+          <a href="#map" class="event-map-link" data-event-id="${escapeHtml(event.id)}">${escapeHtml(t('event.openMap'))}</a>
+          <span class="map-attribution">${AppConfig.map.attribution}</span>
+        </figcaption>
+      </figure>
+    `;
+  }
+  
+  renderChecklist(event) {
+    const items = GearChecklist.getItems();
+    const packed = GearChecklist.getPacked(event.id);
+    const packedCount = items.filter(item => packed.has(item.id)).length;
     
-    // Haptic feedback (if supported)
-    if ('vibrate' in navigator) {
-      navigator.vibrate(50);
+    return `
+      <h3 id="gearTitle">${escapeHtml(t('gear.title'))}</h3>
+      ${event.gearNotes ? `<p class="text-muted">${escapeHtml(event.gearNotes)}</p>` : ''}
+      <ul class="gear-checklist" aria-labelledby="gearTitle">
+        ${items.map(item => `
+          <li>
+            <label>
+              <input type="checkbox" value="${escapeHtml(item.id)}"${packed.has(item.id) ? ' checked' : ''}>
+              ${escapeHtml(t(`gear.${item.id}`))}
+            </label>
+          </li>
+        `).join('')}
+      </ul>
+      <p class="gear-status">
+        <progress class="gear-progress" max="${items.length}" value="${packedCount}" aria-labelledby="gearTitle"></progress>
+        <span class="gear-progress-label" aria-live="polite">${escapeHtml(packedCount === items.length ? t('gear.allPacked') : t('gear.progress', { packed: packedCount, total: items.length }))}</span>
+      </p>
+    `;
+  }
+  
+  renderForecast(event) {
+    const period = WeatherScoring.findPeriod(event);
+    const weather = WeatherScoring.forEvent(event);
+    
+    if (!period && !weather) {
+      return `<p class="text-muted">${escapeHtml(t('event.forecastPending'))}</p>`;
     }
+    
+    const details = period ? [
+      period.forecast,
+      period.temperature && `${Units.temperature(period.temperature.low)}–${Units.temperature(period.temperature.high)}`,
+      typeof period.relative_humidity?.high === 'number' && `💧 ${period.relative_humidity.high}%`,
+      typeof period.wind?.speed?.high === 'number' && `💨 ${Units.speed(period.wind.speed.high)}`
+    ].filter(Boolean).join(' · ') : weather.regional.text;
+    
+    return `
+      <div class="card-weather event-forecast" data-level="${weather ? escapeHtml(weather.level) : ''}">
+        <p>${escapeHtml(details)}</p>
+        ${weather ? `
+          <p class="card-weather-score">
+            <span>${escapeHtml(weather.advice)}</span>
+            <span class="cleanup-score">${weather.score}/100</span>
+          </p>
+        ` : ''}
+      </div>
+    `;
   }
   
-  updateUI() {
-    this.favoriteButtons.forEach(button => {
-      const card = button.closest('.cleanup-card');
-      const eventId = card.dataset.eventId || card.querySelector('.card-title')?.textContent;
-      
-      if (eventId && AppState.favorites.has(eventId)) {
-        button.classList.add('active');
-        button.querySelector('span').textContent = '♥';
-        button.setAttribute('aria-label', 'Remove from favorites');
-      }
-    });
+  renderTides(event) {
+    const tide = Tides.forEvent(event);
+    const daylight = Daylight.forEvent(event);
+    
+    const warnings = [];
+    if (tide?.highTide) {
+      warnings.push(t('event.highTideWarning', { time: Tides.formatTime(tide.highTide.time) }));
+    }
+    if (daylight.beforeSunrise) {
+      warnings.push(t('event.beforeSunriseWarning'));
+    } else if (daylight.afterSunset) {
+      warnings.push(t('event.afterSunsetWarning'));
+    }
+    
+    const extremes = tide ? tide.extremes.map(extreme => `
+      <li${extreme === tide.lowTide || extreme === tide.highTide ? ' class="is-during"' : ''}>
+        ${escapeHtml(t(extreme.type === 'low' ? 'event.lowTide' : 'event.highTide'))} ${escapeHtml(Tides.formatTime(extreme.time))} · ${escapeHtml(Tides.formatHeight(extreme.height))}
+      </li>
+    `).join('') : '';
+    
+    return `
+      ${warnings.map(warning => `<p class="event-warning"><span aria-hidden="true">⚠️</span> ${escapeHtml(warning)}</p>`).join('')}
+      <p>${escapeHtml(t('event.daylight', { sunrise: Tides.formatTime(daylight.sunrise), sunset: Tides.formatTime(daylight.sunset) }))}</p>
+      ${tide ? `
+        ${tide.lowWindow ? `<p>${escapeHtml(t('event.bestTime', { start: Tides.formatTime(tide.lowWindow.start), end: Tides.formatTime(tide.lowWindow.end) }))}</p>` : ''}
+        <ul class="event-tides" aria-label="${escapeHtml(t('event.tidesAt', { station: tide.station.name }))}">${extremes}</ul>
+        <p class="text-muted">${escapeHtml(t('event.tidesDisclaimer', { station: tide.station.name }))}</p>
+      ` : `<p class="text-muted">${escapeHtml(t('event.tidesLoading'))}</p>`}
+    `;
   }
-}
-
-// ============================================
-// Weather Integration - Singapore NEA API
-// ============================================
-class WeatherService {
-  constructor() {
-    this.container = document.querySelector('.weather-forecast-grid');
-    this.init();
+  
+  renderOrganizer(organizer) {
+    if (!organizer) {
+      return `<p class="text-muted">${escapeHtml(t('event.noOrganizer'))}</p>`;
+    }
+    
+    const contact = organizer.contact;
+    let link = '';
+    if (contact.includes('@')) {
+      link = `<a href="mailto:${escapeHtml(contact)}">${escapeHtml(contact)}</a>`;
+    } else if (contact) {
+      link = `<a href="tel:${escapeHtml(contact.replace(/[^\d+]/g, ''))}">${escapeHtml(contact)}</a>`;
+    }
+    
+    return `<p><strong>${escapeHtml(organizer.name)}</strong>${link ? ` · ${link}` : ''}</p>`;
   }
   
-  async init() {
-    await this.fetchAndRenderForecast();
+  /**
+   * The organizer's device shows the signed QR code and who has checked in;
+   * everyone else gets the scanner while check-in is open
+   * @param {Object} event - Normalized cleanup event
+   * @param {Date} now - Reference time
+   * @returns {string} HTML
+   */
+  renderCheckIn(event, now = new Date()) {
+    const isOrganizer = CheckInTokens.canSign(event) && typeof QrCode !== 'undefined';
+    const checkIns = this.checkInStore.getAll().filter(checkIn => checkIn.eventId === event.id);
+    const own = checkIns.find(checkIn => checkIn.memberId === getCurrentUser().id);
+    const opensAt = new Date(event.start.getTime() - AppConfig.checkInLeadMinutes * 60000);
+    
+    let status;
+    if (own) {
+      status = `
+        <p class="route-status">${escapeHtml(t('checkIn.youCheckedIn', { time: RouteFormat.time(new Date(own.checkedInAt)) }))}</p>
+        ${own.method === 'card' ? `<p class="text-muted">${escapeHtml(t('checkIn.selfReported'))}</p>` : ''}
+      `;
+    } else if (event.end < now) {
+      status = `<p class="text-muted">${escapeHtml(t('checkIn.closed'))}</p>`;
+    } else if (now < opensAt) {
+      status = `<p class="text-muted">${escapeHtml(t('checkIn.opens', { time: RouteFormat.time(opensAt) }))}</p>`;
+    } else {
+      status = `
+        <p>${escapeHtml(t('checkIn.scanHint'))}</p>
+        <button type="button" class="btn btn-outline check-in-scan">${escapeHtml(t('checkIn.scan'))}</button>
+      `;
+    }
+    
+    return `
+      ${isOrganizer ? `
+        <figure class="check-in-code">
+          <div class="check-in-code-image" data-event-id="${escapeHtml(event.id)}">${this.renderCheckInCode(event)}</div>
+          <figcaption class="text-muted">${escapeHtml(t('checkIn.codeHint'))}</figcaption>
+        </figure>
+      ` : ''}
+      ${status}
+      ${isOrganizer ? `
+        <h4>${escapeHtml(t('checkIn.whoCheckedIn', { count: checkIns.length }))}</h4>
+        ${checkIns.length > 0 ? `
+          <ul class="squad-roster check-in-list">
+            ${checkIns.map(checkIn => this.renderCheckInEntry(checkIn)).join('')}
+          </ul>
+        ` : `<p class="text-muted">${escapeHtml(t('checkIn.none'))}</p>`}
+      ` : ''}
+    `;
   }
   
-  async fetchAndRenderForecast() {
-    try {
-      // Fetch 4-day weather outlook from Singapore NEA
-      const response = await fetch(AppConfig.weatherApiUrl);
-      
-      if (!response.ok) {
-        console.error(`API error: ${response.status} ${response.statusText}`);
-        throw new Error(`API error: ${response.status}`);
-      }
-      
-      const result = await response.json();
-      console.log('Weather API Response:', result);
-      
-      // Handle different possible API response structures
-      if (result.data && result.data.records && result.data.records.length > 0) {
-        const forecast = result.data.records[0];
-        this.renderForecast(forecast);
-        AppState.weatherData = forecast;
-      } else if (result.items && result.items.length > 0) {
-        // Alternative structure
-        this.renderForecastAlternative(result.items[0]);
-        AppState.weatherData = result.items[0];
-      } else {
-        console.error('Unexpected API structure:', result);
-        this.renderMockForecast();
+  /**
+   * QR code linking to the check-in page. Signing is async, so the first
+   * render shows a spinner that is swapped for the code when it's ready.
+   * @param {Object} event - Normalized cleanup event this device can sign for
+   * @returns {string} HTML
+   */
+  renderCheckInCode(event) {
+    const token = this.checkInTokens.get(event.id);
+    if (token) {
+      try {
+        return QrCode.toSvg(CheckInTokens.getLink(token), t('checkIn.codeLabel', { title: event.title }));
+      } catch (error) {
+        console.error('Error drawing check-in code:', error);
+        return `<p class="text-muted">${escapeHtml(t('checkIn.codeError'))}</p>`;
       }
-    } catch (error) {
-      console.error('Error fetching weather forecast:', error);
-      console.log('Falling back to mock data');
-      this.renderMockForecast();
     }
+    
+    if (token === undefined) {
+      this.checkInTokens.set(event.id, null);
+      CheckInTokens.sign(event)
+        .then((signed) => {
+          this.checkInTokens.set(event.id, signed);
+        })
+        .catch((error) => {
+          console.error('Error signing check-in code:', error);
+          this.checkInTokens.delete(event.id);
+        })
+        .finally(() => {
+          const slot = document.querySelector(`.check-in-code-image[data-event-id="${CSS.escape(event.id)}"]`);
+          if (!slot) return;
+          slot.innerHTML = this.checkInTokens.has(event.id)
+            ? this.renderCheckInCode(event)
+            : `<p class="text-muted">${escapeHtml(t('checkIn.codeError'))}</p>`;
+        });
+    }
+    
+    return '<div class="spinner" role="status"></div>';
   }
   
-  renderMockForecast() {
-    // Fallback with realistic Singapore weather data
-    const mockForecast = {
-      forecasts: [
-        {
-          date: new Date().toISOString().split('T')[0],
-          forecast: 'Partly Cloudy with afternoon showers',
-          temperature: { high: 32, low: 26 },
-          relative_humidity: { high: 85 },
-          wind: { speed: { high: 25 } }
-        },
-        {
-          date: new Date(Date.now() + 86400000).toISOString().split('T')[0],
-          forecast: 'Thundery Showers',
-          temperature: { high: 31, low: 25 },
-          relative_humidity: { high: 90 },
-          wind: { speed: { high: 30 } }
-        },
-        {
-          date: new Date(Date.now() + 172800000).toISOString().split('T')[0],
-          forecast: 'Fair and Warm',
-          temperature: { high: 33, low: 27 },
-          relative_humidity: { high: 75 },
-          wind: { speed: { high: 20 } }
-        },
-        {
-          date: new Date(Date.now() + 259200000).toISOString().split('T')[0],
-          forecast: 'Partly Cloudy',
-          temperature: { high: 32, low: 26 },
-          relative_humidity: { high: 80 },
-          wind: { speed: { high: 22 } }
-        }
-      ]
-    };
+  renderCheckInEntry(checkIn) {
+    let flag = '';
+    if (checkIn.suspicious) {
+      flag = `<span class="check-in-flag">⚠️ ${escapeHtml(t('checkIn.far', { distance: Units.distance(checkIn.distanceKm) }))}</span>`;
+    } else if (checkIn.method === 'card') {
+      flag = `<span class="check-in-flag is-unknown">${escapeHtml(t('checkIn.selfReportedShort'))}</span>`;
+    } else if (checkIn.method && !checkIn.location) {
+      flag = `<span class="check-in-flag is-unknown">${escapeHtml(t('checkIn.noLocationShort'))}</span>`;
+    }
     
-    this.renderForecast(mockForecast);
+    return `
+      <li class="squad-member">
+        <span class="squad-avatar" aria-hidden="true">${escapeHtml(checkIn.memberName.charAt(0).toUpperCase())}</span>
+        <span>${escapeHtml(checkIn.memberName)}</span>
+        <time class="text-muted" datetime="${escapeHtml(checkIn.checkedInAt)}">${escapeHtml(RouteFormat.time(new Date(checkIn.checkedInAt)))}</time>
+        ${flag}
+      </li>
+    `;
   }
   
-  renderForecastAlternative(data) {
-    // Handle alternative API structure if needed
-    const transformed = {
-      forecasts: data.forecasts || []
+  render({ id }) {
+    if (!this.eventStore.loaded) return RouteFormat.loading(t('route.cleanup'));
+    
+    const event = this.eventStore.getById(id);
+    if (!event) return null;
+    
+    const userId = getCurrentUser().id;
+    const count = this.rsvpStore.getAttendeeCount(event);
+    const spotsLeft = this.rsvpStore.getSpotsLeft(event);
+    const status = this.rsvpStore.getStatus(event.id);
+    const squads = this.squadStore.getAttendingSquads(event.id);
+    const attendees = this.getAttendees(event);
+    const others = Math.max(0, count - attendees.length);
+    let attendeeNote = t('event.signedUp', { count });
+    if (attendees.length > 0) {
+      attendeeNote = others > 0 ? t('event.others', { count: others }) : '';
+    }
+    
+    let spots = t('event.goingCount', { count });
+    if (spotsLeft === 0) {
+      spots = t('common.separator', { first: spots, second: t('cards.full') });
+    } else if (spotsLeft !== Infinity) {
+      spots = t('common.separator', { first: spots, second: t('cards.spotsLeft', { count: spotsLeft }) });
+    }
+    
+    const attendeeList = attendees.map(person => `
+      <li class="squad-member">
+        <span class="squad-avatar" aria-hidden="true">${escapeHtml(person.name.charAt(0).toUpperCase())}</span>
+        <span>${escapeHtml(person.name)}${person.id === userId ? ` <span class="text-muted">${escapeHtml(t('squad.you'))}</span>` : ''}</span>
+        ${person.squad ? `<span class="squad-owner">${escapeHtml(person.squad)}</span>` : ''}
+      </li>
+    `).join('');
+    
+    return {
+      title: event.title,
+      back: { href: '#cleanups', label: t('route.allCleanups') },
+      html: `
+        <article class="route-page event-page" data-event-id="${escapeHtml(event.id)}">
+          <h2 class="route-title">${escapeHtml(event.title)}</h2>
+          ${status ? `<p class="route-status">${escapeHtml(t(status === 'going' ? 'event.youreGoing' : 'event.youreWaitlisted'))}</p>` : ''}
+          ${event.description ? `<p class="event-description">${escapeHtml(event.description)}</p>` : ''}
+          <dl class="route-facts">
+            <div><dt>${escapeHtml(t('event.when'))}</dt><dd>${escapeHtml(RouteFormat.date(event.start))}, ${escapeHtml(RouteFormat.time(event.start))} – ${escapeHtml(RouteFormat.time(event.end))}</dd></div>
+            <div><dt>${escapeHtml(t('event.where'))}</dt><dd>${escapeHtml(event.beach)}</dd></div>
+            ${event.meetingPoint ? `<div><dt>${escapeHtml(t('event.meetingPoint'))}</dt><dd>${escapeHtml(event.meetingPoint)}</dd></div>` : ''}
+            <div><dt>${escapeHtml(t('event.volunteers'))}</dt><dd>${escapeHtml(spots)}</dd></div>
+          </dl>
+          ${this.renderMeetingMap(event)}
+          <h3>${escapeHtml(t('event.weather'))}</h3>
+          ${this.renderForecast(event)}
+          <h3>${escapeHtml(t('event.tidesDaylight'))}</h3>
+          ${this.renderTides(event)}
+          ${this.renderChecklist(event)}
+          <h3>${escapeHtml(t('checkIn.title'))}</h3>
+          ${this.renderCheckIn(event)}
+          <h3>${escapeHtml(t('event.whosGoing'))}</h3>
+          ${attendees.length > 0 ? `<ul class="squad-roster">${attendeeList}</ul>` : ''}
+          ${attendeeNote ? `<p class="text-muted">${escapeHtml(attendeeNote)}</p>` : ''}
+          ${squads.length > 0 ? `
+            <h3>${escapeHtml(t('event.squadsGoing'))}</h3>
+            <ul class="route-list">
+              ${squads.map(squad => `<li><a href="#/squad/${encodeURIComponent(squad.id)}">${escapeHtml(squad.name)}</a> · ${escapeHtml(t('squad.size', { count: squad.members.length }))}</li>`).join('')}
+            </ul>
+          ` : ''}
+          <h3>${escapeHtml(t('event.organizer'))}</h3>
+          ${this.renderOrganizer(event.organizer)}
+        </article>
+      `
     };
-    this.renderForecast(transformed);
   }
-  
-  getWeatherIcon(forecast) {
-    const description = forecast.toLowerCase();
+}
+
+/**
+ * Landing page for a scanned check-in link
+ */
+class CheckInView {
+  constructor(router, eventStore, checkInManager) {
+    this.eventStore = eventStore;
+    this.checkInManager = checkInManager;
     
-    if (description.includes('thunder') || description.includes('storm')) return '⛈️';
-    if (description.includes('rain') || description.includes('showers')) return '🌧️';
-    if (description.includes('cloudy')) return '☁️';
-    if (description.includes('partly cloudy') || description.includes('fair')) return '⛅';
-    if (description.includes('hazy') || description.includes('haze')) return '🌫️';
-    if (description.includes('windy')) return '💨';
-    return '☀️'; // Default sunny
+    router.add('/check-in/:token', (params) => this.render(params), [
+      'shoresquad:events-changed',
+      'shoresquad:checkin-redeemed'
+    ]);
   }
   
-  getCleanupAdvice(forecast) {
-    const description = forecast.toLowerCase();
+  getMessage({ status, event, checkIn }) {
+    const title = event ? event.title : '';
     
-    if (description.includes('thunder') || description.includes('heavy rain')) {
-      return { advice: '⚠️ Not suitable for cleanup', color: '#FB5607' };
-    }
-    if (description.includes('rain') || description.includes('showers')) {
-      return { advice: '🌂 Bring rain gear', color: '#FFB703' };
+    switch (status) {
+      case 'checked-in': {
+        const notes = [t('checkIn.success', { title, time: RouteFormat.time(new Date(checkIn.checkedInAt)) })];
+        if (checkIn.suspicious) {
+          notes.push(t('checkIn.farWarning', { distance: Units.distance(checkIn.distanceKm), beach: event.beach }));
+        } else if (!checkIn.location) {
+          notes.push(t('checkIn.noLocation'));
+        }
+        return { heading: t('checkIn.successTitle'), notes };
+      }
+      case 'early': {
+        const opensAt = new Date(event.start.getTime() - AppConfig.checkInLeadMinutes * 60000);
+        return { heading: t('checkIn.earlyTitle'), notes: [t('checkIn.early', { title, time: RouteFormat.time(opensAt), date: RouteFormat.date(opensAt) })] };
+      }
+      case 'expired':
+        return { heading: t('checkIn.expiredTitle'), notes: [t('checkIn.expired', { title })] };
+      case 'unknown':
+        return { heading: t('checkIn.unknownTitle'), notes: [t('checkIn.unknown')] };
+      default:
+        return { heading: t('checkIn.invalidTitle'), notes: [t('checkIn.invalid')] };
     }
-    if (description.includes('cloudy') || description.includes('fair')) {
-      return { advice: '👍 Good conditions', color: '#06D6A0' };
+  }
+  
+  render({ token }) {
+    if (!this.eventStore.loaded) return RouteFormat.loading(t('route.checkIn'));
+    
+    const redemption = this.checkInManager.redeem(token);
+    
+    if (redemption.status === 'pending') {
+      return {
+        title: t('checkIn.title'),
+        html: `
+          <article class="route-page" aria-busy="true">
+            <h2 class="route-title">${escapeHtml(t('checkIn.pendingTitle'))}</h2>
+            <div class="spinner" role="status"></div>
+          </article>
+        `
+      };
     }
-    return { advice: '🌟 Perfect for cleanup!', color: '#06D6A0' };
+    
+    const { event, checkIn } = redemption;
+    const { heading, notes } = this.getMessage(redemption);
+    
+    return {
+      title: t('checkIn.title'),
+      back: { href: '#cleanups', label: t('route.allCleanups') },
+      html: `
+        <article class="route-page check-in-page" data-status="${escapeHtml(redemption.status)}">
+          <h2 class="route-title">${escapeHtml(heading)}</h2>
+          ${notes.map((note, index) => `<p${index > 0 && checkIn && checkIn.suspicious ? ' class="event-warning"' : ''}>${escapeHtml(note)}</p>`).join('')}
+          ${event ? `<p>${RouteFormat.eventLink(event)}</p>` : ''}
+        </article>
+      `
+    };
+  }
+}
+
+/**
+ * Page for a litter report, from which organizers can plan a cleanup
+ */
+class ReportView {
+  constructor(router, reportStore, eventStore) {
+    this.reportStore = reportStore;
+    this.eventStore = eventStore;
+    
+    router.add('/report/:id', (params) => this.render(params), [
+      'shoresquad:reports-changed',
+      'shoresquad:events-changed'
+    ]);
   }
   
-  formatDate(dateStr) {
-    const date = new Date(dateStr);
-    const options = { weekday: 'short', month: 'short', day: 'numeric' };
-    return date.toLocaleDateString('en-SG', options);
+  renderAction(report) {
+    const event = report.eventId ? this.eventStore.getById(report.eventId) : null;
+    
+    if (event) {
+      return `<p class="route-status">${escapeHtml(t('reports.planned'))} ${RouteFormat.eventLink(event)}</p>`;
+    }
+    
+    return `
+      <button type="button" class="btn btn-primary report-organize" data-report-id="${escapeHtml(report.id)}">
+        ${escapeHtml(t('reports.organize'))}
+      </button>
+    `;
   }
   
-  renderForecast(forecast) {
-    if (!this.container) return;
+  render({ id }) {
+    if (!this.reportStore.loaded) return RouteFormat.loading(t('route.report'));
     
-    const forecasts = forecast.forecasts || [];
+    const report = this.reportStore.getById(id);
+    if (!report) return null;
     
-    if (forecasts.length === 0) {
-      this.renderError('No forecast periods available');
-      return;
+    const severity = LitterSeverities.find(level => level.id === report.severity);
+    const category = DebrisCategories.find(item => item.id === report.debris);
+    const place = LitterReportStore.getPlace(report);
+    const { latitude, longitude } = report.coordinates;
+    const reportedAt = new Date(report.reportedAt);
+    
+    return {
+      title: t('reports.title', { place }),
+      back: { href: '#map', label: t('reports.backToMap') },
+      html: `
+        <article class="route-page report-page" data-report-id="${escapeHtml(report.id)}">
+          <h2 class="route-title">${escapeHtml(t('reports.title', { place }))}</h2>
+          ${report.photo ? `<img class="report-photo" src="${escapeHtml(report.photo)}" alt="${escapeHtml(t('reports.photoAlt', { place }))}">` : ''}
+          ${report.notes ? `<p class="event-description">${escapeHtml(report.notes)}</p>` : ''}
+          <dl class="route-facts">
+            <div><dt>${escapeHtml(t('reports.severity'))}</dt><dd>${severity ? `${severity.icon} ` : ''}${escapeHtml(t(`reports.severity-${report.severity}`))}</dd></div>
+            <div><dt>${escapeHtml(t('reports.debris'))}</dt><dd>${category ? `${category.icon} ` : ''}${escapeHtml(t(`debris.${report.debris}`))}</dd></div>
+            <div><dt>${escapeHtml(t('reports.reported'))}</dt><dd>${escapeHtml(RouteFormat.date(reportedAt))}, ${escapeHtml(RouteFormat.time(reportedAt))} · ${escapeHtml(report.reporterName)}</dd></div>
+            <div><dt>${escapeHtml(t('reports.location'))}</dt><dd>${escapeHtml(`${latitude.toFixed(5)}, ${longitude.toFixed(5)}`)}${report.source === 'beach' ? ` <span class="text-muted">${escapeHtml(t('reports.approximate'))}</span>` : ''}</dd></div>
+          </dl>
+          ${this.renderAction(report)}
+        </article>
+      `
+    };
+  }
+}
+
+class SquadView {
+  constructor(router, squadStore, eventStore, checkInStore, impactStore) {
+    this.squadStore = squadStore;
+    this.eventStore = eventStore;
+    this.checkInStore = checkInStore;
+    this.impactStore = impactStore;
+    
+    router.add('/squad/:id', (params) => this.render(params), [
+      'shoresquad:squads-changed',
+      'shoresquad:events-changed',
+      'shoresquad:checkins-changed',
+      'shoresquad:impact-changed'
+    ]);
+  }
+  
+  /**
+   * Squads are shown from the local roster when we have it, otherwise from
+   * the check-in records behind the squad leaderboard
+   */
+  render({ id }) {
+    const squad = this.squadStore.getById(id);
+    const checkIns = this.checkInStore.getAll().filter(checkIn => checkIn.squadId === id);
+    
+    if (!squad && checkIns.length === 0) {
+      return this.squadStore.loaded && this.checkInStore.loaded ? null : RouteFormat.loading(t('route.squad'));
     }
     
-    const cardsHtml = forecasts.map((period, index) => {
-      const icon = this.getWeatherIcon(period.forecast);
-      const advice = this.getCleanupAdvice(period.forecast);
-      const dateLabel = index === 0 ? 'Today' : this.formatDate(period.date);
-      
-      return `
-        <div class="weather-day-card" data-animate="fade-up" data-delay="${index * 100}">
-          <div class="weather-day-header">
-            <h4 class="weather-day-title">${dateLabel}</h4>
-            <div class="weather-day-date">${period.date}</div>
-          </div>
-          <div class="weather-icon-large">${icon}</div>
-          <div class="weather-temps">
-            <span class="temp-high">${period.temperature?.high || 'N/A'}°C</span>
-            <span class="temp-divider">/</span>
-            <span class="temp-low">${period.temperature?.low || 'N/A'}°C</span>
-          </div>
-          <div class="weather-condition">${period.forecast}</div>
-          <div class="weather-details-small">
-            <div class="detail-item">
-              <span class="detail-icon">💧</span>
-              <span class="detail-text">${period.relative_humidity?.high || 'N/A'}%</span>
-            </div>
-            <div class="detail-item">
-              <span class="detail-icon">💨</span>
-              <span class="detail-text">${period.wind?.speed?.high || 'N/A'} km/h</span>
-            </div>
-          </div>
-          <div class="cleanup-advice" style="background: ${advice.color}; color: white; padding: 0.5rem; border-radius: 0.5rem; margin-top: 0.75rem; font-weight: 500; font-size: 0.875rem;">
-            ${advice.advice}
-          </div>
-        </div>
-      `;
-    }).join('');
+    const userId = getCurrentUser().id;
+    const name = squad ? squad.name : checkIns[checkIns.length - 1].squadName;
+    const stats = Leaderboard.summarize(checkIns, this.impactStore.getAll());
     
-    const html = `
-      <div class="weather-source" style="text-align: center; margin-bottom: 1rem; font-size: 0.875rem; opacity: 0.7;">
-        📡 Data from National Environment Agency (NEA)
-      </div>
-      <div class="weather-forecast-cards">
-        ${cardsHtml}
-      </div>
-    `;
+    const members = squad
+      ? squad.members
+      : Array.from(new Map(checkIns.map(checkIn => [checkIn.memberId, { id: checkIn.memberId, name: checkIn.memberName }])).values());
     
-    this.container.innerHTML = html;
+    const roster = members.map(member => `
+      <li class="squad-member">
+        <span class="squad-avatar" aria-hidden="true">${escapeHtml(member.name.charAt(0).toUpperCase())}</span>
+        <span>${member.id === userId ? '<a href="#/me">' : ''}${escapeHtml(member.name)}${member.id === userId ? `</a> <span class="text-muted">${escapeHtml(t('squad.you'))}</span>` : ''}</span>
+        ${squad && member.id === squad.ownerId ? `<span class="squad-owner">👑 ${escapeHtml(t('squad.captain'))}</span>` : ''}
+      </li>
+    `).join('');
     
-    // Re-initialize scroll animations for weather cards
-    new ScrollAnimations();
+    const upcoming = squad
+      ? this.eventStore.getUpcoming()
+        .filter(event => squad.attending.includes(event.id))
+        .sort((a, b) => a.start - b.start)
+      : [];
+    
+    const isMine = Boolean(squad && squad.members.some(member => member.id === userId));
+    
+    return {
+      title: name,
+      back: isMine ? { href: '#squad', label: t('route.mySquad') } : { href: '#leaderboard', label: t('route.leaderboard') },
+      html: `
+        <article class="route-page squad-page">
+          <h2 class="route-title">${escapeHtml(name)}</h2>
+          <p class="text-muted">${escapeHtml(t('squad.size', { count: members.length }))}${isMine ? ` · ${escapeHtml(t('squad.yours'))}` : ''}</p>
+          ${RouteFormat.stats(stats)}
+          <h3>${escapeHtml(t('squad.roster'))}</h3>
+          <ul class="squad-roster">${roster}</ul>
+          ${upcoming.length > 0 ? `
+            <h3>${escapeHtml(t('squad.upcoming'))}</h3>
+            <ul class="route-list">
+              ${upcoming.map(event => `<li>${RouteFormat.eventLink(event)} · ${escapeHtml(I18n.formatDate(event.start, { weekday: 'short', month: 'short', day: 'numeric' }))}</li>`).join('')}
+            </ul>
+          ` : ''}
+        </article>
+      `
+    };
+  }
+}
+
+class ProfileView {
+  constructor(router, eventStore, rsvpStore, squadStore, checkInStore, impactStore) {
+    this.eventStore = eventStore;
+    this.rsvpStore = rsvpStore;
+    this.squadStore = squadStore;
+    this.checkInStore = checkInStore;
+    this.impactStore = impactStore;
+    
+    router.add('/me', () => this.render(), [
+      'shoresquad:events-changed',
+      'shoresquad:rsvps-changed',
+      'shoresquad:squads-changed',
+      'shoresquad:checkins-changed',
+      'shoresquad:impact-changed',
+      'shoresquad:favorites-changed'
+    ]);
   }
   
-  renderError(message) {
-    if (!this.container) return;
+  renderEventList(events, emptyText) {
+    if (events.length === 0) {
+      return `<p class="text-muted">${escapeHtml(emptyText)}</p>`;
+    }
     
-    this.container.innerHTML = `
-      <div class="weather-error" style="text-align: center; padding: 2rem; color: var(--color-warning);">
-        <div style="font-size: 3rem; margin-bottom: 1rem;">⚠️</div>
-        <p style="font-size: 1.125rem; font-weight: 500;">${message}</p>
-        <p style="margin-top: 0.5rem; opacity: 0.8;">Displaying sample forecast data</p>
-        <button onclick="location.reload()" style="margin-top: 1rem; padding: 0.5rem 1rem; background: var(--color-primary); color: white; border: none; border-radius: 2rem; cursor: pointer; font-weight: 500;">
-          Try Again
-        </button>
-      </div>
+    return `
+      <ul class="route-list">
+        ${events.map(event => `<li>${RouteFormat.eventLink(event)} · ${escapeHtml(I18n.formatDate(event.start, { weekday: 'short', month: 'short', day: 'numeric' }))}</li>`).join('')}
+      </ul>
     `;
+  }
+  
+  render() {
+    const user = getCurrentUser();
+    const squad = this.squadStore.getMySquad();
+    const checkIns = this.checkInStore.getForMember();
+    const stats = Leaderboard.summarize(checkIns, this.impactStore.getAll());
+    const unlocked = Storage.get(AppConfig.storageKeys.badges) || {};
+    const badges = Badges.filter(badge => unlocked[badge.id]);
     
-    // Show mock data after a brief delay
-    setTimeout(() => this.renderMockForecast(), 2000);
+    const upcoming = this.eventStore.getUpcoming().sort((a, b) => a.start - b.start);
+    const joinedIds = new Set(this.rsvpStore.getJoinedEventIds());
+    const joined = upcoming.filter(event => joinedIds.has(event.id));
+    const favorites = upcoming.filter(event => AppState.favorites.has(event.id));
+    
+    const history = checkIns
+      .slice()
+      .sort((a, b) => new Date(b.checkedInAt) - new Date(a.checkedInAt))
+      .map(checkIn => {
+        const event = this.eventStore.getById(checkIn.eventId);
+        const title = event ? RouteFormat.eventLink(event) : escapeHtml(checkIn.beach);
+        return `<li>${title} · ${escapeHtml(I18n.formatDate(new Date(checkIn.checkedInAt), { day: 'numeric', month: 'short', year: 'numeric' }))}</li>`;
+      });
+    
+    return {
+      title: t('profile.title'),
+      back: { href: '#leaderboard', label: t('route.leaderboard') },
+      html: `
+        <article class="route-page profile-page">
+          <h2 class="route-title">${escapeHtml(user.name)}</h2>
+          <p class="text-muted">
+            ${squad
+              ? `${escapeHtml(t('profile.memberOf'))} <a href="#/squad/${encodeURIComponent(squad.id)}">${escapeHtml(squad.name)}</a>`
+              : `${escapeHtml(t('profile.noSquad'))} <a href="#squad">${escapeHtml(t('profile.startSquad'))}</a>`}
+          </p>
+          ${RouteFormat.stats(stats)}
+          <h3>${escapeHtml(t('profile.badges'))}</h3>
+          ${badges.length > 0
+            ? `<ul class="route-badges">${badges.map(badge => `<li><span aria-hidden="true">${badge.icon}</span> ${escapeHtml(t(`achievements.${badge.id}`))}</li>`).join('')}</ul>`
+            : `<p class="text-muted">${escapeHtml(t('profile.noBadges'))}</p>`}
+          <h3>${escapeHtml(t('profile.goingTo'))}</h3>
+          ${this.renderEventList(joined, t('profile.noJoined'))}
+          <h3>${escapeHtml(t('profile.favorites'))}</h3>
+          ${this.renderEventList(favorites, t('profile.noFavorites'))}
+          <h3>${escapeHtml(t('profile.history'))}</h3>
+          ${history.length > 0 ? `<ul class="route-list">${history.join('')}</ul>` : `<p class="text-muted">${escapeHtml(t('profile.noHistory'))}</p>`}
+          <h3>${escapeHtml(t('profile.settings'))}</h3>
+          <p class="text-muted">${escapeHtml(t('profile.settingsText'))}</p>
+          <button type="button" class="btn btn-secondary settings-open">⚙️ ${escapeHtml(t('settings.title'))}</button>
+          <h3>${escapeHtml(t('profile.data'))}</h3>
+          <p class="text-muted">${escapeHtml(t('profile.dataText'))}</p>
+          <div class="backup-actions">
+            <button type="button" class="btn btn-secondary backup-export">${escapeHtml(t('backup.export'))}</button>
+            <label class="btn btn-secondary backup-restore">
+              ${escapeHtml(t('backup.restore'))}
+              <input type="file" class="backup-import sr-only" accept="application/json,.json">
+            </label>
+          </div>
+        </article>
+      `
+    };
+  }
+}
+
+/**
+ * Static pages (about, contact, privacy, terms) kept as <template>
+ * elements in index.html
+ */
+class InfoPageView {
+  constructor(router) {
+    router.add('/:page', ({ page }) => this.render(page));
+  }
+  
+  render(page) {
+    const template = document.getElementById(`page-${page}`);
+    if (!template || !template.content) return null;
+    
+    const container = document.createElement('div');
+    container.appendChild(template.content.cloneNode(true));
+    I18n.translate(container);
+    
+    return {
+      title: template.dataset.title || page,
+      html: `<article class="route-page info-page">${container.innerHTML}</article>`
+    };
   }
 }
 
@@ -641,7 +8186,8 @@ class WeatherService {
 // Smooth Scroll for Anchor Links
 // ============================================
 class SmoothScroll {
-  constructor() {
+  constructor(router = null) {
+    this.router = router;
     this.init();
   }
   
@@ -649,13 +8195,17 @@ class SmoothScroll {
     document.querySelectorAll('a[href^="#"]').forEach(anchor => {
       anchor.addEventListener('click', (e) => {
         const href = anchor.getAttribute('href');
-        if (href === '#') return;
+        // Views such as #/event/:id belong to the router
+        if (href === '#' || Router.isRoute(href)) return;
         
         const target = document.querySelector(href);
+        // While a view is open, let the hash change close it before scrolling
+        if (target && this.router && this.router.isActive() && !target.contains(this.router.view)) return;
+        
         if (target) {
           e.preventDefault();
           target.scrollIntoView({
-            behavior: 'smooth',
+            behavior: getScrollBehavior(),
             block: 'start'
           });
         }
@@ -694,7 +8244,11 @@ class ShoreSquadApp {
     this.components = [];
   }
   
-  init() {
+  async init() {
+    // Load saved data, upgrading it if needed, before any component reads it
+    await Storage.open();
+    await I18n.init(getPreferences().language);
+    
     // Wait for DOM to be fully loaded
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => this.initComponents());
@@ -706,16 +8260,67 @@ class ShoreSquadApp {
   initComponents() {
     console.log('🌊 ShoreSquad App Initializing...');
     
+    // Swap the English markup for the chosen language before anything renders
+    I18n.translate();
+    
     // Initialize all components
+    const notifications = new NotificationCenter();
+    this.components.push(notifications);
+    const router = new Router();
+    this.components.push(router);
     this.components.push(new MobileNav());
+    // Applies the motion and contrast settings before anything animates
+    this.components.push(new SettingsPanel());
     this.components.push(new ScrollAnimations());
-    this.components.push(new CounterAnimation());
-    this.components.push(new LocationService());
-    this.components.push(new FavoritesManager());
-    this.components.push(new WeatherService());
-    this.components.push(new SmoothScroll());
+    const counterAnimation = new CounterAnimation();
+    this.components.push(counterAnimation);
+    const eventStore = new CleanupEventStore();
+    this.components.push(eventStore);
+    const squadStore = new SquadStore();
+    this.components.push(squadStore);
+    const rsvpStore = new RsvpStore(eventStore, squadStore);
+    this.components.push(rsvpStore);
+    const impactStore = new ImpactStore();
+    this.components.push(impactStore);
+    const checkInStore = new CheckInStore();
+    this.components.push(checkInStore);
+    const reportStore = new LitterReportStore();
+    this.components.push(reportStore);
+    this.components.push(new TideService());
+    this.components.push(new CleanupToolbar());
+    this.components.push(new CleanupList(eventStore, rsvpStore, impactStore, squadStore, checkInStore));
+    this.components.push(new RsvpManager(rsvpStore));
+    this.components.push(new CreateEventDialog(eventStore, reportStore));
+    this.components.push(new ImpactLogDialog(impactStore, eventStore));
+    this.components.push(new SquadPanel(squadStore, rsvpStore, eventStore));
+    const locationService = new LocationService(eventStore, notifications);
+    this.components.push(locationService);
+    const checkInManager = new CheckInManager(checkInStore, eventStore, squadStore, locationService);
+    this.components.push(checkInManager);
+    this.components.push(new CheckInScanner());
+    this.components.push(new AchievementsPanel(checkInStore, impactStore, counterAnimation, notifications));
+    this.components.push(new ImpactStats(impactStore, counterAnimation));
+    this.components.push(new LitterReportDialog(reportStore, locationService, notifications));
+    this.components.push(new CleanupMap(eventStore, reportStore));
+    this.components.push(new FavoritesManager(notifications));
+    this.components.push(new WeatherService(notifications));
+    this.components.push(new CalendarExport(eventStore, rsvpStore, notifications));
+    this.components.push(new ReminderScheduler(eventStore, rsvpStore, notifications));
+    this.components.push(new OfflineSync());
+    this.components.push(new DataBackup(notifications));
+    this.components.push(new LanguageSwitcher());
+    this.components.push(new EventView(router, eventStore, rsvpStore, squadStore, checkInStore));
+    this.components.push(new CheckInView(router, eventStore, checkInManager));
+    this.components.push(new ReportView(router, reportStore, eventStore));
+    this.components.push(new SquadView(router, squadStore, eventStore, checkInStore, impactStore));
+    this.components.push(new ProfileView(router, eventStore, rsvpStore, squadStore, checkInStore, impactStore));
+    this.components.push(new InfoPageView(router));
+    this.components.push(new SmoothScroll(router));
     this.components.push(new PerformanceMonitor());
     
+    // Open the view in the URL, if any, once every route is registered
+    router.resolve();
+    
     console.log('✅ ShoreSquad App Ready!');
     
     // Add keyboard navigation hints for accessibility
@@ -740,7 +8345,7 @@ class ShoreSquadApp {
 // Start the Application
 // ============================================
 const app = new ShoreSquadApp();
-app.init();
+app.init().catch(error => console.error('Error starting ShoreSquad:', error));
 
 // Export for module usage (if needed)
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,693 @@
+/**
+ * ShoreSquad - Internationalization
+ * Message catalogs and locale-aware formatting for Singapore's four
+ * official languages. English is built in and used for anything a catalog
+ * is missing; the others load from data/locales/<code>.json.
+ */
+
+'use strict';
+
+const I18n = {
+  languages: {
+    en: { name: 'English', locale: 'en-SG' },
+    zh: { name: '中文', locale: 'zh-SG' },
+    ms: { name: 'Bahasa Melayu', locale: 'ms-SG' },
+    ta: { name: 'தமிழ்', locale: 'ta-SG' }
+  },
+  localesUrl: 'data/locales',
+  language: 'en',
+  
+  catalogs: {
+    en: {
+      'app.title': 'ShoreSquad - Beach Cleanup Made Easy',
+      'app.description': 'ShoreSquad - Rally your crew, track weather, and hit the next beach cleanup with our dope map app!',
+      
+      'nav.skip': 'Skip to main content',
+      'nav.cleanups': 'Cleanups',
+      'nav.map': 'Map',
+      'nav.weather': 'Weather',
+      'nav.squad': 'My Squad',
+      'nav.leaderboard': 'Leaderboard',
+      'nav.profile': 'My Profile',
+      'nav.label': 'Main navigation',
+      'nav.toggle': 'Toggle navigation menu',
+      
+      'language.label': 'Language',
+      
+      'settings.title': 'Settings',
+      'settings.units': 'Units',
+      'settings.temperature': 'Temperature',
+      'settings.celsius': 'Celsius (°C)',
+      'settings.fahrenheit': 'Fahrenheit (°F)',
+      'settings.distance': 'Distance',
+      'settings.kilometres': 'Kilometres',
+      'settings.miles': 'Miles',
+      'settings.search': 'Finding cleanups',
+      'settings.radius': 'Nearby search radius',
+      'settings.homeBeach': 'Home beach',
+      'settings.noHomeBeach': 'None',
+      'settings.homeBeachHint': 'Distances are measured from your home beach when your location isn\'t available.',
+      'settings.display': 'Display',
+      'settings.motion': 'Animations',
+      'settings.motionSystem': 'Match my device',
+      'settings.motionReduce': 'Reduce motion',
+      'settings.motionFull': 'Allow animations',
+      'settings.highContrast': 'High-contrast theme for bright sunlight',
+      'settings.notifications': 'Notify me about',
+      'settings.reminders': 'Cleanups I\'ve joined, the evening before',
+      'settings.badgeAlerts': 'New badges',
+      'settings.weatherAlerts': 'Live forecast going offline',
+      'settings.done': 'Done',
+      
+      'notifications.title': 'Notifications',
+      'notifications.clear': 'Clear all',
+      'notifications.dismiss': 'Dismiss notification',
+      'notifications.unread': 'Notifications ({count} unread)',
+      'notifications.empty': 'No notifications yet.',
+      
+      'offline.banner': '📴 You\'re offline. RSVPs and new cleanups will sync when you reconnect.',
+      
+      'hero.title': 'Rally Your Crew,',
+      'hero.titleLine2': 'Clean Our Shores',
+      'hero.subtitle': 'Track weather, find cleanups near you, and make waves with your squad!',
+      'hero.createEvent': 'Create Event',
+      
+      'location.find': 'Find Cleanup Near Me',
+      'location.manualToggle': 'Or search by beach / postcode',
+      'location.manualLabel': 'Beach name or postcode',
+      'location.search': 'Search',
+      'location.manualPlaceholder': 'e.g. Pasir Ris Beach or 519640',
+      'location.unsupported': 'Geolocation is not supported by your browser',
+      'location.finding': '📍 Finding your location...',
+      'location.found': '✓ Location Found!',
+      'location.originYou': 'you',
+      'location.originSaved': 'your last known location',
+      'location.nearby': { one: 'Found {count} cleanup within {radius} of {origin}!', other: 'Found {count} cleanups within {radius} of {origin}!' },
+      'location.noneNearby': 'No cleanups within {radius} of {origin} yet.',
+      'location.notFound': 'We couldn\'t find that beach or postcode. Try a beach name or a 6-digit postcode.',
+      'location.error': 'Unable to get your location',
+      'location.denied': 'Location permission denied. Please enable location access.',
+      'location.unavailable': 'Location information unavailable.',
+      'location.timeout': 'Location request timed out.',
+      'location.searchInstead': 'Search by beach or postcode instead.',
+      
+      'stats.kgCollected': 'Kg Collected',
+      'stats.members': 'Squad Members',
+      'stats.beaches': 'Beaches Cleaned',
+      'stats.cleanups': 'Cleanups Attended',
+      'stats.streak': 'Month Streak',
+      'stats.community': 'Community impact statistics',
+      'stats.mine': 'Your cleanup stats',
+      
+      'weather.title': '4-Day Weather Forecast',
+      'weather.subtitle': 'Plan your beach cleanup with Singapore\'s weather outlook',
+      'weather.loading': 'Loading weather forecast...',
+      'weather.regionalLabel': '24-hour forecast by region',
+      'weather.scoreLabel': 'Weather score {score} out of 100',
+      'weather.regionalLine': '{region} region, {period}: {forecast}',
+      'weather.reason.thunder': 'Thunderstorms forecast – lightning risk on open beaches',
+      'weather.reason.heavyRain': 'Heavy rain forecast',
+      'weather.reason.showers': 'Showers expected',
+      'weather.reason.haze': 'Hazy air – check the PSI before heading out',
+      'weather.reason.veryHot': 'Very hot ({temperature}) – high heat-stress risk',
+      'weather.reason.hot': 'Hot ({temperature}) – bring water and plan shade breaks',
+      'weather.reason.veryHumid': 'Very humid ({humidity}%)',
+      'weather.reason.humid': 'Humid ({humidity}%)',
+      'weather.reason.strongWind': 'Strong winds ({speed}) – litter and bags will blow away',
+      'weather.reason.breezy': 'Breezy ({speed}) – weigh down collection bags',
+      'weather.reason.highTide': 'High tide at {time} ({height}) – the debris line will be underwater',
+      'weather.reason.beforeSunrise': 'Starts before sunrise ({time}) – bring torches',
+      'weather.reason.afterSunset': 'Runs after sunset ({time}) – bring torches and stay off the rocks',
+      'weather.reason.dry': 'Dry, comfortable conditions',
+      'weather.reason.lowTide': 'Low tide at {time} exposes the debris line',
+      'weather.reason.lowTides': 'Low tide at {times} ({station})',
+      'weather.advice.poor': '⚠️ Not suitable for cleanup',
+      'weather.advice.wet': '🌂 Bring rain gear',
+      'weather.advice.great': '🌟 Perfect for cleanup!',
+      'weather.advice.good': '👍 Good conditions',
+      'weather.advice.fair': '🧢 Plan shade and water breaks',
+      'weather.regionalTitle': 'Next 24 Hours by Region',
+      'weather.period': 'Period',
+      'weather.regionalUnavailable': 'Regional 24-hour forecast is unavailable right now.',
+      'weather.back': '☀️ Live NEA forecast is back.',
+      'weather.outage': 'Couldn\'t reach NEA for the live forecast. Showing {fallback}.',
+      'weather.fallbackStale': 'the last saved forecast',
+      'weather.fallbackSample': 'sample data',
+      'weather.checking': 'Checking for a live forecast...',
+      'weather.stillOffline': 'Still offline. Tap "Try Again" to check later.',
+      'weather.retryingIn': 'Still offline. Retrying in {seconds}s...',
+      'weather.statusSample': '⚠️ Sample data – live NEA forecast unavailable',
+      'weather.statusStale': '📡 NEA forecast · last updated {time} (offline)',
+      'weather.statusLive': '📡 Data from National Environment Agency (NEA) · updated {time}',
+      'weather.noPeriods': 'No forecast periods available',
+      'weather.today': 'Today',
+      'weather.lowTide': 'Low tide {times}',
+      'weather.tryAgain': 'Try Again',
+      'weather.showingSample': 'Displaying sample forecast data',
+      
+      'cleanups.title': 'Upcoming Cleanups',
+      'cleanups.viewAll': 'All Cleanups',
+      'cleanups.viewMine': 'My Cleanups',
+      'cleanups.loading': 'Loading cleanups...',
+      'cleanups.viewLabel': 'Choose which cleanups to show',
+      'cleanups.empty': 'No upcoming cleanups yet. Check back soon!',
+      'cleanups.emptyFiltered': 'No cleanups match your filters. Try widening the dates or clearing a filter.',
+      'cleanups.emptyMine': 'You haven\'t joined any cleanups yet. Hit "Join Cleanup" on a card to RSVP.',
+      'cleanups.emptyNearby': 'No cleanups within {radius} yet. Why not create one?',
+      
+      'filters.searchLabel': 'Search cleanups',
+      'filters.from': 'From',
+      'filters.to': 'To',
+      'filters.distance': 'Distance',
+      'filters.anyDistance': 'Any distance',
+      'filters.within': 'Within {distance}',
+      'filters.weather': 'Weather',
+      'filters.anyWeather': 'Any weather',
+      'filters.weatherSafe': 'Hide weather risks',
+      'filters.weatherGood': 'Good forecast only',
+      'filters.sort': 'Sort by',
+      'filters.sortRecommended': 'Recommended',
+      'filters.sortDate': 'Soonest first',
+      'filters.sortDistance': 'Nearest first',
+      'filters.sortWeather': 'Best weather',
+      'filters.sortSpots': 'Most spots left',
+      'filters.favorites': 'Favorites only',
+      'filters.open': 'Has spots left',
+      'filters.clear': 'Clear filters',
+      'filters.label': 'Search and filter cleanups',
+      'filters.searchPlaceholder': 'Search by title or beach',
+      'filters.distanceNeedsLocation': 'Share your location to filter by distance',
+      
+      'calendar.exportAll': '📅 Export My Calendar',
+      'calendar.add': 'Add to calendar',
+      'calendar.meetingPoint': 'Meeting point: {place}',
+      'calendar.gear': 'Gear: {notes}',
+      'calendar.organised': 'Organised with ShoreSquad',
+      'calendar.alarm': 'Beach cleanup tomorrow: {title}',
+      'calendar.name': 'ShoreSquad Cleanups',
+      'calendar.myName': 'My ShoreSquad Cleanups',
+      'calendar.nothingToExport': 'Favorite or join a cleanup first, then export your calendar.',
+      'calendar.exported': { one: '📅 Exported {count} cleanup to your calendar.', other: '📅 Exported {count} cleanups to your calendar.' },
+      
+      'map.title': 'Find Cleanups Near You',
+      'map.loadingNext': '📍 Loading next cleanup...',
+      'map.label': 'Interactive map of beach cleanups',
+      'map.zoomIn': 'Zoom in',
+      'map.zoomOut': 'Zoom out',
+      'map.keyboardHint': 'Use the arrow keys to pan and the plus and minus keys to zoom.',
+      'map.yourLocation': 'Your location',
+      'map.noUpcoming': '📍 No upcoming cleanups scheduled',
+      'map.next': '📍 Next Cleanup: {place}',
+      'map.nextDetails': '{title} · {date}, {time}',
+      'map.hotspots': 'Litter reports',
+      'map.hotspotLabel': 'Litter report: {severity}, {debris}, {place}',
+      
+      'leaderboard.title': 'Leaderboard & Badges',
+      'leaderboard.badges': 'Your Badges',
+      'leaderboard.top': 'Top of the Tide',
+      'leaderboard.members': 'Volunteers',
+      'leaderboard.squads': 'Squads',
+      'leaderboard.badgesLabel': 'Achievement badges',
+      'leaderboard.choose': 'Choose leaderboard',
+      'leaderboard.empty': 'No check-ins yet. Be the first on the board!',
+      'leaderboard.cleanups': { one: 'cleanup', other: 'cleanups' },
+      'leaderboard.streak': '🔥 {count} mo',
+      
+      'cta.title': 'Ready to Make Waves?',
+      'cta.text': 'Join thousands of squad members cleaning our shores and protecting ocean life!',
+      'cta.button': 'Get Started Today',
+      
+      'createEvent.title': 'Create a Cleanup',
+      'createEvent.titleLabel': 'Title',
+      'createEvent.beach': 'Beach',
+      'createEvent.date': 'Date',
+      'createEvent.start': 'Start',
+      'createEvent.end': 'End',
+      'createEvent.capacity': 'Capacity',
+      'createEvent.meetingPoint': 'Meeting point',
+      'createEvent.description': 'Description',
+      'createEvent.gear': 'Gear notes',
+      'createEvent.contact': 'Your contact',
+      'createEvent.submit': 'Create Cleanup',
+      'createEvent.meetingPointPlaceholder': 'e.g. Carpark C, next to the BBQ pits',
+      'createEvent.descriptionPlaceholder': 'What\'s the plan? Who is it for?',
+      'createEvent.gearPlaceholder': 'Gloves and bags provided. Bring water and sunscreen.',
+      'createEvent.contactPlaceholder': 'Email or phone for volunteers with questions',
+      'createEvent.errorTitleShort': 'Give your cleanup a title of at least 3 characters.',
+      'createEvent.errorTitleLong': 'Keep the title under 80 characters.',
+      'createEvent.errorBeach': 'Choose the beach where the cleanup happens.',
+      'createEvent.errorDate': 'Pick a date for the cleanup.',
+      'createEvent.errorStartPast': 'The start time must be in the future.',
+      'createEvent.errorEnd': 'Pick an end time.',
+      'createEvent.errorEndBeforeStart': 'The end time must be after the start time.',
+      'createEvent.errorCapacity': 'Capacity must be a whole number between 1 and 500.',
+      'createEvent.errorMeetingPoint': 'Tell volunteers where to meet.',
+      'createEvent.errorContact': 'Enter an email address or phone number.',
+      'createEvent.errorSave': 'We couldn\'t save your cleanup. Please try again.',
+      
+      'form.optional': '(optional)',
+      
+      'dialog.cancel': 'Cancel',
+      'dialog.close': 'Close dialog',
+      
+      'impact.title': 'Log Your Impact',
+      'impact.bags': 'Bags collected',
+      'impact.weight': 'Total weight (kg)',
+      'impact.items': 'Items by type',
+      'impact.submit': 'Save Log',
+      'impact.log': 'Log Impact',
+      'impact.cardTotals': { one: '{count} bag · {weight} collected', other: '{count} bags · {weight} collected' },
+      'impact.edit': 'Edit Impact Log',
+      'impact.errorBags': 'Enter the number of bags, between 0 and 500.',
+      'impact.errorWeight': 'Enter the total weight in kg, between 0 and 2000.',
+      'impact.errorCount': 'Use a whole number.',
+      'impact.errorEmpty': 'Log at least one bag or some weight collected.',
+      'impact.errorSave': 'We couldn\'t save your log on this device. Please try again.',
+      
+      'reports.open': '⚠️ Report litter',
+      'reports.mapHint': 'Spotted a litter hotspot? Report it with a photo so a squad can plan a cleanup.',
+      'reports.dialogTitle': 'Report Litter',
+      'reports.photo': 'Photo',
+      'reports.beach': 'Nearest beach',
+      'reports.severity': 'Severity',
+      'reports.debris': 'Main debris',
+      'reports.choose': 'Choose…',
+      'reports.notes': 'Notes',
+      'reports.notesPlaceholder': 'e.g. Washed up along the rocks past the jetty',
+      'reports.submit': 'Save Report',
+      'reports.severity-low': 'A few pieces',
+      'reports.severity-medium': 'Needs a squad',
+      'reports.severity-high': 'Major build-up',
+      'reports.locating': '📍 Finding your location…',
+      'reports.located': '📍 Tagged with your current location',
+      'reports.locatedNear': '📍 Tagged with your current location near {beach}',
+      'reports.noLocation': 'Couldn\'t get your location. Choose the nearest beach instead.',
+      'reports.errorNoPhoto': 'Take or choose a photo of the litter.',
+      'reports.errorPhoto': 'That photo couldn\'t be read. Try another one.',
+      'reports.errorBeach': 'Choose a beach from the list.',
+      'reports.errorSeverity': 'Choose how much litter there is.',
+      'reports.errorDebris': 'Choose the main type of debris.',
+      'reports.saved': '⚠️ Litter reported. Thanks for keeping an eye on the shore!',
+      'reports.coordinates': '{latitude}, {longitude}',
+      'reports.title': 'Litter at {place}',
+      'reports.photoAlt': 'Reported litter at {place}',
+      'reports.reported': 'Reported',
+      'reports.location': 'Location',
+      'reports.approximate': '(approximate)',
+      'reports.organize': '🌊 Organize a cleanup here',
+      'reports.planned': '✓ A cleanup is planned:',
+      'reports.backToMap': 'Back to the map',
+      'reports.eventTitle': 'Cleanup at {place}',
+      'reports.eventDescription': 'Organized from a litter report: {severity}, mostly {debris}.',
+      
+      'footer.tagline': 'Making eco-action fun and connected',
+      'footer.links': 'Quick Links',
+      'footer.follow': 'Follow Us',
+      'footer.copyright': '© 2025 ShoreSquad. All rights reserved. Made with 💚 for the ocean.',
+      
+      'pages.about': 'About Us',
+      'pages.contact': 'Contact',
+      'pages.privacy': 'Privacy Policy',
+      'pages.terms': 'Terms of Service',
+      'pages.aboutHeading': 'About ShoreSquad',
+      'pages.about1': 'ShoreSquad helps young people in Singapore rally their friends for beach cleanups. Find a cleanup near you, check the weather, bring your squad and see the difference you make together.',
+      'pages.about2': 'Every cleanup is run by volunteers. Anyone can create one, and every bag collected is logged so the whole community can see its impact.',
+      'pages.contactHeading': 'Contact',
+      'pages.contact1': 'Questions about a specific cleanup are best asked at its meeting point, or through the squad that\'s organising it.',
+      'pages.contact2': 'For feedback on the app itself, reach us through any of our social channels in the footer.',
+      'pages.privacyHeading': 'Privacy Policy',
+      'pages.privacy1': 'ShoreSquad keeps your favorites, RSVPs, squads, check-ins and impact logs in your browser\'s storage on this device.',
+      'pages.privacy2': 'Your location is only used to find cleanups near you, to confirm you\'re at the beach when you check in, and to tag litter reports with where they were made. The last known position is saved on this device so nearby results still work when location access is unavailable.',
+      'pages.privacy3': 'Weather forecasts come from data.gov.sg and map tiles from OpenStreetMap. Those requests do not include any personal details.',
+      'pages.termsHeading': 'Terms of Service',
+      'pages.terms1': 'Cleanups are organised by volunteers. Follow the organiser\'s safety briefing, wear gloves, and never handle sharp or hazardous waste yourself.',
+      'pages.terms2': 'Check the weather before heading out, and don\'t take part in a cleanup during a thunderstorm warning.',
+      'pages.terms3': 'Be kind to fellow volunteers and leave the beach better than you found it.',
+      
+      'time.justNow': 'just now',
+      'time.minutesAgo': '{count} min ago',
+      'time.hoursAgo': '{count}h ago',
+      'time.daysAgo': { one: '{count} day ago', other: '{count} days ago' },
+      
+      'badge.ended': 'Ended',
+      'badge.now': 'Happening Now',
+      'badge.today': 'Today',
+      'badge.tomorrow': 'Tomorrow',
+      'badge.weekend': 'This Weekend',
+      'badge.thisWeek': 'This Week',
+      'badge.nextWeek': 'Next Week',
+      
+      'cards.distance': '{distance} away',
+      'cards.showOnMap': 'Show on map',
+      'cards.members': { one: '{count} Squad Member', other: '{count} Squad Members' },
+      'cards.full': 'Full',
+      'cards.fullWaitlist': 'Full, {count} on waitlist',
+      'cards.spotsLeft': { one: '{count} spot left', other: '{count} spots left' },
+      'cards.untitled': 'Cleanup',
+      
+      'favorites.add': 'Add to favorites',
+      'favorites.removed': 'Removed "{title}" from favorites.',
+      'favorites.remove': 'Remove from favorites',
+      
+      'rsvp.join': 'Join Cleanup',
+      'rsvp.leave': 'Leave Cleanup',
+      'rsvp.going': '✓ You\'re going!',
+      'rsvp.leaveWaitlist': 'Leave Waitlist',
+      'rsvp.waitlistPosition': 'You\'re #{position} on the waitlist',
+      'rsvp.joinWaitlist': 'Join Waitlist',
+      
+      'checkIn.button': '📍 Check In',
+      'checkIn.done': '✓ Checked In',
+      'checkIn.locating': 'Checking in…',
+      'checkIn.title': 'Check-in',
+      'checkIn.codeHint': 'Show this code at the meeting point. Volunteers scan it to check in.',
+      'checkIn.codeLabel': 'Check-in code for {title}',
+      'checkIn.codeError': 'Couldn\'t make a check-in code on this device.',
+      'checkIn.scan': '📷 Scan check-in code',
+      'checkIn.scanHint': 'At the cleanup? Scan the organizer\'s code to check in.',
+      'checkIn.opens': 'Check-in opens at {time} on the day.',
+      'checkIn.closed': 'Check-in has closed.',
+      'checkIn.youCheckedIn': '✓ You checked in at {time}',
+      'checkIn.whoCheckedIn': 'Checked in ({count})',
+      'checkIn.none': 'No one has checked in yet.',
+      'checkIn.far': '{distance} from the beach',
+      'checkIn.noLocationShort': 'No location',
+      'checkIn.selfReportedShort': 'Self-reported',
+      'checkIn.selfReported': 'Checked in with the button rather than the organizer\'s code, so this check-in is self-reported.',
+      'checkIn.pendingTitle': 'Checking you in…',
+      'checkIn.successTitle': '✅ You\'re checked in',
+      'checkIn.success': 'Checked in to {title} at {time}. Thanks for turning up!',
+      'checkIn.farWarning': 'Your location was {distance} from {beach}, so this check-in is flagged for the organizer.',
+      'checkIn.noLocation': 'We couldn\'t get your location, so the check-in was saved without it.',
+      'checkIn.invalidTitle': 'This check-in code isn\'t valid',
+      'checkIn.invalid': 'It may be for a different cleanup or not from ShoreSquad. Ask the organizer to show their code again.',
+      'checkIn.unknownTitle': 'Cleanup not found',
+      'checkIn.unknown': 'This code is for a cleanup that hasn\'t reached this device yet. Go online and scan it again.',
+      'checkIn.earlyTitle': 'Check-in isn\'t open yet',
+      'checkIn.early': 'Check-in for {title} opens at {time} on {date}.',
+      'checkIn.expiredTitle': 'This check-in code has expired',
+      'checkIn.expired': '{title} has finished, so check-in is closed.',
+      
+      'scanner.title': 'Scan Check-in Code',
+      'scanner.starting': 'Starting the camera…',
+      'scanner.pointAt': 'Point your camera at the organizer\'s check-in code.',
+      'scanner.notCheckIn': 'That QR code isn\'t a ShoreSquad check-in code.',
+      'scanner.denied': 'Camera access is blocked. Allow it in your browser settings, or scan the code with your camera app.',
+      'scanner.unavailable': 'Couldn\'t start the camera. Try scanning the code with your camera app.',
+      'scanner.unsupported': 'This browser can\'t scan codes. Try your camera app instead.',
+      
+      'squad.going': '✓ {name} is going',
+      'squad.bring': 'Bring My Squad (+{count})',
+      'squad.yourName': 'Your name',
+      'squad.invited': 'You\'ve been invited to join {name}. Add your name to hop in.',
+      'squad.start': 'Start a Squad',
+      'squad.name': 'Squad name',
+      'squad.namePlaceholder': 'e.g. Tampines Tide Turners',
+      'squad.create': 'Create Squad',
+      'squad.join': 'Join a Squad',
+      'squad.code': 'Invite code',
+      'squad.joinButton': 'Join Squad',
+      'squad.you': '(you)',
+      'squad.captain': 'Captain',
+      'squad.noCleanups': 'Not signed up yet. Hit "Bring My Squad" on a cleanup card.',
+      'squad.size': { one: '{count} member', other: '{count} members' },
+      'squad.share': 'Share Invite Link',
+      'squad.roster': 'Roster',
+      'squad.leave': 'Leave Squad',
+      'squad.errorMemberName': 'Tell your squad what to call you.',
+      'squad.errorName': 'Give your squad a name of at least 3 characters.',
+      'squad.errorCreate': 'We couldn\'t create your squad. Please try again.',
+      'squad.errorCode': 'Invite codes are 6 letters and numbers.',
+      'squad.errorNotFound': 'We couldn\'t find that squad. Check the code or ask for a fresh invite link.',
+      'squad.confirmLeave': 'Leave {name}?',
+      'squad.errorLeave': 'We couldn\'t take you out of the squad. Please try again.',
+      'squad.shareText': 'Join my ShoreSquad crew "{name}" with code {code}',
+      'squad.shareTitle': 'Join my squad',
+      'squad.copied': '✓ Invite link copied to clipboard',
+      'squad.shareLink': 'Share this link: {link}',
+      'squad.yours': 'Your squad',
+      'squad.upcoming': 'Upcoming cleanups',
+      'squad.notEnoughSpots': 'Not enough spots left for your whole squad.',
+      
+      'region.north': 'North',
+      'region.south': 'South',
+      'region.east': 'East',
+      'region.west': 'West',
+      'region.central': 'Central',
+      
+      'tides.highAt': 'High tide at {time}',
+      'tides.beforeSunrise': 'Starts before sunrise ({time})',
+      'tides.afterSunset': 'Ends after sunset ({time})',
+      'tides.cardWindow': 'Low tide {time}, best {start}–{end}',
+      
+      'summary.nearby': { one: '{count} cleanup within {radius}.', other: '{count} cleanups within {radius}.' },
+      'summary.nearbyNearest': { one: '{count} cleanup within {radius}, nearest first.', other: '{count} cleanups within {radius}, nearest first.' },
+      'summary.nearbyFiltered': { one: '{count} cleanup within {radius} matching your filters.', other: '{count} cleanups within {radius} matching your filters.' },
+      'summary.nearbyFilteredNearest': { one: '{count} cleanup within {radius} matching your filters, nearest first.', other: '{count} cleanups within {radius} matching your filters, nearest first.' },
+      'summary.filtered': { one: '{count} cleanup matches your filters.', other: '{count} cleanups match your filters.' },
+      'summary.distanceHint': 'Share your location to filter by distance.',
+      'summary.showAll': 'Show all cleanups',
+      
+      'debris.plastic-bottles': 'Plastic bottles',
+      'debris.plastic-bags': 'Plastic bags & wrappers',
+      'debris.cigarette-butts': 'Cigarette butts',
+      'debris.fishing-line': 'Fishing line & nets',
+      'debris.styrofoam': 'Styrofoam',
+      'debris.glass': 'Glass',
+      'debris.cans': 'Cans & metal',
+      'debris.other': 'Other',
+      
+      'achievements.first-cleanup': 'First Cleanup',
+      'achievements.first-cleanup.description': 'Check in at your first cleanup',
+      'achievements.five-beaches': '5 Beaches',
+      'achievements.five-beaches.description': 'Clean up at 5 different beaches',
+      'achievements.storm-chaser': 'Storm Chaser',
+      'achievements.storm-chaser.description': 'Show up when the forecast said rain',
+      'achievements.heavy-lifter': 'Heavy Lifter',
+      'achievements.heavy-lifter.description': 'Collect 25 kg of litter',
+      'achievements.squad-goals': 'Squad Goals',
+      'achievements.squad-goals.description': 'Check in with your squad',
+      'achievements.on-a-roll': 'On a Roll',
+      'achievements.on-a-roll.description': 'Clean up 3 months in a row',
+      'achievements.unlocked': '🏅 Badge unlocked: {names}!',
+      'achievements.unlockedOn': 'Unlocked {date}',
+      'achievements.locked': '🔒 Locked',
+      
+      'reminders.on': '🔔 Reminders on. We\'ll nudge you the evening before each cleanup you join.',
+      'reminders.onInAppOnly': '🔔 Reminders on. Allow notifications in your browser to get them outside the app too.',
+      'reminders.toggleOn': '🔔 Reminders On',
+      'reminders.toggleOff': '🔕 Remind Me',
+      'reminders.noForecast': 'Forecast not out yet, so check the weather before you head out.',
+      'reminders.titleToday': 'Today: {title}',
+      'reminders.titleTomorrow': 'Tomorrow: {title}',
+      'reminders.when': '{time} at {beach}.',
+      
+      'common.undo': 'Undo',
+      'common.retry': 'Retry',
+      'common.and': '{first} and {second}',
+      'common.notAvailable': 'N/A',
+      'common.separator': '{first} · {second}',
+      
+      'forecast.morning': 'Morning',
+      'forecast.afternoon': 'Afternoon',
+      'forecast.night': 'Night',
+      
+      'backup.invalid': 'That file isn\'t a ShoreSquad backup',
+      'backup.newer': 'That backup is from a newer version of ShoreSquad. Update the app and try again.',
+      'backup.restoreFailed': 'There isn\'t enough space on this device to restore that backup, so your data was left as it was.',
+      'backup.spaceCleared': 'This device is running low on space, so ShoreSquad cleared cached data to save your changes.',
+      'backup.spaceFull': 'This device is out of space and your latest changes weren\'t saved. Download a backup from My Profile, then free up some space.',
+      'backup.downloaded': '💾 Backup downloaded. Restore it from My Profile on your new device.',
+      'backup.unreadable': 'That file couldn\'t be read. Choose a ShoreSquad backup (.json).',
+      'backup.confirmRestore': 'Restoring replaces your RSVPs, squads, check-ins and settings on this device. Continue?',
+      'backup.export': '💾 Download backup',
+      'backup.restore': 'Restore from backup',
+      
+      'route.back': 'Back to ShoreSquad',
+      'route.title': '{title} · ShoreSquad',
+      'route.notFound': 'Page not found',
+      'route.notFoundText': 'That link doesn\'t match anything on ShoreSquad. It may be for a cleanup that has been removed.',
+      'route.cleanups': { one: 'cleanup', other: 'cleanups' },
+      'route.beaches': { one: 'beach', other: 'beaches' },
+      'route.collected': 'collected',
+      'route.streak': 'month streak',
+      'route.loadingTitle': 'Loading',
+      'route.loading': 'Loading {label}…',
+      'route.cleanup': 'cleanup',
+      'route.squad': 'squad',
+      'route.checkIn': 'check-in',
+      'route.report': 'litter report',
+      'route.allCleanups': 'All cleanups',
+      'route.mySquad': 'My squad',
+      'route.leaderboard': 'Leaderboard',
+      
+      'gear.gloves': 'Gloves',
+      'gear.bags': 'Reusable bags',
+      'gear.sunscreen': 'Sunscreen',
+      'gear.water': 'Water bottle',
+      'gear.hat': 'Hat or cap',
+      'gear.allPacked': '🎒 All packed!',
+      'gear.progress': '{packed} of {total} packed',
+      'gear.title': 'What to bring',
+      
+      'event.volunteer': 'Volunteer',
+      'event.meetingMap': 'Map of the meeting point: {place}',
+      'event.openMap': 'Open in the big map',
+      'event.forecastPending': 'The forecast for this day isn\'t out yet. Check back closer to the date.',
+      'event.highTideWarning': 'High tide at {time} falls during the cleanup, so the debris line will be underwater.',
+      'event.beforeSunriseWarning': 'The cleanup starts before sunrise. Bring torches.',
+      'event.afterSunsetWarning': 'The cleanup runs after sunset. Bring torches and stay off the rocks.',
+      'event.lowTide': '⬇️ Low',
+      'event.highTide': '⬆️ High',
+      'event.daylight': '🌅 Sunrise {sunrise} · 🌇 Sunset {sunset}',
+      'event.bestTime': '🌊 Best time: {start}–{end}, around low tide',
+      'event.tidesAt': 'Tides at {station}',
+      'event.tidesDisclaimer': 'Predicted for {station}. For planning only, not navigation.',
+      'event.tidesLoading': 'Tide tables are loading.',
+      'event.noOrganizer': 'No organizer details for this cleanup.',
+      'event.signedUp': { one: '{count} volunteer has signed up so far.', other: '{count} volunteers have signed up so far.' },
+      'event.others': { one: 'Plus {count} other volunteer.', other: 'Plus {count} other volunteers.' },
+      'event.goingCount': '{count} going',
+      'event.youreGoing': '✅ You\'re going',
+      'event.youreWaitlisted': '⏳ You\'re on the waitlist',
+      'event.when': 'When',
+      'event.where': 'Where',
+      'event.meetingPoint': 'Meeting point',
+      'event.volunteers': 'Volunteers',
+      'event.weather': 'Weather',
+      'event.tidesDaylight': 'Tide & daylight',
+      'event.whosGoing': 'Who\'s going',
+      'event.squadsGoing': 'Squads going',
+      'event.organizer': 'Organizer',
+      
+      'profile.title': 'My Profile',
+      'profile.memberOf': 'Member of',
+      'profile.noSquad': 'Not in a squad yet.',
+      'profile.startSquad': 'Start or join one',
+      'profile.badges': 'Badges',
+      'profile.noBadges': 'No badges yet. Check in at a cleanup to earn your first.',
+      'profile.goingTo': 'Going to',
+      'profile.noJoined': 'You haven\'t joined any upcoming cleanups.',
+      'profile.favorites': 'Favorites',
+      'profile.noFavorites': 'Tap ♡ on a cleanup to save it here.',
+      'profile.history': 'Cleanup history',
+      'profile.noHistory': 'Your check-ins will show up here.',
+      'profile.settings': 'Settings',
+      'profile.settingsText': 'Units, search radius, home beach, display and notifications.',
+      'profile.data': 'Your data',
+      'profile.dataText': 'Everything you save in ShoreSquad stays on this device. Download a backup to keep a copy or move to a new phone.'
+    }
+  },
+  
+  get locale() {
+    return this.languages[this.language].locale;
+  },
+  
+  /**
+   * Use the saved language, else the first supported browser language
+   * @param {string} saved - Language code from the user's preferences
+   * @returns {Promise<void>}
+   */
+  async init(saved) {
+    const candidates = [saved, ...(navigator.languages || [navigator.language])]
+      .filter(Boolean)
+      .map(code => code.toLowerCase().split('-')[0]);
+    
+    await this.use(candidates.find(code => code in this.languages) || 'en');
+  },
+  
+  /**
+   * Switch language, loading its catalog first if needed. Falls back to
+   * English if the catalog can't be fetched.
+   * @param {string} language - Key of I18n.languages
+   * @returns {Promise<string>} Language now in use
+   */
+  async use(language) {
+    if (!(language in this.languages)) language = 'en';
+    
+    if (!this.catalogs[language]) {
+      try {
+        const response = await fetch(`${this.localesUrl}/${language}.json`);
+        
+        if (!response.ok) {
+          throw new Error(`Locale error: ${response.status}`);
+        }
+        
+        this.catalogs[language] = await response.json();
+      } catch (error) {
+        console.error(`Error loading ${language} messages:`, error);
+        language = 'en';
+      }
+    }
+    
+    this.language = language;
+    document.documentElement.lang = this.locale;
+    return language;
+  },
+  
+  /**
+   * Look up a message and fill in its {placeholders}. Plural messages are
+   * objects keyed by Intl.PluralRules category and pick one by `count`.
+   * @param {string} key - Message key, e.g. 'location.find'
+   * @param {Object} params - Placeholder values; numbers are formatted for the locale
+   * @returns {string}
+   */
+  t(key, params = {}) {
+    let message = this.catalogs[this.language]?.[key] ?? this.catalogs.en[key];
+    
+    if (message === undefined) {
+      console.warn(`Missing message: ${key}`);
+      return key;
+    }
+    
+    if (typeof message === 'object') {
+      const category = new Intl.PluralRules(this.locale).select(params.count ?? 0);
+      message = message[category] ?? message.other;
+    }
+    
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) return placeholder;
+      return typeof params[name] === 'number' ? this.formatNumber(params[name]) : String(params[name]);
+    });
+  },
+  
+  formatNumber(value, options) {
+    return Number(value).toLocaleString(this.locale, options);
+  },
+  
+  formatDate(date, options) {
+    return date.toLocaleDateString(this.locale, options);
+  },
+  
+  formatTime(date, options = { hour: 'numeric', minute: '2-digit' }) {
+    return date.toLocaleTimeString(this.locale, options);
+  },
+  
+  /**
+   * Translate static markup: `data-i18n` sets an element's text and
+   * `data-i18n-attr="attribute:key;…"` sets attributes
+   * @param {ParentNode} root - Document or fragment to translate
+   */
+  translate(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+    
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      element.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':');
+        element.setAttribute(attribute, this.t(key));
+      });
+    });
+  }
+};
+
+/**
+ * Shorthand for I18n.t()
+ * @param {string} key - Message key
+ * @param {Object} params - Placeholder values
+ * @returns {string}
+ */
+function t(key, params) {
+  return I18n.t(key, params);
+}
@@ -0,0 +1,138 @@
+/**
+ * ShoreSquad - Offline Outbox
+ * IndexedDB queue of changes made while offline, shared by the page
+ * (js/app.js) and the service worker (sw.js) for background sync
+ */
+
+'use strict';
+
+const Outbox = {
+  dbName: 'shoresquad-sync',
+  storeName: 'outbox',
+  syncTag: 'shoresquad-outbox',
+  // Limits that keep the queue from growing forever while the server is unreachable
+  maxEntries: 200,
+  maxAttempts: 5,
+  maxAge: 7 * 24 * 60 * 60 * 1000,
+  
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  async transaction(mode, operation) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      tx.onerror = () => {
+        db.close();
+        reject(tx.error);
+      };
+    });
+  },
+  
+  /**
+   * Queue a request to send once the device is back online. Past maxEntries
+   * the oldest entries are dropped.
+   * @param {{type: string, url: string, body: Object}} entry - What to send and where
+   * @returns {Promise<number>} ID of the queued entry
+   */
+  async enqueue(entry) {
+    const id = await this.transaction('readwrite', store => store.add({ ...entry, queuedAt: Date.now(), attempts: 0 }));
+    const entries = await this.getAll();
+    const overflow = entries.slice(0, Math.max(0, entries.length - this.maxEntries));
+    
+    for (const old of overflow) {
+      console.warn(`Outbox entry ${old.id} (${old.type}) dropped: queue full`);
+      await this.remove(old.id);
+    }
+    return id;
+  },
+  
+  getAll() {
+    return this.transaction('readonly', store => store.getAll());
+  },
+  
+  put(entry) {
+    return this.transaction('readwrite', store => store.put(entry));
+  },
+  
+  remove(id) {
+    return this.transaction('readwrite', store => store.delete(id));
+  },
+  
+  // Answers that mean the server can't take the change yet rather than that
+  // the change is bad: no sync endpoint deployed, a timeout, rate limiting
+  retryStatuses: [404, 405, 408, 429],
+  
+  /**
+   * Send queued entries in order. Entries are removed once the server has
+   * answered: accepted ones count as sent, and other 4xx answers are logged
+   * and dropped as rejected, since retrying won't help. Network errors, 5xx
+   * and the retryStatuses stop the flush and keep the rest queued, until an
+   * entry has had maxAttempts answers like that or is older than maxAge and
+   * is dropped as expired.
+   * @param {number} now - Reference time in milliseconds
+   * @returns {Promise<{sent: number, rejected: number, expired: number, remaining: number}>}
+   */
+  async flush(now = Date.now()) {
+    const entries = await this.getAll();
+    let sent = 0;
+    let rejected = 0;
+    let expired = 0;
+    
+    for (const entry of entries) {
+      if (now - entry.queuedAt > this.maxAge) {
+        console.warn(`Outbox entry ${entry.id} (${entry.type}) dropped: queued too long ago`);
+        expired++;
+        await this.remove(entry.id);
+        continue;
+      }
+      
+      let response;
+      try {
+        response = await fetch(entry.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ type: entry.type, queuedAt: entry.queuedAt, ...entry.body })
+        });
+      } catch (error) {
+        break;
+      }
+      
+      if (response.status >= 500 || this.retryStatuses.includes(response.status)) {
+        const attempts = (entry.attempts || 0) + 1;
+        if (attempts < this.maxAttempts) {
+          await this.put({ ...entry, attempts });
+          break;
+        }
+        
+        console.warn(`Outbox entry ${entry.id} (${entry.type}) dropped after ${attempts} attempts (${response.status})`);
+        expired++;
+      } else if (response.ok) {
+        sent++;
+      } else {
+        console.warn(`Outbox entry ${entry.id} (${entry.type}) rejected with ${response.status}`);
+        rejected++;
+      }
+      
+      await this.remove(entry.id);
+    }
+    
+    return { sent, rejected, expired, remaining: entries.length - sent - rejected - expired };
+  }
+};
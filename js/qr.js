@@ -0,0 +1,921 @@
+/**
+ * ShoreSquad - QR Codes
+ * Makes and reads the QR codes used for cleanup check-in, entirely on the
+ * device. Covers what check-in needs: byte-mode text at error correction
+ * level M, versions 1–10 (up to 213 bytes).
+ */
+
+'use strict';
+
+const QrCode = {
+  // Error correction level M: codewords per block and block sizes per version
+  blocks: [
+    null,
+    { ecPerBlock: 10, groups: [[1, 16]] },
+    { ecPerBlock: 16, groups: [[1, 28]] },
+    { ecPerBlock: 26, groups: [[1, 44]] },
+    { ecPerBlock: 18, groups: [[2, 32]] },
+    { ecPerBlock: 24, groups: [[2, 43]] },
+    { ecPerBlock: 16, groups: [[4, 27]] },
+    { ecPerBlock: 18, groups: [[4, 31]] },
+    { ecPerBlock: 22, groups: [[2, 38], [2, 39]] },
+    { ecPerBlock: 22, groups: [[3, 36], [2, 37]] },
+    { ecPerBlock: 26, groups: [[4, 43], [1, 44]] }
+  ],
+  
+  alignmentPositions: [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+  ],
+  
+  // Format bits for level M are 00
+  levelBits: 0,
+  
+  masks: [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+  ],
+  
+  // ============================================
+  // Galois field and Reed-Solomon
+  // ============================================
+  
+  get gf() {
+    if (!this.gfTables) {
+      const exp = new Uint8Array(512);
+      const log = new Uint8Array(256);
+      let value = 1;
+      
+      for (let i = 0; i < 255; i++) {
+        exp[i] = value;
+        log[value] = i;
+        value <<= 1;
+        if (value & 0x100) value ^= 0x11D;
+      }
+      for (let i = 255; i < 512; i++) exp[i] = exp[i - 255];
+      
+      this.gfTables = { exp, log };
+    }
+    return this.gfTables;
+  },
+  
+  multiply(a, b) {
+    if (a === 0 || b === 0) return 0;
+    const { exp, log } = this.gf;
+    return exp[log[a] + log[b]];
+  },
+  
+  divide(a, b) {
+    if (a === 0) return 0;
+    const { exp, log } = this.gf;
+    return exp[(log[a] + 255 - log[b]) % 255];
+  },
+  
+  /**
+   * Error correction codewords for one block
+   * @param {number[]} data - Data codewords
+   * @param {number} count - Number of EC codewords
+   * @returns {number[]}
+   */
+  errorCorrection(data, count) {
+    // Generator polynomial (x - α^0)(x - α^1)…, highest degree first
+    let generator = [1];
+    for (let i = 0; i < count; i++) {
+      const next = new Array(generator.length + 1).fill(0);
+      generator.forEach((coefficient, j) => {
+        next[j] ^= coefficient;
+        next[j + 1] ^= this.multiply(coefficient, this.gf.exp[i]);
+      });
+      generator = next;
+    }
+    
+    const remainder = new Array(count).fill(0);
+    data.forEach(byte => {
+      const factor = byte ^ remainder.shift();
+      remainder.push(0);
+      for (let j = 0; j < count; j++) {
+        remainder[j] ^= this.multiply(generator[j + 1], factor);
+      }
+    });
+    return remainder;
+  },
+  
+  /**
+   * Fix up to count/2 wrong codewords in a block, in place
+   * @param {number[]} block - Data then EC codewords
+   * @param {number} count - Number of EC codewords
+   * @returns {boolean} Whether the block is now valid
+   */
+  correctErrors(block, count) {
+    const { exp, log } = this.gf;
+    const n = block.length;
+    const power = (base, e) => (base === 0 ? 0 : exp[(log[base] * e) % 255]);
+    
+    const syndromes = [];
+    for (let j = 0; j < count; j++) {
+      let value = 0;
+      block.forEach(byte => {
+        value = this.multiply(value, exp[j]) ^ byte;
+      });
+      syndromes.push(value);
+    }
+    if (syndromes.every(value => value === 0)) return true;
+    
+    // Berlekamp-Massey: error locator, lowest degree first
+    let locator = [1];
+    let previous = [1];
+    let errors = 0;
+    let shift = 1;
+    let lastDiscrepancy = 1;
+    
+    for (let i = 0; i < count; i++) {
+      let discrepancy = syndromes[i];
+      for (let j = 1; j <= errors; j++) {
+        discrepancy ^= this.multiply(locator[j] || 0, syndromes[i - j]);
+      }
+      
+      if (discrepancy === 0) {
+        shift++;
+        continue;
+      }
+      
+      const scale = this.divide(discrepancy, lastDiscrepancy);
+      const updated = locator.slice();
+      previous.forEach((coefficient, j) => {
+        updated[j + shift] = (updated[j + shift] || 0) ^ this.multiply(scale, coefficient);
+      });
+      
+      if (2 * errors <= i) {
+        previous = locator;
+        errors = i + 1 - errors;
+        lastDiscrepancy = discrepancy;
+        shift = 1;
+      } else {
+        shift++;
+      }
+      locator = updated;
+    }
+    
+    if (errors * 2 > count) return false;
+    
+    // Chien search: codeword i is the coefficient of x^(n-1-i)
+    const positions = [];
+    for (let i = 0; i < n; i++) {
+      const inverse = exp[(255 - ((n - 1 - i) % 255)) % 255];
+      let value = 0;
+      for (let j = locator.length - 1; j >= 0; j--) {
+        value = this.multiply(value, inverse) ^ (locator[j] || 0);
+      }
+      if (value === 0) positions.push(i);
+    }
+    if (positions.length !== errors) return false;
+    
+    // Solve S_j = Σ e_k · X_k^j for the error values
+    const locations = positions.map(i => exp[(n - 1 - i) % 255]);
+    const rows = locations.map((_, j) => [...locations.map(x => power(x, j)), syndromes[j]]);
+    
+    for (let col = 0; col < errors; col++) {
+      const pivot = rows.findIndex((row, r) => r >= col && row[col] !== 0);
+      if (pivot < 0) return false;
+      [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+      
+      const inverse = this.divide(1, rows[col][col]);
+      rows[col] = rows[col].map(value => this.multiply(value, inverse));
+      rows.forEach((row, r) => {
+        if (r === col || row[col] === 0) return;
+        const factor = row[col];
+        rows[r] = row.map((value, c) => value ^ this.multiply(factor, rows[col][c]));
+      });
+    }
+    
+    positions.forEach((position, k) => {
+      block[position] ^= rows[k][errors];
+    });
+    return true;
+  },
+  
+  // ============================================
+  // Layout shared by encoding and decoding
+  // ============================================
+  
+  getSize(version) {
+    return version * 4 + 17;
+  },
+  
+  /**
+   * Draw finder, timing and alignment patterns plus the reserved format and
+   * version areas
+   * @param {number} version - 1–10
+   * @returns {{modules: boolean[][], reserved: boolean[][]}}
+   */
+  createGrid(version) {
+    const size = this.getSize(version);
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+    
+    // Finder patterns with their light separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || y < 0 || x >= size || y >= size) continue;
+          const ring = Math.max(Math.abs(dx), Math.abs(dy));
+          set(x, y, ring !== 2 && ring !== 4);
+        }
+      }
+    });
+    
+    for (let i = 8; i < size - 8; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    
+    const positions = this.alignmentPositions[version];
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        // Skip the three corners taken by finder patterns
+        if ((i === 0 && (j === 0 || j === last)) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+    
+    // Format information (written later) and the always-dark module
+    for (let i = 0; i < 9; i++) {
+      reserved[8][i] = reserved[i][8] = true;
+    }
+    for (let i = 0; i < 8; i++) {
+      reserved[8][size - 1 - i] = reserved[size - 1 - i][8] = true;
+    }
+    set(8, size - 8, true);
+    
+    if (version >= 7) {
+      const bits = this.versionBits(version);
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        set(size - 11 + (i % 3), Math.floor(i / 3), dark);
+        set(Math.floor(i / 3), size - 11 + (i % 3), dark);
+      }
+    }
+    
+    return { modules, reserved };
+  },
+  
+  versionBits(version) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    return (version << 12) | remainder;
+  },
+  
+  formatBits(mask) {
+    const data = (this.levelBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    return ((data << 10) | remainder) ^ 0x5412;
+  },
+  
+  /**
+   * Where the two copies of format bit i go, as [x, y] pairs
+   * @param {number} size - Modules per side
+   * @param {number} i - Bit index, 0–14
+   * @returns {Array<number[]>}
+   */
+  formatPositions(size, i) {
+    let first;
+    if (i < 6) first = [8, i];
+    else if (i === 6) first = [8, 7];
+    else if (i === 7) first = [8, 8];
+    else if (i === 8) first = [7, 8];
+    else first = [14 - i, 8];
+    
+    const second = i < 8 ? [size - 1 - i, 8] : [8, size - 15 + i];
+    return [first, second];
+  },
+  
+  /**
+   * Visit data modules in placement order: two-column strips zigzagging up
+   * and down from the bottom-right corner
+   * @param {boolean[][]} reserved - Function pattern map from createGrid()
+   * @param {Function} visit - Called with (x, y)
+   */
+  eachDataModule(reserved, visit) {
+    const size = reserved.length;
+    
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      
+      for (let step = 0; step < size; step++) {
+        const y = upward ? size - 1 - step : step;
+        for (let x = right; x > right - 2; x--) {
+          if (!reserved[y][x]) visit(x, y);
+        }
+      }
+    }
+  },
+  
+  // ============================================
+  // Encoding
+  // ============================================
+  
+  getDataCapacity(version) {
+    return this.blocks[version].groups.reduce((total, [count, size]) => total + count * size, 0);
+  },
+  
+  /**
+   * @param {string} text - Text to encode (UTF-8)
+   * @returns {boolean[][]} Modules, true for dark
+   */
+  encode(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    const version = this.blocks.findIndex((_, v) => v > 0 &&
+      4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= this.getDataCapacity(v) * 8);
+    
+    if (version < 0) {
+      throw new Error('Too much text for a QR code');
+    }
+    
+    // Byte mode segment, terminator and padding
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    const capacity = this.getDataCapacity(version);
+    
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; data.length < capacity; pad ^= 0xEC ^ 0x11) {
+      data.push(pad);
+    }
+    
+    const codewords = this.interleave(version, data);
+    const { modules, reserved } = this.createGrid(version);
+    let index = 0;
+    this.eachDataModule(reserved, (x, y) => {
+      const byte = codewords[index >>> 3];
+      modules[y][x] = byte !== undefined && ((byte >>> (7 - (index & 7))) & 1) === 1;
+      index++;
+    });
+    
+    // Keep the mask that leaves the fewest confusing patterns
+    let best = null;
+    this.masks.forEach((_, mask) => {
+      const candidate = this.applyMask(modules, reserved, mask);
+      const penalty = this.getPenalty(candidate);
+      if (!best || penalty < best.penalty) best = { modules: candidate, penalty };
+    });
+    return best.modules;
+  },
+  
+  /**
+   * Split data into blocks, add error correction and interleave them
+   * @param {number} version - 1–10
+   * @param {number[]} data - Data codewords
+   * @returns {number[]}
+   */
+  interleave(version, data) {
+    const { ecPerBlock, groups } = this.blocks[version];
+    const blocks = [];
+    let offset = 0;
+    
+    groups.forEach(([count, size]) => {
+      for (let i = 0; i < count; i++) {
+        const block = data.slice(offset, offset + size);
+        blocks.push({ data: block, ec: this.errorCorrection(block, ecPerBlock) });
+        offset += size;
+      }
+    });
+    
+    const result = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+      blocks.forEach(block => {
+        if (i < block.data.length) result.push(block.data[i]);
+      });
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+      blocks.forEach(block => result.push(block.ec[i]));
+    }
+    return result;
+  },
+  
+  applyMask(modules, reserved, mask) {
+    const size = modules.length;
+    const masked = modules.map((row, y) => row.map((dark, x) => (
+      reserved[y][x] ? dark : dark !== this.masks[mask](x, y)
+    )));
+    
+    const format = this.formatBits(mask);
+    for (let i = 0; i < 15; i++) {
+      const dark = ((format >>> i) & 1) === 1;
+      this.formatPositions(size, i).forEach(([x, y]) => {
+        masked[y][x] = dark;
+      });
+    }
+    return masked;
+  },
+  
+  getPenalty(modules) {
+    const size = modules.length;
+    const lines = [...modules, ...modules.map((_, x) => modules.map(row => row[x]))];
+    let penalty = 0;
+    
+    lines.forEach(line => {
+      // Runs of five or more modules of one colour
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+      
+      // Patterns that look like a finder
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      penalty += 40 * ((text.match(/(?=10111010000|00001011101)/g) || []).length);
+    });
+    
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const colour = modules[y][x];
+          if (modules[y][x + 1] === colour && modules[y + 1][x] === colour && modules[y + 1][x + 1] === colour) {
+            penalty += 3;
+          }
+        }
+      }
+    }
+    
+    return penalty + 10 * Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5);
+  },
+  
+  /**
+   * @param {string} text - Text to encode
+   * @param {string} label - Accessible name for the image
+   * @returns {string} SVG markup, with a four-module quiet zone
+   */
+  toSvg(text, label) {
+    const modules = this.encode(text);
+    const size = modules.length + 8;
+    let path = '';
+    
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) path += `M${x + 4} ${y + 4}h1v1h-1z`;
+      });
+    });
+    
+    return `<svg class="qr-code" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" role="img" aria-label="${label.replace(/[&"<>]/g, c => `&#${c.charCodeAt(0)};`)}" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  },
+  
+  // ============================================
+  // Decoding
+  // ============================================
+  
+  /**
+   * Find and read a QR code in a camera frame
+   * @param {ImageData} image - RGBA pixels, e.g. from a canvas
+   * @returns {string|null} The decoded text
+   */
+  decode(image) {
+    const bitmap = this.binarize(image);
+    const finders = this.findFinderPatterns(bitmap);
+    if (!finders) return null;
+    
+    const [topLeft, topRight, bottomLeft] = finders;
+    const moduleSize = (topLeft.moduleSize + topRight.moduleSize + bottomLeft.moduleSize) / 3;
+    const estimate = (this.distance(topLeft, topRight) + this.distance(topLeft, bottomLeft)) / 2 / moduleSize + 7;
+    const guess = Math.round((estimate - 17) / 4);
+    
+    for (const version of [guess, guess - 1, guess + 1]) {
+      if (!this.blocks[version]) continue;
+      
+      const transform = this.getTransform(bitmap, finders, version, moduleSize);
+      const text = this.readGrid(bitmap, transform, version);
+      if (text !== null) return text;
+    }
+    return null;
+  },
+  
+  distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  },
+  
+  /**
+   * Dark/light per pixel, comparing each pixel with its neighbourhood so
+   * uneven lighting doesn't matter
+   * @param {ImageData} image - RGBA pixels
+   * @returns {{width: number, height: number, dark: Uint8Array}}
+   */
+  binarize({ data, width, height }) {
+    const integral = new Float64Array((width + 1) * (height + 1));
+    const luminance = new Uint8Array(width * height);
+    
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const value = (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+        luminance[y * width + x] = value;
+        rowSum += value;
+        integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+      }
+    }
+    
+    const radius = Math.max(8, Math.floor(Math.min(width, height) / 16));
+    const dark = new Uint8Array(width * height);
+    
+    for (let y = 0; y < height; y++) {
+      const top = Math.max(0, y - radius);
+      const bottom = Math.min(height, y + radius + 1);
+      for (let x = 0; x < width; x++) {
+        const left = Math.max(0, x - radius);
+        const right = Math.min(width, x + radius + 1);
+        const sum = integral[bottom * (width + 1) + right] - integral[top * (width + 1) + right] -
+          integral[bottom * (width + 1) + left] + integral[top * (width + 1) + left];
+        const mean = sum / ((bottom - top) * (right - left));
+        dark[y * width + x] = luminance[y * width + x] < mean * 0.9 ? 1 : 0;
+      }
+    }
+    
+    return { width, height, dark };
+  },
+  
+  isDark(bitmap, x, y) {
+    const px = Math.round(x);
+    const py = Math.round(y);
+    if (px < 0 || py < 0 || px >= bitmap.width || py >= bitmap.height) return false;
+    return bitmap.dark[py * bitmap.width + px] === 1;
+  },
+  
+  /**
+   * Whether five runs are in the 1:1:3:1:1 proportion of a finder pattern
+   * (or 1:1:1 for the three middle runs of an alignment pattern)
+   * @param {number[]} runs - Run lengths in pixels
+   * @param {number[]} ratio - Expected proportions
+   * @returns {number} Module size, or 0 when the runs don't match
+   */
+  matchRatio(runs, ratio) {
+    const total = runs.reduce((sum, run) => sum + run, 0);
+    const units = ratio.reduce((sum, unit) => sum + unit, 0);
+    if (total < units) return 0;
+    
+    const moduleSize = total / units;
+    const fits = runs.every((run, i) => run > 0 && Math.abs(run - ratio[i] * moduleSize) < ratio[i] * moduleSize / 2);
+    return fits ? moduleSize : 0;
+  },
+  
+  /**
+   * Measure the runs through a dark pixel along one direction, centre run
+   * first and then outwards
+   * @returns {{center: number, moduleSize: number}|null} Offset of the centre
+   *   run's middle from (x, y), and the module size
+   */
+  crossCheck(bitmap, x, y, dx, dy, ratio) {
+    const at = step => this.isDark(bitmap, x + dx * step, y + dy * step);
+    if (!at(0)) return null;
+    
+    const middle = (ratio.length - 1) / 2;
+    const limit = bitmap.width + bitmap.height;
+    const runs = new Array(ratio.length).fill(0);
+    
+    let step = 0;
+    for (let index = middle; index >= 0;) {
+      if (-step > limit) return null;
+      if (at(step) === ((middle - index) % 2 === 0)) {
+        runs[index]++;
+        step--;
+      } else {
+        index--;
+      }
+    }
+    const start = step + 1;
+    
+    step = 1;
+    for (let index = middle; index < ratio.length;) {
+      if (step > limit) return null;
+      if (at(step) === ((index - middle) % 2 === 0)) {
+        runs[index]++;
+        step++;
+      } else {
+        index++;
+      }
+    }
+    
+    const moduleSize = this.matchRatio(runs, ratio);
+    if (!moduleSize) return null;
+    
+    const before = runs.slice(0, middle).reduce((sum, run) => sum + run, 0);
+    return { center: start + before + (runs[middle] - 1) / 2, moduleSize };
+  },
+  
+  /**
+   * Locate the three finder patterns, ordered top-left, top-right, bottom-left
+   * @param {Object} bitmap - From binarize()
+   * @returns {Array<{x: number, y: number, moduleSize: number}>|null}
+   */
+  findFinderPatterns(bitmap) {
+    const ratio = [1, 1, 3, 1, 1];
+    const candidates = [];
+    const rowStep = Math.max(1, Math.floor(bitmap.height / 200));
+    
+    for (let y = 0; y < bitmap.height; y += rowStep) {
+      // Runs alternate dark, light, dark, light, dark
+      let runs = [0, 0, 0, 0, 0];
+      let index = 0;
+      
+      for (let x = 0; x <= bitmap.width; x++) {
+        const dark = x < bitmap.width && this.isDark(bitmap, x, y);
+        
+        if (dark) {
+          if (index % 2 === 1) index++;
+          runs[index]++;
+          continue;
+        }
+        if (index % 2 === 1) {
+          runs[index]++;
+          continue;
+        }
+        if (index < 4) {
+          // Light before the first dark run isn't part of a pattern
+          if (runs[index] === 0) continue;
+          index++;
+          runs[index]++;
+          continue;
+        }
+        
+        if (this.matchRatio(runs, ratio)) {
+          const centerX = x - runs[4] - runs[3] - runs[2] / 2;
+          this.addFinderCandidate(bitmap, candidates, centerX, y, ratio);
+        }
+        
+        // Slide along by two runs
+        runs = [runs[2], runs[3], runs[4], 1, 0];
+        index = 3;
+      }
+    }
+    
+    const confirmed = candidates
+      .filter(candidate => candidate.count >= 2)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 6);
+    if (confirmed.length < 3) return null;
+    
+    // Pick the three with the most similar module size
+    let best = null;
+    for (let i = 0; i < confirmed.length; i++) {
+      for (let j = i + 1; j < confirmed.length; j++) {
+        for (let k = j + 1; k < confirmed.length; k++) {
+          const trio = [confirmed[i], confirmed[j], confirmed[k]];
+          const sizes = trio.map(finder => finder.moduleSize);
+          const spread = (Math.max(...sizes) - Math.min(...sizes)) / Math.min(...sizes);
+          if (spread < 0.5 && (!best || spread < best.spread)) best = { trio, spread };
+        }
+      }
+    }
+    if (!best) return null;
+    
+    // The top-left pattern is opposite the longest side
+    const [a, b, c] = best.trio;
+    const sides = [[this.distance(b, c), a, b, c], [this.distance(a, c), b, a, c], [this.distance(a, b), c, a, b]];
+    const [, topLeft, first, second] = sides.sort((x, y) => y[0] - x[0])[0];
+    const cross = (first.x - topLeft.x) * (second.y - topLeft.y) - (first.y - topLeft.y) * (second.x - topLeft.x);
+    return cross > 0 ? [topLeft, first, second] : [topLeft, second, first];
+  },
+  
+  addFinderCandidate(bitmap, candidates, x, y, ratio) {
+    const vertical = this.crossCheck(bitmap, x, y, 0, 1, ratio);
+    if (!vertical) return;
+    
+    const centerY = y + vertical.center;
+    const horizontal = this.crossCheck(bitmap, x, centerY, 1, 0, ratio);
+    if (!horizontal) return;
+    
+    const centerX = x + horizontal.center;
+    const moduleSize = (vertical.moduleSize + horizontal.moduleSize) / 2;
+    const existing = candidates.find(candidate =>
+      Math.abs(candidate.x - centerX) < moduleSize * 2 && Math.abs(candidate.y - centerY) < moduleSize * 2);
+    
+    if (existing) {
+      const n = existing.count;
+      existing.x = (existing.x * n + centerX) / (n + 1);
+      existing.y = (existing.y * n + centerY) / (n + 1);
+      existing.moduleSize = (existing.moduleSize * n + moduleSize) / (n + 1);
+      existing.count++;
+    } else {
+      candidates.push({ x: centerX, y: centerY, moduleSize, count: 1 });
+    }
+  },
+  
+  /**
+   * Map module coordinates to pixels, using the bottom-right alignment
+   * pattern to correct for perspective when it can be found
+   * @returns {Function} (column, row) => {x, y}
+   */
+  getTransform(bitmap, [topLeft, topRight, bottomLeft], version, moduleSize) {
+    const size = this.getSize(version);
+    const points = [
+      [3.5, 3.5, topLeft],
+      [size - 3.5, 3.5, topRight],
+      [3.5, size - 3.5, bottomLeft]
+    ];
+    
+    const affine = { x: topRight.x + bottomLeft.x - topLeft.x, y: topRight.y + bottomLeft.y - topLeft.y };
+    let corner = [size - 3.5, size - 3.5, affine];
+    
+    if (version >= 2) {
+      const along = (size - 10) / (size - 7);
+      const expected = {
+        x: topLeft.x + (topRight.x - topLeft.x) * along + (bottomLeft.x - topLeft.x) * along,
+        y: topLeft.y + (topRight.y - topLeft.y) * along + (bottomLeft.y - topLeft.y) * along
+      };
+      const alignment = this.findAlignmentPattern(bitmap, expected, moduleSize);
+      if (alignment) corner = [size - 6.5, size - 6.5, alignment];
+    }
+    
+    return this.solveHomography([...points, corner]);
+  },
+  
+  findAlignmentPattern(bitmap, expected, moduleSize) {
+    const reach = Math.ceil(moduleSize * 4);
+    const ratio = [1, 1, 1];
+    let best = null;
+    
+    for (let dy = -reach; dy <= reach; dy++) {
+      for (let dx = -reach; dx <= reach; dx++) {
+        const x = Math.round(expected.x + dx);
+        const y = Math.round(expected.y + dy);
+        if (!this.isDark(bitmap, x, y)) continue;
+        
+        const horizontal = this.crossCheck(bitmap, x, y, 1, 0, ratio);
+        if (!horizontal || Math.abs(horizontal.moduleSize - moduleSize) > moduleSize * 0.6) continue;
+        const vertical = this.crossCheck(bitmap, x + horizontal.center, y, 0, 1, ratio);
+        if (!vertical || Math.abs(vertical.moduleSize - moduleSize) > moduleSize * 0.6) continue;
+        
+        const found = { x: x + horizontal.center, y: y + vertical.center };
+        const offset = this.distance(found, expected);
+        if (!best || offset < best.offset) best = { ...found, offset };
+      }
+    }
+    return best;
+  },
+  
+  /**
+   * Perspective transform through four point pairs
+   * @param {Array} pairs - [column, row, {x, y}] for each point
+   * @returns {Function} (column, row) => {x, y}
+   */
+  solveHomography(pairs) {
+    // Eight equations for h0…h7, solved by Gaussian elimination
+    const rows = [];
+    pairs.forEach(([u, v, { x, y }]) => {
+      rows.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+      rows.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+    });
+    
+    for (let col = 0; col < 8; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < 8; r++) {
+        if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+      }
+      [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+      
+      for (let r = 0; r < 8; r++) {
+        if (r === col) continue;
+        const factor = rows[r][col] / rows[col][col];
+        for (let c = col; c < 9; c++) rows[r][c] -= factor * rows[col][c];
+      }
+    }
+    
+    const h = rows.map((row, i) => row[8] / row[i]);
+    return (u, v) => {
+      const w = h[6] * u + h[7] * v + 1;
+      return { x: (h[0] * u + h[1] * v + h[2]) / w, y: (h[3] * u + h[4] * v + h[5]) / w };
+    };
+  },
+  
+  readGrid(bitmap, transform, version) {
+    const size = this.getSize(version);
+    const sample = (x, y) => {
+      const point = transform(x + 0.5, y + 0.5);
+      return this.isDark(bitmap, point.x, point.y);
+    };
+    
+    // Either copy of the format information will do; allow three flipped bits
+    let mask = -1;
+    for (const copy of [0, 1]) {
+      let read = 0;
+      for (let i = 0; i < 15; i++) {
+        const [x, y] = this.formatPositions(size, i)[copy];
+        if (sample(x, y)) read |= 1 << i;
+      }
+      
+      for (let candidate = 0; candidate < 8; candidate++) {
+        let diff = read ^ this.formatBits(candidate);
+        let flipped = 0;
+        for (; diff; diff &= diff - 1) flipped++;
+        if (flipped <= 3) mask = candidate;
+      }
+      if (mask >= 0) break;
+    }
+    if (mask < 0) return null;
+    
+    const { reserved } = this.createGrid(version);
+    const codewords = [];
+    let index = 0;
+    this.eachDataModule(reserved, (x, y) => {
+      const bit = sample(x, y) !== this.masks[mask](x, y) ? 1 : 0;
+      codewords[index >>> 3] = ((codewords[index >>> 3] || 0) << 1) | bit;
+      index++;
+    });
+    
+    const data = this.deinterleave(version, codewords);
+    return data ? this.readSegments(data, version) : null;
+  },
+  
+  deinterleave(version, codewords) {
+    const { ecPerBlock, groups } = this.blocks[version];
+    const blocks = [];
+    groups.forEach(([count, size]) => {
+      for (let i = 0; i < count; i++) blocks.push({ size, codewords: [] });
+    });
+    
+    let offset = 0;
+    const longest = Math.max(...blocks.map(block => block.size));
+    for (let i = 0; i < longest; i++) {
+      blocks.forEach(block => {
+        if (i < block.size) block.codewords.push(codewords[offset++]);
+      });
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+      blocks.forEach(block => block.codewords.push(codewords[offset++]));
+    }
+    
+    const data = [];
+    for (const block of blocks) {
+      if (!this.correctErrors(block.codewords, ecPerBlock)) return null;
+      data.push(...block.codewords.slice(0, block.size));
+    }
+    return data;
+  },
+  
+  readSegments(data, version) {
+    let position = 0;
+    const read = length => {
+      let value = 0;
+      for (let i = 0; i < length; i++, position++) {
+        value = (value << 1) | ((data[position >>> 3] >>> (7 - (position & 7))) & 1);
+      }
+      return value;
+    };
+    
+    const bytes = [];
+    while (position + 4 <= data.length * 8) {
+      const mode = read(4);
+      if (mode === 0) break;
+      // Only byte mode is used for check-in codes
+      if (mode !== 0b0100) return null;
+      
+      const length = read(version < 10 ? 8 : 16);
+      if (position + length * 8 > data.length * 8) return null;
+      for (let i = 0; i < length; i++) bytes.push(read(8));
+    }
+    
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(bytes));
+    } catch (error) {
+      return null;
+    }
+  }
+};
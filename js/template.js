@@ -0,0 +1,153 @@
+/**
+ * ShoreSquad - Templates
+ * html`` tagged templates that escape everything they interpolate, and
+ * keyed list rendering that keeps existing elements (with their focus,
+ * classes and fade-in state) when a list is redrawn.
+ */
+
+'use strict';
+
+/**
+ * Markup that is safe to insert as-is. Only html`` and Template.raw()
+ * create it, so plain strings are always treated as text.
+ */
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+  
+  toString() {
+    return this.markup;
+  }
+}
+
+const Template = {
+  // Markup each keyed element was built from, to tell when it needs rebuilding
+  rendered: new WeakMap(),
+  
+  /**
+   * Escape a value for HTML text or a quoted attribute
+   * @param {*} value - Value to escape
+   * @returns {string}
+   */
+  escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+  
+  /**
+   * Markup for an interpolated value. Templates pass through, arrays are
+   * joined, null, undefined and false render nothing and anything else is
+   * escaped.
+   * @param {*} value - Value to convert
+   * @returns {string}
+   */
+  toMarkup(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(item => this.toMarkup(item)).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return this.escape(value);
+  },
+  
+  /**
+   * Mark trusted markup (such as a generated SVG) as safe to insert
+   * @param {string} markup - Markup that must not be escaped
+   * @returns {SafeHtml}
+   */
+  raw(markup) {
+    return new SafeHtml(String(markup));
+  },
+  
+  /**
+   * Build the element for a template with a single root element
+   * @param {SafeHtml} template - Template to parse
+   * @returns {HTMLElement}
+   */
+  toElement(template) {
+    const parser = document.createElement('template');
+    parser.innerHTML = this.toMarkup(template).trim();
+    return parser.content.firstElementChild;
+  },
+  
+  /**
+   * Replace an element's contents
+   * @param {HTMLElement} container - Element to fill
+   * @param {SafeHtml} template - New contents; plain strings are shown as text
+   */
+  render(container, template) {
+    container.innerHTML = this.toMarkup(template);
+  },
+  
+  /**
+   * Render one element per item, reusing the element already shown for each
+   * key. An element is only rebuilt when its markup changes; update() runs on
+   * every element afterwards to apply state that changes more often.
+   * @param {HTMLElement} container - Element whose children are the list
+   * @param {Array} items - Items in display order
+   * @param {Object} options - How to render the items
+   * @param {Function} options.key - (item, index) => unique key
+   * @param {Function} options.render - (item, index) => template with a single root element
+   * @param {Function} options.update - Optional (element, item, index) => void
+   * @param {Function} options.empty - Optional () => template shown when there are no items
+   * @returns {HTMLElement[]} Elements in item order
+   */
+  renderList(container, items, { key, render, update, empty }) {
+    const previous = new Map();
+    Array.from(container.children).forEach(child => {
+      if ('key' in child.dataset) {
+        previous.set(child.dataset.key, child);
+      } else {
+        child.remove();
+      }
+    });
+    
+    const elements = items.map((item, index) => {
+      const id = String(key(item, index));
+      const markup = this.toMarkup(render(item, index));
+      let element = previous.get(id);
+      previous.delete(id);
+      
+      if (!element || this.rendered.get(element) !== markup) {
+        const fresh = this.toElement(this.raw(markup));
+        fresh.dataset.key = id;
+        this.rendered.set(fresh, markup);
+        if (element) element.replaceWith(fresh);
+        element = fresh;
+      }
+      
+      if (update) update(element, item, index);
+      return element;
+    });
+    
+    previous.forEach(element => element.remove());
+    
+    // Move elements into item order, leaving those already in place alone
+    elements.forEach((element, index) => {
+      const current = container.children[index];
+      if (current !== element) container.insertBefore(element, current || null);
+    });
+    
+    if (elements.length === 0 && empty) {
+      this.render(container, empty());
+    }
+    
+    return elements;
+  }
+};
+
+/**
+ * Tagged template for markup: html`<p>${text}</p>`. Interpolated values
+ * are escaped unless they are templates themselves.
+ * @param {string[]} strings - Literal parts
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHtml}
+ */
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((markup, string, index) =>
+    markup + Template.toMarkup(values[index - 1]) + string
+  ));
+}
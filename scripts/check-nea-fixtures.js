@@ -0,0 +1,123 @@
+/**
+ * ShoreSquad - NEA fixture check
+ * Runs every recorded payload in data/fixtures/nea/ through NeaNormalizer
+ * and checks what it reports. Run with: node scripts/check-nea-fixtures.js
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const fixtureDir = path.join(root, 'data/fixtures/nea');
+
+// What each fixture should normalize to
+const expected = {
+  'four-day-outlook.v1.json': {
+    ok: true,
+    shape: 'v1',
+    count: 4,
+    missing: [],
+    errors: []
+  },
+  'four-day-outlook.v2.json': {
+    ok: true,
+    shape: 'v2',
+    count: 4,
+    missing: [],
+    errors: []
+  },
+  'four-day-outlook.v2-partial.json': {
+    ok: true,
+    shape: 'v2',
+    count: 2,
+    missing: [
+      'data.records[0].forecasts[0].relativeHumidity.low',
+      'data.records[0].forecasts[0].relativeHumidity.high',
+      'data.records[0].forecasts[0].wind.speed.low',
+      'data.records[0].forecasts[0].wind.speed.high',
+      'data.records[0].forecasts[1].temperature.low (expected number, got string)',
+      'data.records[0].forecasts[2].forecast.text'
+    ],
+    errors: ['data.records[0].forecasts[2] skipped: date and forecast text are required']
+  },
+  'four-day-outlook.v2-error.json': {
+    ok: false,
+    shape: 'v2',
+    count: 0,
+    missing: [],
+    errors: ['API returned code 4: Invalid date format. Date format must be YYYY-MM-DD (2024-06-01) or YYYY-MM-DDTHH:mm:ss (2024-06-01T08:30:00).']
+  },
+  'twenty-four-hr-forecast.v1.json': {
+    ok: true,
+    shape: 'v1',
+    count: 3,
+    missing: [],
+    errors: []
+  },
+  'twenty-four-hr-forecast.v2.json': {
+    ok: true,
+    shape: 'v2',
+    count: 3,
+    missing: [],
+    errors: []
+  }
+};
+
+/**
+ * Evaluate the app scripts up to the start-up block, without a browser
+ * @returns {Object} NeaNormalizer
+ */
+function loadNormalizer() {
+  const i18n = fs.readFileSync(path.join(root, 'js/i18n.js'), 'utf8');
+  const app = fs.readFileSync(path.join(root, 'js/app.js'), 'utf8');
+  const start = app.indexOf('// Start the Application');
+  assert.notStrictEqual(start, -1, 'js/app.js start-up block not found');
+  
+  const source = `${i18n}\n;${app.slice(0, start)}\n;({ NeaNormalizer });`;
+  return vm.runInContext(source, vm.createContext({ console })).NeaNormalizer;
+}
+
+function check(NeaNormalizer, file) {
+  const payload = JSON.parse(fs.readFileSync(path.join(fixtureDir, file), 'utf8'));
+  const result = file.startsWith('four-day-outlook')
+    ? NeaNormalizer.normalizeFourDay(payload)
+    : NeaNormalizer.normalizeTwentyFourHour(payload);
+  const want = expected[file];
+  const items = result.forecast ? result.forecast.forecasts || result.forecast.periods : [];
+  
+  assert.ok(want, `no expectations for ${file}`);
+  assert.strictEqual(result.ok, want.ok, `${file}: ok`);
+  assert.strictEqual(result.shape, want.shape, `${file}: shape`);
+  assert.strictEqual(items.length, want.count, `${file}: periods`);
+  // Copy the arrays out of the script context so their prototypes match
+  assert.deepStrictEqual(Array.from(result.missing), want.missing, `${file}: missing`);
+  assert.deepStrictEqual(Array.from(result.errors), want.errors, `${file}: errors`);
+}
+
+const NeaNormalizer = loadNormalizer();
+const files = fs.readdirSync(fixtureDir).filter(file => file.endsWith('.json')).sort();
+let passed = 0;
+let failed = 0;
+
+files.forEach(file => {
+  try {
+    check(NeaNormalizer, file);
+    passed++;
+    console.log(`✓ ${file}`);
+  } catch (error) {
+    failed++;
+    console.error(`✗ ${error.message}`);
+  }
+});
+
+Object.keys(expected).filter(file => !files.includes(file)).forEach(file => {
+  failed++;
+  console.error(`✗ ${file}: fixture not found`);
+});
+
+console.log(`${passed} of ${passed + failed} fixtures passed`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,171 @@
+/**
+ * ShoreSquad - Service Worker
+ * Precaches the app shell, keeps NEA forecasts available offline and
+ * replays changes made offline through background sync
+ */
+
+'use strict';
+
+importScripts('js/outbox.js');
+
+const CACHE_VERSION = 'shoresquad-v11';
+const PRECACHE = `${CACHE_VERSION}-precache`;
+const RUNTIME_CACHE = `${CACHE_VERSION}-runtime`;
+const TILE_CACHE = `${CACHE_VERSION}-tiles`;
+const MAX_TILES = 300;
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'css/styles.css',
+  'js/app.js',
+  'js/i18n.js',
+  'js/outbox.js',
+  'js/qr.js',
+  'js/template.js',
+  'data/cleanups.json',
+  'data/impact.json',
+  'data/checkins.json',
+  'data/reports.json',
+  'data/tides.json',
+  'data/locales/zh.json',
+  'data/locales/ms.json',
+  'data/locales/ta.json',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-maskable.svg'
+];
+
+// ============================================
+// Lifecycle
+// ============================================
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Compare whole names: a prefix check would keep v1 caches alongside v10
+  const currentCaches = [PRECACHE, RUNTIME_CACHE, TILE_CACHE];
+  
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('shoresquad-') && !currentCaches.includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ============================================
+// Caching Strategies
+// ============================================
+
+/**
+ * Try the network first and fall back to the last cached response
+ */
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Serve from cache and refresh the cached copy in the background
+ */
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  
+  const update = fetch(request)
+    .then(response => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached);
+  
+  return cached || update;
+}
+
+/**
+ * Serve map tiles from cache, keeping at most MAX_TILES of them
+ */
+async function cacheFirstTile(request) {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    
+    const keys = await cache.keys();
+    if (keys.length > MAX_TILES) {
+      await Promise.all(keys.slice(0, keys.length - MAX_TILES).map(key => cache.delete(key)));
+    }
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  
+  const url = new URL(request.url);
+  
+  // NEA weather APIs: fresh data when possible, last forecast when offline
+  if (url.hostname.endsWith('data.gov.sg')) {
+    event.respondWith(networkFirst(request, RUNTIME_CACHE));
+    return;
+  }
+  
+  if (request.destination === 'image' && url.pathname.match(/\/\d+\/\d+\/\d+\.png$/)) {
+    event.respondWith(cacheFirstTile(request));
+    return;
+  }
+  
+  if (url.origin !== self.location.origin) return;
+  
+  // Page loads: network first so updates show up, cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      networkFirst(request, RUNTIME_CACHE).catch(() => caches.match('index.html'))
+    );
+    return;
+  }
+  
+  event.respondWith(staleWhileRevalidate(request, PRECACHE));
+});
+
+// ============================================
+// Background Sync
+// ============================================
+self.addEventListener('sync', (event) => {
+  if (event.tag === Outbox.syncTag) {
+    event.waitUntil(
+      Outbox.flush().then(({ remaining }) => {
+        // Throwing asks the browser to retry the sync later
+        if (remaining > 0) {
+          throw new Error(`${remaining} queued changes still pending`);
+        }
+      })
+    );
+  }
+});